@@ -1,9 +1,84 @@
 // BTTC Admin - Registration Approvals Panel
-// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse
-// Auth is handled by the shell (shell.js). This component assumes the user is authenticated.
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse
+// Limits loaded from form-limits.js: COMMENT_MAX_LENGTH
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions and hasAdminPermission.
+// Payment reconciliation (PaymentReconciler) is in reconcile.js, loaded before this file.
+// This component assumes the user is authenticated.
 // Vue globals (ref, reactive, computed, onMounted) are declared by shell.js.
 
+// Confirmations sent at once during a bulk confirm, to keep the backend responsive
+const BULK_CONFIRM_CONCURRENCY = 3;
+
+// Runs task(item) for every item, at most `limit` at a time. Resolves to one
+// { item, ok, result | error } per item, in input order; a failure doesn't stop the rest.
+const runWithConcurrency = async (items, limit, task) => {
+  const outcomes = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        outcomes[index] = { item: items[index], ok: true, result: await task(items[index]) };
+      } catch (error) {
+        outcomes[index] = { item: items[index], ok: false, error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return outcomes;
+};
+
+// Longest admin note (js/form-limits.js), the limit the proxy's registration action schemas use
+const ACTION_NOTE_MAX_LENGTH = COMMENT_MAX_LENGTH;
+
+// Actions besides Confirm. Each posts { internal_user_id, note } to its backend route,
+// which records the action and the admin's note in the audit log. `waitlist` actions
+// apply to the waitlist below the pending table rather than to pending registrations;
+// the Waitlist panel (waitlist.js) also reorders it and can notify promoted players.
+const REGISTRATION_ACTIONS = {
+  reject: {
+    path: '/rr/registration/reject',
+    label: 'Reject',
+    title: 'Reject registration',
+    done: 'Rejected',
+    noteLabel: 'Reason',
+    noteRequired: true,
+    buttonClass: 'close-button'
+  },
+  refund: {
+    path: '/rr/registration/refund',
+    label: 'Mark Refunded',
+    title: 'Mark payment refunded',
+    done: 'Marked as refunded:',
+    noteLabel: 'Note',
+    noteRequired: false,
+    buttonClass: 'cancel-button'
+  },
+  waitlist: {
+    path: '/rr/registration/waitlist',
+    label: 'Move to Waitlist',
+    title: 'Move to waitlist',
+    done: 'Moved to the waitlist:',
+    noteLabel: 'Note',
+    noteRequired: false,
+    buttonClass: 'cancel-button'
+  },
+  promote: {
+    path: '/rr/registration/promote',
+    label: 'Promote',
+    title: 'Promote from waitlist',
+    done: 'Promoted',
+    noteLabel: 'Note',
+    noteRequired: false,
+    buttonClass: 'confirm-button',
+    waitlist: true
+  }
+};
+
+const PENDING_ACTIONS = Object.fromEntries(Object.entries(REGISTRATION_ACTIONS).filter(([, action]) => !action.waitlist));
+
 const ApprovalsPanel = {
+  components: { PaymentReconciler },
   setup() {
     const players = ref([]);
     const loading = ref(false);
@@ -12,6 +87,16 @@ const ApprovalsPanel = {
     const eventType = ref('');
     const successMessage = ref('');
     const processingPlayers = ref(new Set());
+    const selectedIds = ref(new Set());
+    const bulkRunning = ref(false);
+    // Outcome of the last bulk confirm: { total, confirmed, failures: [{ name, message }] }
+    const bulkResult = ref(null);
+    const showReconciler = ref(false);
+    // Action awaiting its note: { key, player, note, noteError, submitting }
+    const pendingAction = ref(null);
+    // The waitlist, from the admin-only /rr/waitlist route, for admins who may promote
+    const canPromote = hasAdminPermission('waitlist');
+    const waitlistPlayers = ref([]);
     const currentSort = reactive({
       key: 'registered_at',
       direction: 'desc'
@@ -28,6 +113,13 @@ const ApprovalsPanel = {
 
     const playerCount = computed(() => pendingPlayers.value.length);
 
+    // Selected players still in the pending list (confirmed ones drop out on refresh)
+    const selectedPlayers = computed(() => pendingPlayers.value.filter(p => selectedIds.value.has(p.internal_user_id)));
+
+    const allVisibleSelected = computed(() =>
+      pendingPlayers.value.length > 0 && selectedPlayers.value.length === pendingPlayers.value.length
+    );
+
     onMounted(() => {
       fetchPlayers();
     });
@@ -38,12 +130,14 @@ const ApprovalsPanel = {
       try {
         const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
         console.log('[ApprovalsPanel] Fetching roster...');
-        const response = await fetch(`${apiUrl}/rr/roster?include_id=true`, getFetchOptions());
+        const response = await fetch(`${apiUrl}/rr/roster?include_id=true`, getAdminFetchOptions());
         const data = await handleApiResponse(response);
         players.value = data.roster || [];
+        pruneSelection();
         eventDate.value = data.event_date || '';
         eventType.value = data.event_type || '';
         console.log(`[ApprovalsPanel] Found ${pendingPlayers.value.length} pending players`);
+        if (canPromote) await fetchWaitlist(apiUrl);
       } catch (err) {
         console.error('[ApprovalsPanel] Failed to fetch players:', err);
         error.value = getErrorMessage(err, 'fetching pending registrations');
@@ -52,18 +146,29 @@ const ApprovalsPanel = {
       }
     };
 
-    const confirmPlayer = async (player) => {
-      if (!player.internal_user_id) {
-        showError('Cannot confirm player: Missing user ID');
-        return;
+    // A waitlist that fails to load only hides the Promote buttons
+    const fetchWaitlist = async (apiUrl) => {
+      try {
+        const response = await fetch(`${apiUrl}/rr/waitlist`, getAdminFetchOptions());
+        const data = await handleApiResponse(response);
+        waitlistPlayers.value = Array.isArray(data.waitlist) ? data.waitlist : [];
+      } catch (err) {
+        console.error('[ApprovalsPanel] Failed to fetch waitlist:', err);
+        waitlistPlayers.value = [];
       }
+    };
+
+    const getPlayerName = (player) => player.full_name || `${player.first_name} ${player.last_name}`;
+
+    // Sends one confirmation; throws on failure. Callers refresh the roster.
+    const sendConfirmation = async (player) => {
       processingPlayers.value.add(player.internal_user_id);
       try {
         const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
         console.log('[ApprovalsPanel] Confirming player:', player.internal_user_id);
         const response = await fetch(
           `${apiUrl}/rr/registration/confirm`,
-          getFetchOptions({
+          getAdminFetchOptions({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ internal_user_id: player.internal_user_id })
@@ -71,18 +176,143 @@ const ApprovalsPanel = {
         );
         const data = await handleApiResponse(response);
         console.log('[ApprovalsPanel] Player confirmed:', data);
-        const playerName = player.full_name || `${player.first_name} ${player.last_name}`;
-        showSuccess(`Successfully confirmed ${playerName}`);
+        return data;
+      } finally {
+        processingPlayers.value.delete(player.internal_user_id);
+      }
+    };
+
+    const confirmPlayer = async (player) => {
+      if (!player.internal_user_id) {
+        showError('Cannot confirm player: Missing user ID');
+        return;
+      }
+      try {
+        await sendConfirmation(player);
+        showSuccess(`Successfully confirmed ${getPlayerName(player)}`);
         await fetchPlayers();
       } catch (err) {
         console.error('[ApprovalsPanel] Failed to confirm player:', err);
-        const playerName = player.full_name || `${player.first_name} ${player.last_name}`;
-        showError(`Failed to confirm ${playerName}: ${err.message}`);
+        showError(`Failed to confirm ${getPlayerName(player)}: ${err.message}`);
+      }
+    };
+
+    // Confirms a batch of players, a few at a time, then refreshes the roster once.
+    // Failed players are left selected so the treasurer can retry them.
+    const confirmPlayers = async (batch) => {
+      if (batch.length === 0 || bulkRunning.value) return;
+
+      bulkRunning.value = true;
+      bulkResult.value = null;
+      error.value = null;
+      console.log(`[ApprovalsPanel] Bulk confirming ${batch.length} players`);
+      try {
+        const outcomes = await runWithConcurrency(batch, BULK_CONFIRM_CONCURRENCY, sendConfirmation);
+        const failures = outcomes.filter(outcome => !outcome.ok);
+        outcomes.filter(outcome => outcome.ok).forEach(outcome => selectedIds.value.delete(outcome.item.internal_user_id));
+        failures.forEach(outcome => {
+          console.error('[ApprovalsPanel] Failed to confirm player:', outcome.error);
+          selectedIds.value.add(outcome.item.internal_user_id);
+        });
+
+        bulkResult.value = {
+          total: batch.length,
+          confirmed: batch.length - failures.length,
+          failures: failures.map(outcome => ({
+            name: getPlayerName(outcome.item),
+            message: outcome.error.message
+          }))
+        };
+        await fetchPlayers();
       } finally {
-        processingPlayers.value.delete(player.internal_user_id);
+        bulkRunning.value = false;
+      }
+    };
+
+    const confirmSelected = () => confirmPlayers(selectedPlayers.value.filter(p => p.internal_user_id));
+
+    // Players matched to payments by the reconciler (reconcile.js)
+    const confirmReconciled = async (matchedPlayers) => {
+      await confirmPlayers(matchedPlayers.filter(p => p.internal_user_id));
+      if (bulkResult.value && bulkResult.value.failures.length === 0) {
+        showReconciler.value = false;
+      }
+    };
+
+    const openAction = (key, player) => {
+      pendingAction.value = { key, player, note: '', noteError: '', submitting: false };
+    };
+
+    const closeAction = () => {
+      if (pendingAction.value && !pendingAction.value.submitting) pendingAction.value = null;
+    };
+
+    const actionConfig = computed(() => (pendingAction.value ? REGISTRATION_ACTIONS[pendingAction.value.key] : null));
+
+    const submitAction = async () => {
+      const action = pendingAction.value;
+      const config = REGISTRATION_ACTIONS[action.key];
+      const note = action.note.trim();
+      if (config.noteRequired && !note) {
+        action.noteError = `${config.noteLabel} is required.`;
+        return;
+      }
+
+      action.submitting = true;
+      action.noteError = '';
+      processingPlayers.value.add(action.player.internal_user_id);
+      try {
+        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
+        console.log(`[ApprovalsPanel] ${config.label}:`, action.player.internal_user_id);
+        const response = await fetch(
+          `${apiUrl}${config.path}`,
+          getAdminFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ internal_user_id: action.player.internal_user_id, ...(note && { note }) })
+          })
+        );
+        await handleApiResponse(response);
+        pendingAction.value = null;
+        selectedIds.value.delete(action.player.internal_user_id);
+        showSuccess(`${config.done} ${getPlayerName(action.player)}`);
+        await fetchPlayers();
+      } catch (err) {
+        console.error(`[ApprovalsPanel] ${config.label} failed:`, err);
+        // Validation errors belong next to the note; anything else is shown in the dialog
+        action.noteError = err.fields?.note || getErrorMessage(err, config.title.toLowerCase());
+      } finally {
+        action.submitting = false;
+        processingPlayers.value.delete(action.player.internal_user_id);
       }
     };
 
+    const isSelected = (player) => selectedIds.value.has(player.internal_user_id);
+
+    const toggleSelected = (player) => {
+      if (isSelected(player)) {
+        selectedIds.value.delete(player.internal_user_id);
+      } else {
+        selectedIds.value.add(player.internal_user_id);
+      }
+    };
+
+    const toggleSelectAllVisible = () => {
+      if (allVisibleSelected.value) {
+        selectedIds.value.clear();
+      } else {
+        pendingPlayers.value.forEach(p => selectedIds.value.add(p.internal_user_id));
+      }
+    };
+
+    // Drops selections for players who are no longer pending
+    const pruneSelection = () => {
+      const pendingIds = new Set(pendingPlayers.value.map(p => p.internal_user_id));
+      [...selectedIds.value].forEach(id => {
+        if (!pendingIds.has(id)) selectedIds.value.delete(id);
+      });
+    };
+
     const sortPlayers = (playerList) => {
       if (!currentSort.key || playerList.length === 0) return playerList;
       const key = currentSort.key;
@@ -155,8 +385,12 @@ const ApprovalsPanel = {
 
     return {
       players, loading, error, eventDate, eventType, successMessage, currentSort,
-      pendingPlayers, playerCount,
-      fetchPlayers, confirmPlayer, isProcessing,
+      pendingPlayers, playerCount, selectedPlayers, allVisibleSelected, bulkRunning, bulkResult, showReconciler,
+      pendingAction, actionConfig, pendingActions: PENDING_ACTIONS, canPromote, waitlistPlayers,
+      noteMaxLength: ACTION_NOTE_MAX_LENGTH,
+      fetchPlayers, confirmPlayer, confirmSelected, confirmReconciled, isProcessing,
+      openAction, closeAction, submitAction,
+      isSelected, toggleSelected, toggleSelectAllVisible,
       formatStatus, formatEventDate, formatRegisteredAt,
       sortBy, getSortClass
     };
@@ -182,10 +416,42 @@ const ApprovalsPanel = {
 
       <div v-if="loading" class="loading-message">Loading pending registrations...</div>
 
+      <div v-if="bulkResult" class="bulk-result" :class="bulkResult.failures.length ? 'bulk-result-partial' : 'bulk-result-success'">
+        <p><strong>Confirmed {{ bulkResult.confirmed }} of {{ bulkResult.total }} players.</strong></p>
+        <template v-if="bulkResult.failures.length">
+          <p>These could not be confirmed and are still selected:</p>
+          <ul>
+            <li v-for="failure in bulkResult.failures" :key="failure.name">{{ failure.name }}: {{ failure.message }}</li>
+          </ul>
+        </template>
+        <button class="cancel-button" @click="bulkResult = null">Dismiss</button>
+      </div>
+
       <div v-if="!loading && !error" class="player-count">
         {{ playerCount }} pending registration{{ playerCount !== 1 ? 's' : '' }}
       </div>
 
+      <div v-if="!loading && !error && playerCount > 0" class="bulk-actions">
+        <span>{{ selectedPlayers.length }} selected</span>
+        <button
+          class="confirm-button"
+          :class="{ processing: bulkRunning }"
+          @click="confirmSelected"
+          :disabled="bulkRunning || selectedPlayers.length === 0"
+        >{{ bulkRunning ? 'Confirming selected...' : 'Confirm selected' }}</button>
+        <button class="refresh-button" @click="showReconciler = !showReconciler" :disabled="bulkRunning">
+          {{ showReconciler ? 'Hide reconciliation' : 'Reconcile payments' }}
+        </button>
+      </div>
+
+      <payment-reconciler
+        v-if="showReconciler && !loading && !error && playerCount > 0"
+        :players="pendingPlayers"
+        :busy="bulkRunning"
+        @confirm-matches="confirmReconciled"
+        @close="showReconciler = false"
+      ></payment-reconciler>
+
       <div v-if="!loading && !error && playerCount === 0" class="empty-message">
         No pending registrations at this time.
       </div>
@@ -194,6 +460,16 @@ const ApprovalsPanel = {
         <table class="pending-table">
           <thead>
             <tr>
+              <th class="select-column">
+                <input
+                  type="checkbox"
+                  title="Select all visible"
+                  aria-label="Select all visible"
+                  :checked="allVisibleSelected"
+                  :disabled="bulkRunning"
+                  @change="toggleSelectAllVisible"
+                />
+              </th>
               <th :class="getSortClass('registered_at')" @click="sortBy('registered_at')">Registered At</th>
               <th :class="getSortClass('first_name')" @click="sortBy('first_name')">First Name</th>
               <th :class="getSortClass('last_name')" @click="sortBy('last_name')">Last Name</th>
@@ -203,7 +479,16 @@ const ApprovalsPanel = {
             </tr>
           </thead>
           <tbody>
-            <tr v-for="player in pendingPlayers" :key="player.internal_user_id">
+            <tr v-for="player in pendingPlayers" :key="player.internal_user_id" :class="{ selected: isSelected(player) }">
+              <td class="select-column">
+                <input
+                  type="checkbox"
+                  :aria-label="'Select ' + player.first_name + ' ' + player.last_name"
+                  :checked="isSelected(player)"
+                  :disabled="bulkRunning"
+                  @change="toggleSelected(player)"
+                />
+              </td>
               <td>{{ formatRegisteredAt(player.registered_at) }}</td>
               <td>{{ player.first_name }}</td>
               <td>{{ player.last_name }}</td>
@@ -223,14 +508,81 @@ const ApprovalsPanel = {
                     class="confirm-button"
                     :class="{ processing: isProcessing(player) }"
                     @click="confirmPlayer(player)"
-                    :disabled="isProcessing(player)"
+                    :disabled="isProcessing(player) || bulkRunning"
                   >{{ isProcessing(player) ? 'Confirming...' : 'Confirm' }}</button>
+                  <button
+                    v-for="(action, key) in pendingActions"
+                    :key="key"
+                    :class="action.buttonClass"
+                    @click="openAction(key, player)"
+                    :disabled="isProcessing(player) || bulkRunning"
+                  >{{ action.label }}</button>
                 </div>
               </td>
             </tr>
           </tbody>
         </table>
       </div>
+
+      <template v-if="!loading && !error && canPromote && waitlistPlayers.length > 0">
+        <div class="player-count waitlist-count">
+          {{ waitlistPlayers.length }} on the waitlist
+        </div>
+        <div class="pending-table-container">
+          <table class="pending-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>First Name</th>
+                <th>Last Name</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr v-for="(player, index) in waitlistPlayers" :key="player.internal_user_id">
+                <td class="waitlist-position">{{ player.position || index + 1 }}</td>
+                <td>{{ player.first_name }}</td>
+                <td>{{ player.last_name }}</td>
+                <td>
+                  <button
+                    class="confirm-button"
+                    @click="openAction('promote', player)"
+                    :disabled="isProcessing(player) || bulkRunning"
+                  >Promote</button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </template>
+
+      <div v-if="pendingAction" class="action-dialog-overlay" @click.self="closeAction">
+        <div class="action-dialog" role="dialog" aria-labelledby="action-dialog-title">
+          <h4 id="action-dialog-title">{{ actionConfig.title }}</h4>
+          <p>{{ pendingAction.player.full_name || (pendingAction.player.first_name + ' ' + pendingAction.player.last_name) }}</p>
+          <div class="form-group">
+            <label for="action-note">
+              {{ actionConfig.noteLabel }}
+              <span v-if="!actionConfig.noteRequired" class="optional-hint">(optional)</span>
+            </label>
+            <textarea
+              id="action-note"
+              class="event-textarea"
+              rows="3"
+              :maxlength="noteMaxLength"
+              v-model="pendingAction.note"
+              placeholder="Kept in the audit log"
+            ></textarea>
+            <div v-if="pendingAction.noteError" class="error-text">{{ pendingAction.noteError }}</div>
+          </div>
+          <div class="action-buttons">
+            <button :class="actionConfig.buttonClass" @click="submitAction" :disabled="pendingAction.submitting">
+              {{ pendingAction.submitting ? 'Saving...' : actionConfig.label }}
+            </button>
+            <button class="cancel-button" @click="closeAction" :disabled="pendingAction.submitting">Cancel</button>
+          </div>
+        </div>
+      </div>
     </div>
   `
 };
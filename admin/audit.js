@@ -1,6 +1,7 @@
 // BTTC Admin - Registration Audit Panel
-// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse
-// Auth is handled by the shell (shell.js). This component assumes the user is authenticated.
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// This component assumes the user is authenticated.
 // Vue globals (ref, computed, onMounted) are declared by shell.js.
 
 const AuditPanel = {
@@ -28,7 +29,7 @@ const AuditPanel = {
         params.set('limit', activeLimit.value.toString());
         const url = `${apiUrl}/rr/registration-audit?${params.toString()}`;
         console.log('[AuditPanel] Fetching audit:', url);
-        const response = await fetch(url, getFetchOptions());
+        const response = await fetch(url, getAdminFetchOptions());
         const data = await handleApiResponse(response);
         entries.value = data.entries || [];
         console.log(`[AuditPanel] Loaded ${entries.value.length} audit entries`);
@@ -63,16 +64,27 @@ const AuditPanel = {
       } catch (err) { return dateStr; }
     };
 
+    const isPlayerEvent = (eventType) => eventType === 'REGISTER_PLAYER' || eventType === 'UNREGISTER_PLAYER';
+
+    // Player actions have fixed labels; admin actions (e.g. CONFIRM_PAYMENT) are humanized
     const eventLabel = (eventType) => {
       if (eventType === 'REGISTER_PLAYER') return 'Registered';
       if (eventType === 'UNREGISTER_PLAYER') return 'Unregistered';
-      return eventType || '—';
+      if (!eventType) return '—';
+      const words = eventType.toLowerCase().replace(/_/g, ' ');
+      return words.charAt(0).toUpperCase() + words.slice(1);
     };
 
     const eventBadgeClass = (eventType) => {
       if (eventType === 'REGISTER_PLAYER') return 'event-badge event-badge-register';
       if (eventType === 'UNREGISTER_PLAYER') return 'event-badge event-badge-unregister';
-      return 'event-badge';
+      return 'event-badge event-badge-admin';
+    };
+
+    // Admin who performed the action (sent by the API proxy as X-Admin-User)
+    const actorLabel = (entry) => {
+      if (entry.actor) return entry.actor;
+      return isPlayerEvent(entry.event_type) ? 'Player' : '—';
     };
 
     const statusBadgeClass = (status) => {
@@ -86,14 +98,14 @@ const AuditPanel = {
     return {
       entries, loading, error, entryCount, activeFilter, activeLimit, limitOptions,
       fetchAudit, setFilter, setLimit,
-      formatDateTime, eventLabel, eventBadgeClass, statusBadgeClass
+      formatDateTime, eventLabel, eventBadgeClass, actorLabel, statusBadgeClass
     };
   },
 
   template: `
     <div class="admin-container audit-container">
       <h3>Registration Audit Log</h3>
-      <p class="audit-subtitle">Who registered or unregistered for RR events, and when.</p>
+      <p class="audit-subtitle">Who registered or unregistered for RR events, which admin confirmed, rejected or refunded a registration, moved players on or off the waitlist or changed events, and when.</p>
 
       <div class="audit-controls">
         <div class="audit-filter-tabs">
@@ -133,6 +145,7 @@ const AuditPanel = {
               <th>Time</th>
               <th>Action</th>
               <th>Player Name</th>
+              <th>Actor</th>
               <th>Notes</th>
               <th>Status</th>
             </tr>
@@ -144,6 +157,7 @@ const AuditPanel = {
                 <span :class="eventBadgeClass(entry.event_type)">{{ eventLabel(entry.event_type) }}</span>
               </td>
               <td>{{ entry.player_full_name || '—' }}</td>
+              <td :class="{ 'audit-cell-actor': !!entry.actor }">{{ actorLabel(entry) }}</td>
               <td class="audit-cell-notes">{{ entry.notes || '—' }}</td>
               <td>
                 <span :class="statusBadgeClass(entry.status)">{{ entry.status || '—' }}</span>
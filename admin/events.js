@@ -1,11 +1,17 @@
 // BTTC Admin - Events Panel
 // Open and close RR events. Replaces the manual `workflow_dispatch` trigger that went away
-// when .github/workflows/open-event.yml and close-event.yml were retired.
-// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse
-// Auth is handled by the shell (shell.js). This component assumes the user is authenticated.
+// when .github/workflows/open-event.yml and close-event.yml were retired; recurring series
+// (EventSeriesEditor, series.js) bring back the automatic schedule.
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse,
+// getRegistrationWindow, formatRegistrationTime
+// From event-series.js: zonedTimeToDate, addDaysToDate; from series.js: newSeriesForm
+// Limits loaded from form-limits.js: COMMENT_MAX_LENGTH (announcement notes)
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// This component assumes the user is authenticated.
 // Vue globals (ref, reactive, computed, onMounted) are declared by shell.js.
 
 const EventsPanel = {
+  components: { EventSeriesEditor },
   setup() {
     const openEvents = ref([]);
     const loading = ref(false);
@@ -15,6 +21,18 @@ const EventsPanel = {
     // event_id awaiting a second click to confirm, and the one currently being closed
     const confirmingCloseId = ref(null);
     const closingId = ref(null);
+    // Open event being edited in place, its draft values and field errors
+    const editingId = ref(null);
+    const editForm = reactive({
+      event_date: '', max_capacity: null, announcement_notes: '',
+      registration_opens_at: '', registration_closes_at: ''
+    });
+    const editErrors = ref({});
+    const savingEdit = ref(false);
+    // Confirmed players in the event being edited; capacity can't go below it (null if unknown)
+    const editConfirmedCount = ref(null);
+    // Event date the edited registration window currently leads up to
+    const editWindowDate = ref('');
 
     const eventTypes = [
       { value: 'rr', label: 'Round Robin' },
@@ -29,21 +47,26 @@ const EventsPanel = {
       // open-event cron job posted. Note ENV.DEFAULT_PLAYER_CAP is 64 - the two are
       // out of sync; the field is editable until they're reconciled.
       max_capacity: 66,
-      announcement_notes: ''
+      announcement_notes: '',
+      // Registration window, as datetime-local values in the club's timezone
+      registration_opens_at: '',
+      registration_closes_at: ''
     });
 
     const eventCount = computed(() => openEvents.value.length);
 
     onMounted(() => {
       form.event_date = nextFridayISO();
+      applyDefaultWindow();
       fetchOpenEvents();
     });
 
     const getApiUrl = () => (typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api');
+    const getTimezone = () => (typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles');
 
     // Today's date in the club's timezone, as YYYY-MM-DD ('en-CA' formats that way).
     const todayInTimezone = () => {
-      const tz = typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles';
+      const tz = getTimezone();
       return new Intl.DateTimeFormat('en-CA', {
         timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
       }).format(new Date());
@@ -61,15 +84,63 @@ const EventsPanel = {
       return dt.toISOString().slice(0, 10);
     };
 
+    // Registration window inputs are datetime-local values ('YYYY-MM-DDTHH:MM') read as
+    // club time, whatever the browser's own timezone; the API gets ISO timestamps.
+    const windowInputToISO = (value) => (
+      value ? zonedTimeToDate(value.slice(0, 10), value.slice(11, 16), getTimezone()).toISOString() : null
+    );
+
+    const isoToWindowInput = (iso) => {
+      if (!iso || Number.isNaN(Date.parse(iso))) return '';
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+          timeZone: getTimezone(), year: 'numeric', month: '2-digit', day: '2-digit',
+          hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(new Date(iso)).map(part => [part.type, part.value])
+      );
+      return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+    };
+
+    // Same default window a new recurring series gets (opens two days before, closes on the day)
+    const applyDefaultWindow = () => {
+      if (!form.event_date) return;
+      const defaults = newSeriesForm();
+      form.registration_opens_at = `${addDaysToDate(form.event_date, -defaults.opens_days_before)}T${defaults.opens_at}`;
+      form.registration_closes_at = `${addDaysToDate(form.event_date, -defaults.closes_days_before)}T${defaults.closes_at}`;
+    };
+
+    // Moving an event's date in the inline edit moves its registration window by as many days,
+    // so the window still leads up to the event
+    const shiftEditWindow = () => {
+      const fromDate = editWindowDate.value;
+      const toDate = editForm.event_date;
+      if (!fromDate || !toDate || fromDate === toDate) return;
+      const days = Math.round((Date.parse(toDate) - Date.parse(fromDate)) / (24 * 60 * 60 * 1000));
+      const shift = (value) => (value ? `${addDaysToDate(value.slice(0, 10), days)}${value.slice(10)}` : value);
+      editForm.registration_opens_at = shift(editForm.registration_opens_at);
+      editForm.registration_closes_at = shift(editForm.registration_closes_at);
+      editWindowDate.value = toDate;
+    };
+
+    // Error message for a window, or null when it's usable. A missing bound doesn't
+    // restrict registration (older events have none), so only a pair is checked here.
+    const checkWindow = (opensAt, closesAt) => {
+      if (opensAt && closesAt && windowInputToISO(opensAt) >= windowInputToISO(closesAt)) {
+        return 'Registration must open before it closes.';
+      }
+      return null;
+    };
+
     const fetchOpenEvents = async () => {
       loading.value = true;
       error.value = null;
       confirmingCloseId.value = null;
+      editingId.value = null;
       try {
         console.log('[EventsPanel] Fetching open events...');
         const response = await fetch(
           `${getApiUrl()}/events/all`,
-          getFetchOptions({
+          getAdminFetchOptions({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ status: 'OPEN' })
@@ -98,11 +169,22 @@ const EventsPanel = {
         showError('Max capacity must be a whole number greater than zero.');
         return;
       }
+      if (!form.registration_opens_at || !form.registration_closes_at) {
+        showError('Please set when registration opens and closes.');
+        return;
+      }
+      const windowError = checkWindow(form.registration_opens_at, form.registration_closes_at);
+      if (windowError) {
+        showError(windowError);
+        return;
+      }
 
       const payload = {
         event_type: form.event_type,
         event_date: form.event_date,
-        max_capacity: capacity
+        max_capacity: capacity,
+        registration_opens_at: windowInputToISO(form.registration_opens_at),
+        registration_closes_at: windowInputToISO(form.registration_closes_at)
       };
       const notes = form.announcement_notes.trim();
       if (notes) payload.announcement_notes = notes;
@@ -112,7 +194,7 @@ const EventsPanel = {
         console.log('[EventsPanel] Opening event:', payload);
         const response = await fetch(
           `${getApiUrl()}/events/open`,
-          getFetchOptions({
+          getAdminFetchOptions({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload)
@@ -141,7 +223,7 @@ const EventsPanel = {
         console.log('[EventsPanel] Closing event:', event.event_id);
         const response = await fetch(
           `${getApiUrl()}/events/close`,
-          getFetchOptions({
+          getAdminFetchOptions({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ event_id: event.event_id })
@@ -160,6 +242,113 @@ const EventsPanel = {
       }
     };
 
+    const startEdit = async (event) => {
+      editingId.value = event.event_id;
+      confirmingCloseId.value = null;
+      editErrors.value = {};
+      editForm.event_date = String(event.event_date || '').slice(0, 10);
+      editForm.max_capacity = event.max_capacity;
+      editForm.announcement_notes = event.announcement_notes || '';
+      editForm.registration_opens_at = isoToWindowInput(event.registration_opens_at);
+      editForm.registration_closes_at = isoToWindowInput(event.registration_closes_at);
+      editWindowDate.value = editForm.event_date;
+      editConfirmedCount.value = event.confirmed_count ?? null;
+      if (editConfirmedCount.value !== null) return;
+
+      // Not in /events/all; the admin capacity route has it, uncached (the public
+      // /rr/capacity may be a few seconds old). The backend checks again on save.
+      try {
+        const response = await fetch(
+          `${getApiUrl()}/events/${encodeURIComponent(event.event_id)}/capacity`,
+          getAdminFetchOptions()
+        );
+        const data = await handleApiResponse(response);
+        if (editingId.value === event.event_id && data && data.confirmed_count !== undefined) {
+          editConfirmedCount.value = Number(data.confirmed_count);
+        }
+      } catch (err) {
+        console.warn('[EventsPanel] Could not load the confirmed count:', err.message);
+      }
+    };
+
+    const cancelEdit = () => {
+      editingId.value = null;
+      editErrors.value = {};
+    };
+
+    const saveEdit = async (event) => {
+      error.value = null;
+      const errors = {};
+      const capacity = Number(editForm.max_capacity);
+      if (!Number.isInteger(capacity) || capacity <= 0) {
+        errors.max_capacity = 'Max capacity must be a whole number greater than zero.';
+      } else if (editConfirmedCount.value !== null && capacity < editConfirmedCount.value) {
+        errors.max_capacity = `${editConfirmedCount.value} players are already confirmed; capacity can't be lower.`;
+      }
+      if (!editForm.event_date) {
+        errors.event_date = 'Please pick an event date.';
+      }
+      // A bound the event has can be moved but not removed
+      if (event.registration_opens_at && !editForm.registration_opens_at) {
+        errors.registration_opens_at = 'Please pick when registration opens.';
+      }
+      if (event.registration_closes_at && !editForm.registration_closes_at) {
+        errors.registration_closes_at = 'Please pick when registration closes.';
+      }
+      const windowError = checkWindow(editForm.registration_opens_at, editForm.registration_closes_at);
+      if (windowError) {
+        errors.registration_closes_at = windowError;
+      }
+      editErrors.value = errors;
+      if (Object.keys(errors).length) return;
+
+      // Only what changed; empty notes clear them
+      const payload = { event_id: event.event_id };
+      if (capacity !== event.max_capacity) payload.max_capacity = capacity;
+      if (editForm.event_date !== String(event.event_date || '').slice(0, 10)) payload.event_date = editForm.event_date;
+      const notes = editForm.announcement_notes.trim();
+      if (notes !== (event.announcement_notes || '')) payload.announcement_notes = notes;
+      if (editForm.registration_opens_at && editForm.registration_opens_at !== isoToWindowInput(event.registration_opens_at)) {
+        payload.registration_opens_at = windowInputToISO(editForm.registration_opens_at);
+      }
+      if (editForm.registration_closes_at && editForm.registration_closes_at !== isoToWindowInput(event.registration_closes_at)) {
+        payload.registration_closes_at = windowInputToISO(editForm.registration_closes_at);
+      }
+      if (Object.keys(payload).length === 1) {
+        cancelEdit();
+        return;
+      }
+
+      savingEdit.value = true;
+      try {
+        console.log('[EventsPanel] Updating event:', payload);
+        const response = await fetch(
+          `${getApiUrl()}/events/update`,
+          getAdminFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          })
+        );
+        const data = await handleApiResponse(response);
+        console.log('[EventsPanel] Event updated:', data);
+        showSuccess(`Updated ${data.event_name || event.event_name || 'event'}`);
+        editingId.value = null;
+        await fetchOpenEvents();
+      } catch (err) {
+        console.error('[EventsPanel] Failed to update event:', err);
+        if (err.fields) {
+          editErrors.value = err.fields;
+        } else {
+          showError(`Failed to update event: ${err.message}`);
+        }
+      } finally {
+        savingEdit.value = false;
+      }
+    };
+
+    const isEditing = (event) => editingId.value === event.event_id;
+
     const isClosing = (event) => closingId.value === event.event_id;
     const isConfirmingClose = (event) => confirmingCloseId.value === event.event_id;
 
@@ -179,6 +368,14 @@ const EventsPanel = {
       } catch (err) { return dateStr; }
     };
 
+    // "Wed, Nov 4, 10:00 AM PST – Fri, Nov 6, 6:00 PM PST", or 'Not set' for older events
+    const formatWindow = (event) => {
+      const { opensAt, closesAt } = getRegistrationWindow(event);
+      if (opensAt === null && closesAt === null) return 'Not set';
+      const options = { weekday: 'short', month: 'short', day: 'numeric' };
+      return `${formatRegistrationTime(opensAt, options) || '…'} – ${formatRegistrationTime(closesAt, options) || '…'}`;
+    };
+
     const formatEventType = (type) => {
       const match = eventTypes.find(t => t.value === type);
       return match ? match.label : (type || '—');
@@ -186,15 +383,18 @@ const EventsPanel = {
 
     return {
       openEvents, loading, submitting, error, successMessage, form, eventTypes, eventCount,
-      fetchOpenEvents, openEvent, requestClose, cancelClose, closeEvent,
-      isClosing, isConfirmingClose, formatEventDate, formatEventType
+      editForm, editErrors, savingEdit, editConfirmedCount,
+      fetchOpenEvents, openEvent, applyDefaultWindow, requestClose, cancelClose, closeEvent,
+      startEdit, cancelEdit, saveEdit, shiftEditWindow, isEditing,
+      isClosing, isConfirmingClose, formatEventDate, formatWindow, formatEventType,
+      notesMaxLength: COMMENT_MAX_LENGTH
     };
   },
 
   template: `
     <div class="admin-container">
       <h3>Events</h3>
-      <p class="audit-subtitle">Open the weekly event for registration, or close it when registration ends.</p>
+      <p class="audit-subtitle">Open an event with its registration window, or close it early. Players can register only while the window is open.</p>
 
       <div v-if="successMessage" class="success-message">{{ successMessage }}</div>
 
@@ -214,16 +414,24 @@ const EventsPanel = {
           </div>
           <div class="form-group">
             <label for="event-date">Event Date</label>
-            <input id="event-date" type="date" v-model="form.event_date" />
+            <input id="event-date" type="date" v-model="form.event_date" @change="applyDefaultWindow" />
           </div>
           <div class="form-group">
             <label for="event-capacity">Max Capacity</label>
             <input id="event-capacity" type="number" min="1" step="1" v-model.number="form.max_capacity" />
           </div>
+          <div class="form-group">
+            <label for="event-opens-at">Registration Opens</label>
+            <input id="event-opens-at" type="datetime-local" v-model="form.registration_opens_at" />
+          </div>
+          <div class="form-group">
+            <label for="event-closes-at">Registration Closes</label>
+            <input id="event-closes-at" type="datetime-local" v-model="form.registration_closes_at" />
+          </div>
         </div>
         <div class="form-group">
           <label for="event-notes">Announcement Notes <span class="optional-hint">(optional)</span></label>
-          <textarea id="event-notes" class="event-textarea" rows="2" v-model="form.announcement_notes"
+          <textarea id="event-notes" class="event-textarea" rows="2" v-model="form.announcement_notes" :maxlength="notesMaxLength"
                     placeholder="Shown to players on the registration page"></textarea>
         </div>
         <button class="confirm-button" @click="openEvent" :disabled="submitting">
@@ -258,32 +466,94 @@ const EventsPanel = {
               <th>Type</th>
               <th>Date</th>
               <th>Capacity</th>
+              <th>Registration</th>
               <th>ID</th>
               <th>Action</th>
             </tr>
           </thead>
           <tbody>
-            <tr v-for="event in openEvents" :key="event.event_id">
-              <td>{{ event.event_name || '—' }}</td>
-              <td>{{ formatEventType(event.event_type) }}</td>
-              <td>{{ formatEventDate(event.event_date) }}</td>
-              <td>{{ event.max_capacity }}</td>
-              <td>{{ event.event_id }}</td>
-              <td>
-                <div class="action-buttons">
-                  <template v-if="isConfirmingClose(event)">
-                    <button class="close-button" @click="closeEvent(event)" :disabled="isClosing(event)">
-                      {{ isClosing(event) ? 'Closing…' : 'Confirm close' }}
-                    </button>
-                    <button class="cancel-button" @click="cancelClose" :disabled="isClosing(event)">Cancel</button>
+            <template v-for="event in openEvents" :key="event.event_id">
+              <tr :class="{ selected: isEditing(event) }">
+                <td>{{ event.event_name || '—' }}</td>
+                <td>{{ formatEventType(event.event_type) }}</td>
+                <td>
+                  <template v-if="isEditing(event)">
+                    <input type="date" class="event-inline-input" v-model="editForm.event_date" @change="shiftEditWindow" aria-label="Event date" />
+                    <div class="optional-hint">Moves the registration window too</div>
+                    <div v-if="editErrors.event_date" class="error-text">{{ editErrors.event_date }}</div>
                   </template>
-                  <button v-else class="close-button" @click="requestClose(event)">Close</button>
-                </div>
-              </td>
-            </tr>
+                  <template v-else>{{ formatEventDate(event.event_date) }}</template>
+                </td>
+                <td>
+                  <template v-if="isEditing(event)">
+                    <input
+                      type="number"
+                      class="event-inline-input event-inline-capacity"
+                      :min="editConfirmedCount || 1"
+                      step="1"
+                      v-model.number="editForm.max_capacity"
+                      aria-label="Max capacity"
+                    />
+                    <div v-if="editConfirmedCount !== null" class="optional-hint">{{ editConfirmedCount }} confirmed</div>
+                    <div v-if="editErrors.max_capacity" class="error-text">{{ editErrors.max_capacity }}</div>
+                  </template>
+                  <template v-else>{{ event.max_capacity }}</template>
+                </td>
+                <td>{{ formatWindow(event) }}</td>
+                <td>{{ event.event_id }}</td>
+                <td>
+                  <div class="action-buttons">
+                    <template v-if="isEditing(event)">
+                      <button class="confirm-button" @click="saveEdit(event)" :disabled="savingEdit">
+                        {{ savingEdit ? 'Saving…' : 'Save' }}
+                      </button>
+                      <button class="cancel-button" @click="cancelEdit" :disabled="savingEdit">Cancel</button>
+                    </template>
+                    <template v-else-if="isConfirmingClose(event)">
+                      <button class="close-button" @click="closeEvent(event)" :disabled="isClosing(event)">
+                        {{ isClosing(event) ? 'Closing…' : 'Confirm close' }}
+                      </button>
+                      <button class="cancel-button" @click="cancelClose" :disabled="isClosing(event)">Cancel</button>
+                    </template>
+                    <template v-else>
+                      <button class="cancel-button" @click="startEdit(event)">Edit</button>
+                      <button class="close-button" @click="requestClose(event)">Close</button>
+                    </template>
+                  </div>
+                </td>
+              </tr>
+              <tr v-if="isEditing(event)" class="event-edit-row">
+                <td colspan="7">
+                  <div class="event-window-fields">
+                    <div class="form-group">
+                      <label :for="'event-opens-' + event.event_id">Registration Opens</label>
+                      <input :id="'event-opens-' + event.event_id" type="datetime-local" class="event-inline-input" v-model="editForm.registration_opens_at" />
+                      <div v-if="editErrors.registration_opens_at" class="error-text">{{ editErrors.registration_opens_at }}</div>
+                    </div>
+                    <div class="form-group">
+                      <label :for="'event-closes-' + event.event_id">Registration Closes</label>
+                      <input :id="'event-closes-' + event.event_id" type="datetime-local" class="event-inline-input" v-model="editForm.registration_closes_at" />
+                      <div v-if="editErrors.registration_closes_at" class="error-text">{{ editErrors.registration_closes_at }}</div>
+                    </div>
+                  </div>
+                  <label :for="'event-notes-' + event.event_id">Announcement Notes <span class="optional-hint">(empty to remove)</span></label>
+                  <textarea
+                    :id="'event-notes-' + event.event_id"
+                    class="event-textarea"
+                    rows="2"
+                    :maxlength="notesMaxLength"
+                    v-model="editForm.announcement_notes"
+                    placeholder="Shown to players on the registration page"
+                  ></textarea>
+                  <div v-if="editErrors.announcement_notes" class="error-text">{{ editErrors.announcement_notes }}</div>
+                </td>
+              </tr>
+            </template>
           </tbody>
         </table>
       </div>
+
+      <event-series-editor :event-types="eventTypes"></event-series-editor>
     </div>
   `
 };
@@ -0,0 +1,366 @@
+// BTTC Admin - Past Events Panel
+// Closed events by date and type, with each one's attendance and takings, so the board
+// can follow turnout over the season. Selecting an event shows its final roster,
+// waitlist and no-shows.
+// The backend answers both reads:
+// - GET /events/past?event_type=&from=&to= -> { events: [{ event_id, event_name, event_type,
+//   event_date, max_capacity, roster_count, waitlist_count, no_show_count,
+//   confirmed_payment_count, expected_revenue }] }, newest first
+// - GET /events/:event_id/report -> { event, roster, waitlist, no_shows,
+//   confirmed_payment_count, expected_revenue }
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// Vue globals (ref, reactive, computed, onMounted) are declared by shell.js.
+
+// How far back the list starts when the panel opens
+const PAST_EVENTS_DEFAULT_DAYS = 180;
+
+const PastEventsPanel = {
+  setup() {
+    const events = ref([]);
+    const loading = ref(false);
+    const error = ref(null);
+    const filters = reactive({ event_type: '', from: '', to: '' });
+    // Event whose report is shown, and the report once loaded
+    const selectedEvent = ref(null);
+    const report = ref(null);
+    const reportLoading = ref(false);
+    const reportError = ref(null);
+
+    const eventTypes = [
+      { value: '', label: 'All' },
+      { value: 'rr', label: 'Round Robin' },
+      { value: 'group_training', label: 'Group Training' },
+      { value: 'tournament', label: 'Tournament' }
+    ];
+
+    const eventCount = computed(() => events.value.length);
+
+    // Turnout and takings across the listed events
+    const totals = computed(() => {
+      const sum = (key) => events.value.reduce((total, event) => total + (Number(event[key]) || 0), 0);
+      const players = sum('roster_count');
+      const noShows = sum('no_show_count');
+      return {
+        players,
+        noShows,
+        averagePlayers: eventCount.value ? players / eventCount.value : 0,
+        attendanceRate: players ? (players - noShows) / players : null,
+        confirmedPayments: sum('confirmed_payment_count'),
+        expectedRevenue: sum('expected_revenue')
+      };
+    });
+
+    const getApiUrl = () => (typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api');
+    const getTimezone = () => (typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles');
+
+    // A date some days before today in the club's timezone, as YYYY-MM-DD ('en-CA' formats that way)
+    const daysAgoInTimezone = (days) => new Intl.DateTimeFormat('en-CA', {
+      timeZone: getTimezone(), year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+    onMounted(() => {
+      filters.from = daysAgoInTimezone(PAST_EVENTS_DEFAULT_DAYS);
+      fetchPastEvents();
+    });
+
+    const fetchPastEvents = async () => {
+      loading.value = true;
+      error.value = null;
+      try {
+        const params = new URLSearchParams();
+        if (filters.event_type) params.set('event_type', filters.event_type);
+        if (filters.from) params.set('from', filters.from);
+        if (filters.to) params.set('to', filters.to);
+        const url = `${getApiUrl()}/events/past?${params.toString()}`;
+        console.log('[PastEventsPanel] Fetching past events:', url);
+        const response = await fetch(url, getAdminFetchOptions());
+        const data = await handleApiResponse(response);
+        events.value = Array.isArray(data.events) ? data.events : [];
+        console.log(`[PastEventsPanel] Found ${events.value.length} past event(s)`);
+      } catch (err) {
+        console.error('[PastEventsPanel] Failed to fetch past events:', err);
+        error.value = getErrorMessage(err, 'loading past events');
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const setTypeFilter = async (type) => {
+      if (filters.event_type === type) return;
+      filters.event_type = type;
+      await fetchPastEvents();
+    };
+
+    const selectEvent = async (event) => {
+      if (selectedEvent.value && selectedEvent.value.event_id === event.event_id) {
+        closeReport();
+        return;
+      }
+      selectedEvent.value = event;
+      report.value = null;
+      reportError.value = null;
+      reportLoading.value = true;
+      try {
+        console.log('[PastEventsPanel] Fetching report for event:', event.event_id);
+        const response = await fetch(
+          `${getApiUrl()}/events/${encodeURIComponent(event.event_id)}/report`,
+          getAdminFetchOptions()
+        );
+        const data = await handleApiResponse(response);
+        // Ignore a report that arrives after another event was picked
+        if (selectedEvent.value && selectedEvent.value.event_id === event.event_id) {
+          report.value = {
+            roster: Array.isArray(data.roster) ? data.roster : [],
+            waitlist: Array.isArray(data.waitlist) ? data.waitlist : [],
+            noShows: Array.isArray(data.no_shows) ? data.no_shows : [],
+            confirmedPaymentCount: data.confirmed_payment_count ?? event.confirmed_payment_count,
+            expectedRevenue: data.expected_revenue ?? event.expected_revenue
+          };
+        }
+      } catch (err) {
+        console.error('[PastEventsPanel] Failed to fetch event report:', err);
+        reportError.value = getErrorMessage(err, 'loading the event report');
+      } finally {
+        reportLoading.value = false;
+      }
+    };
+
+    const closeReport = () => {
+      selectedEvent.value = null;
+      report.value = null;
+      reportError.value = null;
+    };
+
+    const isSelected = (event) => !!selectedEvent.value && selectedEvent.value.event_id === event.event_id;
+
+    const getPlayerName = (player) => player.full_name || `${player.first_name} ${player.last_name}`;
+
+    const formatEventDate = (dateStr) => {
+      if (!dateStr) return '—';
+      try {
+        // Date-only strings are parsed as UTC midnight; format in UTC so the day doesn't shift.
+        return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z').toLocaleDateString('en-US', {
+          weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+        });
+      } catch (err) { return dateStr; }
+    };
+
+    const formatEventType = (type) => {
+      const match = eventTypes.find(t => t.value && t.value === type);
+      return match ? match.label : (type || '—');
+    };
+
+    const formatCurrency = (amount) => {
+      if (amount === null || amount === undefined || amount === '') return '—';
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(Number(amount) || 0);
+    };
+
+    const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
+
+    // Share of registered players who turned up
+    const attendanceRate = (event) => {
+      const players = Number(event.roster_count) || 0;
+      return players ? (players - (Number(event.no_show_count) || 0)) / players : null;
+    };
+
+    const formatStatus = (status) => {
+      if (!status) return '—';
+      if (status === 'PENDING_PAYMENT') return 'Pending Payment';
+      return status.charAt(0) + status.slice(1).toLowerCase();
+    };
+
+    return {
+      events, loading, error, filters, eventTypes, eventCount, totals,
+      selectedEvent, report, reportLoading, reportError,
+      fetchPastEvents, setTypeFilter, selectEvent, closeReport, isSelected,
+      getPlayerName, formatEventDate, formatEventType, formatCurrency, formatPercent,
+      attendanceRate, formatStatus
+    };
+  },
+
+  template: `
+    <div class="admin-container">
+      <h3>Past Events</h3>
+      <p class="audit-subtitle">Closed events with their turnout, no-shows and takings. Pick an event to see its final roster and waitlist.</p>
+
+      <div class="audit-controls">
+        <div class="audit-filter-tabs">
+          <button
+            v-for="t in eventTypes"
+            :key="t.value"
+            class="filter-tab"
+            :class="{ active: filters.event_type === t.value }"
+            @click="setTypeFilter(t.value)"
+          >{{ t.label }}</button>
+        </div>
+        <div class="audit-actions">
+          <label class="past-events-range">
+            From <input type="date" v-model="filters.from" @change="fetchPastEvents" />
+          </label>
+          <label class="past-events-range">
+            To <input type="date" v-model="filters.to" @change="fetchPastEvents" />
+          </label>
+          <button class="refresh-button" @click="fetchPastEvents" :disabled="loading">
+            {{ loading ? 'Loading…' : '↻ Refresh' }}
+          </button>
+        </div>
+      </div>
+
+      <div v-if="error" class="error-message">
+        <p><strong>Error:</strong></p>
+        <p>{{ error }}</p>
+      </div>
+
+      <div v-if="loading" class="loading-message">Loading past events…</div>
+
+      <div v-if="!loading && !error" class="player-count">
+        {{ eventCount }} past event{{ eventCount !== 1 ? 's' : '' }}
+      </div>
+
+      <div v-if="!loading && !error && eventCount === 0" class="empty-message">
+        No closed events in this range.
+      </div>
+
+      <dl v-if="!loading && !error && eventCount > 0" class="system-details past-events-totals">
+        <dt>Players per event</dt>
+        <dd>{{ totals.averagePlayers.toFixed(1) }}</dd>
+        <dt>Turned up</dt>
+        <dd>{{ formatPercent(totals.attendanceRate) }} <span class="system-muted">({{ totals.noShows }} no-shows)</span></dd>
+        <dt>Confirmed payments</dt>
+        <dd>{{ totals.confirmedPayments }}</dd>
+        <dt>Expected revenue</dt>
+        <dd>{{ formatCurrency(totals.expectedRevenue) }}</dd>
+      </dl>
+
+      <div v-if="!loading && !error && eventCount > 0" class="pending-table-container">
+        <table class="pending-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Event</th>
+              <th>Type</th>
+              <th>Players</th>
+              <th>Waitlist</th>
+              <th>No-shows</th>
+              <th>Turned up</th>
+              <th>Paid</th>
+              <th>Expected</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr v-for="event in events" :key="event.event_id" :class="{ selected: isSelected(event) }">
+              <td>{{ formatEventDate(event.event_date) }}</td>
+              <td>{{ event.event_name || '—' }}</td>
+              <td>{{ formatEventType(event.event_type) }}</td>
+              <td>{{ event.roster_count ?? '—' }}<span v-if="event.max_capacity" class="system-muted"> / {{ event.max_capacity }}</span></td>
+              <td>{{ event.waitlist_count ?? '—' }}</td>
+              <td>{{ event.no_show_count ?? '—' }}</td>
+              <td>{{ formatPercent(attendanceRate(event)) }}</td>
+              <td>{{ event.confirmed_payment_count ?? '—' }}</td>
+              <td>{{ formatCurrency(event.expected_revenue) }}</td>
+              <td>
+                <button class="cancel-button" @click="selectEvent(event)">{{ isSelected(event) ? 'Hide' : 'View' }}</button>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div v-if="selectedEvent" class="event-form past-event-report">
+        <div class="audit-controls">
+          <h4 class="event-form-title">
+            {{ selectedEvent.event_name || formatEventType(selectedEvent.event_type) }} · {{ formatEventDate(selectedEvent.event_date) }}
+          </h4>
+          <div class="audit-actions">
+            <button class="cancel-button" @click="closeReport">Close</button>
+          </div>
+        </div>
+
+        <div v-if="reportLoading" class="loading-message">Loading event report…</div>
+
+        <div v-if="reportError" class="error-message">
+          <p><strong>Error:</strong></p>
+          <p>{{ reportError }}</p>
+        </div>
+
+        <template v-if="report">
+          <dl class="system-details">
+            <dt>Players</dt>
+            <dd>{{ report.roster.length }}<span v-if="selectedEvent.max_capacity" class="system-muted"> of {{ selectedEvent.max_capacity }}</span></dd>
+            <dt>Waitlist</dt>
+            <dd>{{ report.waitlist.length }}</dd>
+            <dt>No-shows</dt>
+            <dd>{{ report.noShows.length }}</dd>
+            <dt>Confirmed payments</dt>
+            <dd>{{ report.confirmedPaymentCount ?? '—' }}</dd>
+            <dt>Expected revenue</dt>
+            <dd>{{ formatCurrency(report.expectedRevenue) }}</dd>
+          </dl>
+
+          <h4 class="system-history-title">Roster</h4>
+          <div v-if="report.roster.length === 0" class="empty-message">Nobody registered.</div>
+          <div v-else class="pending-table-container">
+            <table class="pending-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Player</th>
+                  <th>Rating</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr v-for="(player, idx) in report.roster" :key="player.internal_user_id || idx">
+                  <td>{{ idx + 1 }}</td>
+                  <td>{{ getPlayerName(player) }}</td>
+                  <td>{{ player.rating ?? '—' }}</td>
+                  <td>{{ formatStatus(player.status) }}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <h4 class="system-history-title">Waitlist</h4>
+          <div v-if="report.waitlist.length === 0" class="empty-message">No one was waitlisted.</div>
+          <div v-else class="pending-table-container">
+            <table class="pending-table">
+              <thead>
+                <tr>
+                  <th>Position</th>
+                  <th>Player</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr v-for="(player, idx) in report.waitlist" :key="player.internal_user_id || idx">
+                  <td>{{ player.position ?? idx + 1 }}</td>
+                  <td>{{ getPlayerName(player) }}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <h4 class="system-history-title">No-shows</h4>
+          <div v-if="report.noShows.length === 0" class="empty-message">Everyone turned up.</div>
+          <div v-else class="pending-table-container">
+            <table class="pending-table">
+              <thead>
+                <tr>
+                  <th>Player</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr v-for="(player, idx) in report.noShows" :key="player.internal_user_id || idx">
+                  <td>{{ getPlayerName(player) }}</td>
+                  <td>{{ formatStatus(player.status) }}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </template>
+      </div>
+    </div>
+  `
+};
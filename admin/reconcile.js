@@ -0,0 +1,367 @@
+// BTTC Admin - Payment Reconciliation
+// Matches a Venmo or Zelle transaction export (CSV, pasted or uploaded) against the
+// pending registrations in the Approvals panel, so the treasurer can confirm paid
+// players in one step instead of comparing names by eye.
+// Used inside ApprovalsPanel (admin.js), which does the confirming; load this file first.
+// Vue globals (ref, computed) are declared by shell.js.
+
+// Round robin fees (adult, junior/senior). A payment for another amount can still
+// match, at lower confidence.
+const RECONCILE_FEES = typeof ENV !== 'undefined' && ENV.REGISTRATION_FEES ? ENV.REGISTRATION_FEES : [8, 5];
+
+// Matches below this confidence (0-100) aren't proposed; high ones are pre-accepted
+const MIN_MATCH_CONFIDENCE = 40;
+const HIGH_MATCH_CONFIDENCE = 85;
+const MEDIUM_MATCH_CONFIDENCE = 60;
+
+// Splits CSV text into rows of cells (RFC 4180 quoting, any line ending)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim()));
+};
+
+// "+ $8.00", "$16", "(5.00)" -> 8, 16, -5
+const parseAmount = (value) => {
+  const text = String(value || '').replace(/[$,\s]/g, '');
+  const negative = text.startsWith('-') || /^\(.*\)$/.test(text);
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Bank exports put the payer in a description like "Zelle payment from JANE DOE conf# 123"
+const extractPayerName = (text) => {
+  const value = String(text || '').trim();
+  const match = value.match(/\bfrom\s+(.+?)(?:\s+(?:on|conf|conf#|ref|ref#|id|memo)\b.*)?$/i);
+  return (match ? match[1] : value).replace(/[^A-Za-z'\-\s]/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+const findColumn = (headers, patterns) => headers.findIndex(header => patterns.some(pattern => pattern.test(header)));
+
+/**
+ * Reads incoming payments from a Venmo statement or a bank's Zelle export.
+ * The header row is found by looking for an amount column and a payer column, so
+ * preamble lines (Venmo's account summary) are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {{ payments: Array<{ id: number, payer: string, amount: number, date: string, note: string }>, error?: string }}
+ */
+const parsePaymentCsv = (text) => {
+  const rows = parseCsv(text || '');
+  for (let headerIndex = 0; headerIndex < rows.length; headerIndex++) {
+    const headers = rows[headerIndex].map(header => header.trim().toLowerCase());
+    const amountColumn = findColumn(headers, [/^amount/, /amount/]);
+    const payerColumn = findColumn(headers, [/^from$/, /sender/, /payer/, /^name$/, /description/]);
+    if (amountColumn === -1 || payerColumn === -1) continue;
+
+    const dateColumn = findColumn(headers, [/^date/, /datetime/, /date/]);
+    const noteColumn = findColumn(headers, [/^note$/, /memo/, /message/]);
+    const statusColumn = findColumn(headers, [/^status$/]);
+
+    const payments = rows.slice(headerIndex + 1)
+      .map((row, index) => ({
+        id: index,
+        payer: extractPayerName(row[payerColumn]),
+        amount: parseAmount(row[amountColumn]),
+        date: dateColumn === -1 ? '' : (row[dateColumn] || '').trim(),
+        note: noteColumn === -1 ? '' : (row[noteColumn] || '').trim(),
+        status: statusColumn === -1 ? '' : (row[statusColumn] || '').trim().toLowerCase()
+      }))
+      // Incoming, completed payments only
+      .filter(p => p.payer && p.amount !== null && p.amount > 0 && (!p.status || p.status === 'complete' || p.status === 'completed'));
+    return { payments };
+  }
+  return { payments: [], error: 'Could not find amount and payer columns. Export the transactions as CSV from Venmo or your bank and try again.' };
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+
+// Dice coefficient over letter pairs: 1 for identical names, 0 for nothing in common
+const nameSimilarity = (a, b) => {
+  const pairs = (text) => {
+    const compact = text.replace(/\s/g, '');
+    const result = [];
+    for (let i = 0; i < compact.length - 1; i++) result.push(compact.slice(i, i + 2));
+    return result;
+  };
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return a && a === b ? 1 : 0;
+  const remaining = [...pairsB];
+  let shared = 0;
+  for (const pair of pairsA) {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+// How likely (0-100) a payment is for a player. Names are compared in both orders
+// and by last name plus first initial ("J SMITH"); a parent paying for a child often
+// puts the child's name in the note, which counts slightly less than the payer name.
+const scoreMatch = (payment, player) => {
+  const first = normalizeName(player.first_name);
+  const last = normalizeName(player.last_name);
+  const nameScore = (text) => {
+    const candidate = normalizeName(text);
+    if (!candidate || !last) return 0;
+    const tokens = candidate.split(' ');
+    let score = Math.max(
+      nameSimilarity(candidate, `${first} ${last}`),
+      nameSimilarity(candidate, `${last} ${first}`)
+    );
+    if (tokens.includes(last) && first && tokens.some(token => token !== last && first.startsWith(token.charAt(0)))) {
+      score = Math.max(score, tokens.includes(first) ? 1 : 0.8);
+    }
+    return score;
+  };
+
+  const score = Math.max(nameScore(payment.payer), 0.9 * nameScore(payment.note));
+  const amountMatches = RECONCILE_FEES.some(fee => Math.abs(fee - payment.amount) < 0.01);
+  return Math.round(100 * score * (amountMatches ? 1 : 0.85));
+};
+
+/**
+ * Proposes one player per payment, best matches first, never using a payment or a
+ * player twice.
+ *
+ * @param {Array} payments - From parsePaymentCsv
+ * @param {Array} players - Pending registrations
+ * @returns {{ matches: Array<{ payment, player, confidence }>, unmatched: Array }} - unmatched payments
+ */
+const matchPayments = (payments, players) => {
+  const candidates = [];
+  for (const payment of payments) {
+    for (const player of players) {
+      const confidence = scoreMatch(payment, player);
+      if (confidence >= MIN_MATCH_CONFIDENCE) candidates.push({ payment, player, confidence });
+    }
+  }
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const usedPayments = new Set();
+  const usedPlayers = new Set();
+  const matches = [];
+  for (const candidate of candidates) {
+    if (usedPayments.has(candidate.payment.id) || usedPlayers.has(candidate.player.internal_user_id)) continue;
+    usedPayments.add(candidate.payment.id);
+    usedPlayers.add(candidate.player.internal_user_id);
+    matches.push(candidate);
+  }
+  return {
+    matches: matches.sort((a, b) => a.payment.id - b.payment.id),
+    unmatched: payments.filter(payment => !usedPayments.has(payment.id))
+  };
+};
+
+const PaymentReconciler = {
+  props: {
+    players: { type: Array, required: true },  // Pending registrations
+    busy: Boolean                              // Confirmations in progress
+  },
+  emits: ['confirm-matches', 'close'],
+  setup(props, { emit }) {
+    const csvText = ref('');
+    const parseError = ref('');
+    // Proposed matches: { paymentId, payment, playerId, confidence, accepted }
+    const proposals = ref([]);
+    const unmatched = ref([]);
+    const hasResults = ref(false);
+
+    const loadFile = async (event) => {
+      const file = event.target.files && event.target.files[0];
+      if (!file) return;
+      csvText.value = await file.text();
+      findMatches();
+    };
+
+    const findMatches = () => {
+      parseError.value = '';
+      const { payments, error } = parsePaymentCsv(csvText.value);
+      if (error) {
+        parseError.value = error;
+        proposals.value = [];
+        unmatched.value = [];
+        hasResults.value = false;
+        return;
+      }
+      const result = matchPayments(payments, props.players);
+      proposals.value = result.matches.map(match => ({
+        paymentId: match.payment.id,
+        payment: match.payment,
+        playerId: match.player.internal_user_id,
+        confidence: match.confidence,
+        accepted: match.confidence >= HIGH_MATCH_CONFIDENCE
+      }));
+      unmatched.value = result.unmatched;
+      hasResults.value = true;
+      console.log(`[PaymentReconciler] ${payments.length} payments, ${result.matches.length} proposed matches`);
+    };
+
+    // Select values come back as strings; ids may be numbers
+    const playerById = (id) => props.players.find(player => String(player.internal_user_id) === String(id));
+
+    const playerLabel = (player) => `${player.first_name} ${player.last_name}`;
+
+    // Choosing another player rescores the row, so the confidence stays honest
+    const changePlayer = (proposal, playerId) => {
+      const player = playerById(playerId);
+      if (!player) return;
+      proposal.playerId = player.internal_user_id;
+      proposal.confidence = scoreMatch(proposal.payment, player);
+    };
+
+    const acceptedProposals = computed(() => proposals.value.filter(proposal => proposal.accepted && playerById(proposal.playerId)));
+
+    // The same player picked for two payments would be confirmed once; flag it
+    const duplicatePlayerIds = computed(() => {
+      const seen = new Set();
+      const duplicates = new Set();
+      acceptedProposals.value.forEach(proposal => {
+        if (seen.has(proposal.playerId)) duplicates.add(proposal.playerId);
+        seen.add(proposal.playerId);
+      });
+      return duplicates;
+    });
+
+    const confirmAccepted = () => {
+      const players = [...new Set(acceptedProposals.value.map(proposal => proposal.playerId))].map(playerById);
+      if (players.length === 0) return;
+      emit('confirm-matches', players);
+    };
+
+    const confidenceClass = (confidence) => {
+      if (confidence >= HIGH_MATCH_CONFIDENCE) return 'confidence-badge confidence-high';
+      if (confidence >= MEDIUM_MATCH_CONFIDENCE) return 'confidence-badge confidence-medium';
+      return 'confidence-badge confidence-low';
+    };
+
+    const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+    return {
+      csvText, parseError, proposals, unmatched, hasResults, acceptedProposals, duplicatePlayerIds,
+      loadFile, findMatches, changePlayer, confirmAccepted, playerLabel, confidenceClass, formatAmount
+    };
+  },
+
+  template: `
+    <div class="reconcile-panel">
+      <h4>Reconcile payments</h4>
+      <p class="reconcile-help">
+        Paste or upload a CSV export of Venmo or Zelle transactions. Payments are matched to
+        pending registrations by name and amount; check the proposals, then confirm them together.
+      </p>
+
+      <textarea
+        v-model="csvText"
+        class="reconcile-input"
+        rows="6"
+        placeholder="Date,From,Amount,Note&#10;2025-11-07,Jane Doe,$8.00,round robin"
+      ></textarea>
+      <div class="reconcile-controls">
+        <input type="file" accept=".csv,text/csv" @change="loadFile" />
+        <div class="audit-actions">
+          <button class="refresh-button" @click="findMatches" :disabled="!csvText.trim()">Find matches</button>
+          <button class="cancel-button" @click="$emit('close')">Close</button>
+        </div>
+      </div>
+
+      <div v-if="parseError" class="error-message"><p>{{ parseError }}</p></div>
+
+      <template v-if="hasResults">
+        <div v-if="proposals.length === 0" class="empty-message">No payments matched a pending registration.</div>
+        <div v-else class="pending-table-container">
+          <table class="pending-table reconcile-table">
+            <thead>
+              <tr>
+                <th class="select-column">Accept</th>
+                <th>Payer</th>
+                <th>Amount</th>
+                <th>Date</th>
+                <th>Note</th>
+                <th>Pending registration</th>
+                <th>Confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr v-for="proposal in proposals" :key="proposal.paymentId" :class="{ selected: proposal.accepted }">
+                <td class="select-column">
+                  <input type="checkbox" v-model="proposal.accepted" :disabled="busy" :aria-label="'Accept payment from ' + proposal.payment.payer" />
+                </td>
+                <td>{{ proposal.payment.payer }}</td>
+                <td>{{ formatAmount(proposal.payment.amount) }}</td>
+                <td>{{ proposal.payment.date || '—' }}</td>
+                <td class="reconcile-note">{{ proposal.payment.note || '—' }}</td>
+                <td>
+                  <select
+                    class="limit-select"
+                    :value="proposal.playerId"
+                    :disabled="busy"
+                    @change="changePlayer(proposal, $event.target.value)"
+                  >
+                    <option v-for="player in players" :key="player.internal_user_id" :value="player.internal_user_id">{{ playerLabel(player) }}</option>
+                  </select>
+                  <div v-if="proposal.accepted && duplicatePlayerIds.has(proposal.playerId)" class="reconcile-warning">Also matched to another payment</div>
+                </td>
+                <td><span :class="confidenceClass(proposal.confidence)">{{ proposal.confidence }}%</span></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div v-if="unmatched.length" class="reconcile-unmatched">
+          <strong>{{ unmatched.length }} payment{{ unmatched.length !== 1 ? 's' : '' }} without a match:</strong>
+          <span v-for="(payment, idx) in unmatched" :key="payment.id">
+            {{ payment.payer }} ({{ formatAmount(payment.amount) }}){{ idx < unmatched.length - 1 ? ', ' : '' }}
+          </span>
+        </div>
+
+        <div v-if="proposals.length" class="bulk-actions">
+          <span>{{ acceptedProposals.length }} accepted</span>
+          <button
+            class="confirm-button"
+            :class="{ processing: busy }"
+            @click="confirmAccepted"
+            :disabled="busy || acceptedProposals.length === 0"
+          >{{ busy ? 'Confirming...' : 'Confirm accepted matches' }}</button>
+        </div>
+      </template>
+    </div>
+  `
+};
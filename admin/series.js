@@ -0,0 +1,470 @@
+// BTTC Admin - Recurring Event Series
+// Defines recurring series ("RR every Friday, cap 66, opens Wed 10:00, closes Fri 18:00")
+// with holiday exceptions, and previews the events they'll produce. The event-scheduler
+// Netlify function opens and closes those events automatically (see netlify.toml).
+// Used inside EventsPanel (events.js); load this file first.
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse
+// Series logic loaded from event-series.js: generateSeriesEvents, validateSeries,
+// describeSeriesDay, SERIES_WEEKDAYS
+// Limits loaded from form-limits.js: COMMENT_MAX_LENGTH (announcement notes)
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// Vue globals (ref, reactive, computed, onMounted) are declared by shell.js.
+
+const SERIES_PREVIEW_COUNTS = [4, 8, 12];
+
+// 66 matches the capacity the retired open-event cron job posted (see events.js)
+const newSeriesForm = () => ({
+  series_id: null,
+  name: 'Friday Round Robin',
+  event_type: 'rr',
+  weekday: 5,
+  max_capacity: 66,
+  announcement_notes: '',
+  opens_days_before: 2,
+  opens_at: '10:00',
+  closes_days_before: 0,
+  closes_at: '18:00',
+  starts_on: '',
+  ends_on: '',
+  exceptions: [],
+  active: true
+});
+
+const EventSeriesEditor = {
+  props: {
+    eventTypes: { type: Array, required: true }  // [{ value, label }], from EventsPanel
+  },
+  setup(props) {
+    const seriesList = ref([]);
+    const loading = ref(false);
+    const saving = ref(false);
+    const error = ref(null);
+    const fieldErrors = ref({});
+    const successMessage = ref('');
+    // Form shown while creating or editing a series, otherwise null
+    const form = ref(null);
+    const newException = ref('');
+    const previewCount = ref(SERIES_PREVIEW_COUNTS[0]);
+    // series_id awaiting a second click to confirm, and the one being deleted
+    const confirmingDeleteId = ref(null);
+    const deletingId = ref(null);
+
+    const timeZone = typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles';
+
+    onMounted(() => {
+      fetchSeries();
+    });
+
+    const getApiUrl = () => (typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api');
+
+    const todayInTimezone = () => new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(new Date());
+
+    const fetchSeries = async () => {
+      loading.value = true;
+      error.value = null;
+      confirmingDeleteId.value = null;
+      try {
+        console.log('[EventSeriesEditor] Fetching series...');
+        const response = await fetch(`${getApiUrl()}/events/series`, getAdminFetchOptions());
+        const data = await handleApiResponse(response);
+        seriesList.value = Array.isArray(data) ? data : (data.series || []);
+        console.log(`[EventSeriesEditor] Found ${seriesList.value.length} series`);
+      } catch (err) {
+        console.error('[EventSeriesEditor] Failed to fetch series:', err);
+        error.value = getErrorMessage(err, 'loading recurring series');
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const startNew = () => {
+      form.value = newSeriesForm();
+      fieldErrors.value = {};
+    };
+
+    const startEdit = (series) => {
+      form.value = {
+        ...newSeriesForm(),
+        ...series,
+        announcement_notes: series.announcement_notes || '',
+        starts_on: series.starts_on || '',
+        ends_on: series.ends_on || '',
+        exceptions: [...(series.exceptions || [])]
+      };
+      fieldErrors.value = {};
+    };
+
+    const cancelEdit = () => {
+      form.value = null;
+      fieldErrors.value = {};
+    };
+
+    const addException = () => {
+      const date = newException.value;
+      if (date && !form.value.exceptions.includes(date)) {
+        form.value.exceptions = [...form.value.exceptions, date].sort();
+      }
+      newException.value = '';
+    };
+
+    const removeException = (date) => {
+      form.value.exceptions = form.value.exceptions.filter(d => d !== date);
+    };
+
+    // The body /events/series/save expects: numbers as numbers, unset optional fields left out
+    const buildPayload = () => {
+      const f = form.value;
+      const payload = {
+        name: f.name.trim(),
+        event_type: f.event_type,
+        weekday: Number(f.weekday),
+        max_capacity: Number(f.max_capacity),
+        opens_days_before: Number(f.opens_days_before),
+        opens_at: f.opens_at,
+        closes_days_before: Number(f.closes_days_before),
+        closes_at: f.closes_at,
+        exceptions: f.exceptions,
+        active: !!f.active
+      };
+      if (f.series_id) payload.series_id = f.series_id;
+      if (f.announcement_notes.trim()) payload.announcement_notes = f.announcement_notes.trim();
+      if (f.starts_on) payload.starts_on = f.starts_on;
+      if (f.ends_on) payload.ends_on = f.ends_on;
+      return payload;
+    };
+
+    const formProblems = computed(() => (form.value ? validateSeries(buildPayload()) : []));
+
+    const preview = computed(() => {
+      if (!form.value || !form.value.opens_at || !form.value.closes_at) return [];
+      return generateSeriesEvents(buildPayload(), todayInTimezone(), previewCount.value, timeZone);
+    });
+
+    // Opening/closing day choices for the form, relative to the event day
+    const dayOptions = computed(() => {
+      const weekday = form.value ? Number(form.value.weekday) : 5;
+      return Array.from({ length: 14 }, (_, daysBefore) => ({
+        value: daysBefore,
+        label: daysBefore === 0
+          ? `${describeSeriesDay(weekday, 0)} (event day)`
+          : `${describeSeriesDay(weekday, daysBefore)} (${daysBefore} day${daysBefore !== 1 ? 's' : ''} before)`
+      }));
+    });
+
+    const saveSeries = async () => {
+      error.value = null;
+      fieldErrors.value = {};
+      const payload = buildPayload();
+      if (!payload.name) {
+        fieldErrors.value = { name: 'Series name is required.' };
+        return;
+      }
+      if (!Number.isInteger(payload.max_capacity) || payload.max_capacity <= 0) {
+        fieldErrors.value = { max_capacity: 'Max capacity must be a whole number greater than zero.' };
+        return;
+      }
+      if (formProblems.value.length) {
+        error.value = formProblems.value.join(' ');
+        return;
+      }
+
+      saving.value = true;
+      try {
+        console.log('[EventSeriesEditor] Saving series:', payload);
+        const response = await fetch(
+          `${getApiUrl()}/events/series/save`,
+          getAdminFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          })
+        );
+        await handleApiResponse(response);
+        showSuccess(`Saved ${payload.name}`);
+        form.value = null;
+        await fetchSeries();
+      } catch (err) {
+        console.error('[EventSeriesEditor] Failed to save series:', err);
+        fieldErrors.value = err.fields || {};
+        error.value = `Failed to save series: ${err.message}`;
+      } finally {
+        saving.value = false;
+      }
+    };
+
+    const requestDelete = (series) => { confirmingDeleteId.value = series.series_id; };
+    const cancelDelete = () => { confirmingDeleteId.value = null; };
+
+    const deleteSeries = async (series) => {
+      error.value = null;
+      deletingId.value = series.series_id;
+      try {
+        console.log('[EventSeriesEditor] Deleting series:', series.series_id);
+        const response = await fetch(
+          `${getApiUrl()}/events/series/delete`,
+          getAdminFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ series_id: series.series_id })
+          })
+        );
+        await handleApiResponse(response);
+        showSuccess(`Deleted ${series.name}`);
+        await fetchSeries();
+      } catch (err) {
+        console.error('[EventSeriesEditor] Failed to delete series:', err);
+        error.value = `Failed to delete series: ${err.message}`;
+      } finally {
+        deletingId.value = null;
+        confirmingDeleteId.value = null;
+      }
+    };
+
+    const isDeleting = (series) => deletingId.value === series.series_id;
+    const isConfirmingDelete = (series) => confirmingDeleteId.value === series.series_id;
+
+    const showSuccess = (message) => {
+      successMessage.value = message;
+      setTimeout(() => { successMessage.value = ''; }, 3000);
+    };
+
+    // "Fridays · opens Wed 10:00 · closes Fri 18:00"
+    const describeSchedule = (series) =>
+      `${SERIES_WEEKDAYS[series.weekday]}s · opens ${describeSeriesDay(series.weekday, series.opens_days_before)} ${series.opens_at}` +
+      ` · closes ${describeSeriesDay(series.weekday, series.closes_days_before)} ${series.closes_at}`;
+
+    const nextEventDate = (series) => {
+      const next = generateSeriesEvents(series, todayInTimezone(), 8, timeZone).find(event => !event.skipped);
+      return next ? formatDate(next.event_date) : '—';
+    };
+
+    const formatEventType = (type) => {
+      const match = props.eventTypes.find(t => t.value === type);
+      return match ? match.label : (type || '—');
+    };
+
+    const formatDate = (dateStr) => {
+      try {
+        return new Date(dateStr).toLocaleDateString('en-US', {
+          weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+        });
+      } catch (err) { return dateStr; }
+    };
+
+    const formatInstant = (instant) => instant.toLocaleString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone
+    });
+
+    return {
+      seriesList, loading, saving, error, fieldErrors, successMessage, form, newException, previewCount,
+      previewCounts: SERIES_PREVIEW_COUNTS, weekdays: SERIES_WEEKDAYS, formProblems, preview, dayOptions,
+      fetchSeries, startNew, startEdit, cancelEdit, addException, removeException, saveSeries,
+      requestDelete, cancelDelete, deleteSeries, isDeleting, isConfirmingDelete,
+      describeSchedule, nextEventDate, formatEventType, formatDate, formatInstant,
+      notesMaxLength: COMMENT_MAX_LENGTH
+    };
+  },
+
+  template: `
+    <div class="series-section">
+      <div class="audit-controls">
+        <h4 class="event-form-title">Recurring Series</h4>
+        <div class="audit-actions">
+          <button class="refresh-button" @click="fetchSeries" :disabled="loading">
+            {{ loading ? 'Loading…' : '↻ Refresh' }}
+          </button>
+          <button v-if="!form" class="confirm-button" @click="startNew">New series</button>
+        </div>
+      </div>
+      <p class="audit-subtitle">
+        Events in an active series open and close automatically at the times below (checked every 15 minutes).
+        Closing one early here sticks; it isn't reopened.
+      </p>
+
+      <div v-if="successMessage" class="success-message">{{ successMessage }}</div>
+
+      <div v-if="error" class="error-message">
+        <p><strong>Error:</strong></p>
+        <p>{{ error }}</p>
+      </div>
+
+      <div v-if="form" class="event-form">
+        <h4 class="event-form-title">{{ form.series_id ? 'Edit Series' : 'New Series' }}</h4>
+        <div class="event-form-grid">
+          <div class="form-group">
+            <label for="series-name">Name</label>
+            <input id="series-name" type="text" maxlength="80" v-model="form.name" />
+            <div v-if="fieldErrors.name" class="error-text">{{ fieldErrors.name }}</div>
+          </div>
+          <div class="form-group">
+            <label for="series-type">Event Type</label>
+            <select id="series-type" class="event-select" v-model="form.event_type">
+              <option v-for="t in eventTypes" :key="t.value" :value="t.value">{{ t.label }}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="series-capacity">Max Capacity</label>
+            <input id="series-capacity" type="number" min="1" step="1" v-model.number="form.max_capacity" />
+            <div v-if="fieldErrors.max_capacity" class="error-text">{{ fieldErrors.max_capacity }}</div>
+          </div>
+          <div class="form-group">
+            <label for="series-weekday">Every</label>
+            <select id="series-weekday" class="event-select" v-model.number="form.weekday">
+              <option v-for="(day, idx) in weekdays" :key="day" :value="idx">{{ day }}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="series-starts">Starts <span class="optional-hint">(optional)</span></label>
+            <input id="series-starts" type="date" v-model="form.starts_on" />
+          </div>
+          <div class="form-group">
+            <label for="series-ends">Ends <span class="optional-hint">(optional)</span></label>
+            <input id="series-ends" type="date" v-model="form.ends_on" />
+          </div>
+          <div class="form-group">
+            <label for="series-opens-day">Registration Opens</label>
+            <select id="series-opens-day" class="event-select" v-model.number="form.opens_days_before">
+              <option v-for="option in dayOptions" :key="option.value" :value="option.value">{{ option.label }}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="series-opens-at">at</label>
+            <input id="series-opens-at" type="time" v-model="form.opens_at" />
+            <div v-if="fieldErrors.opens_at" class="error-text">{{ fieldErrors.opens_at }}</div>
+          </div>
+          <div></div>
+          <div class="form-group">
+            <label for="series-closes-day">Registration Closes</label>
+            <select id="series-closes-day" class="event-select" v-model.number="form.closes_days_before">
+              <option v-for="option in dayOptions" :key="option.value" :value="option.value">{{ option.label }}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="series-closes-at">at</label>
+            <input id="series-closes-at" type="time" v-model="form.closes_at" />
+            <div v-if="fieldErrors.closes_at" class="error-text">{{ fieldErrors.closes_at }}</div>
+          </div>
+          <div class="form-group">
+            <label class="series-active">
+              <input type="checkbox" v-model="form.active" /> Active (open and close automatically)
+            </label>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label for="series-exception">Holiday Exceptions <span class="optional-hint">(no event on these dates)</span></label>
+          <div class="series-exception-input">
+            <input id="series-exception" type="date" v-model="newException" @keyup.enter="addException" />
+            <button class="cancel-button" @click="addException" :disabled="!newException">Add</button>
+          </div>
+          <div v-if="form.exceptions.length" class="series-exceptions">
+            <span v-for="date in form.exceptions" :key="date" class="series-exception">
+              {{ formatDate(date) }}
+              <button type="button" :aria-label="'Remove ' + date" @click="removeException(date)">×</button>
+            </span>
+          </div>
+          <div v-if="fieldErrors.exceptions" class="error-text">{{ fieldErrors.exceptions }}</div>
+        </div>
+
+        <div class="form-group">
+          <label for="series-notes">Announcement Notes <span class="optional-hint">(optional)</span></label>
+          <textarea id="series-notes" class="event-textarea" rows="2" v-model="form.announcement_notes" :maxlength="notesMaxLength"
+                    placeholder="Shown to players on the registration page"></textarea>
+        </div>
+
+        <div class="audit-controls">
+          <h4 class="event-form-title">Preview</h4>
+          <select class="limit-select" v-model.number="previewCount" aria-label="Events to preview">
+            <option v-for="count in previewCounts" :key="count" :value="count">Next {{ count }}</option>
+          </select>
+        </div>
+        <div v-if="formProblems.length" class="error-text">{{ formProblems.join(' ') }}</div>
+        <div v-else-if="preview.length === 0" class="empty-message">This series has no upcoming events.</div>
+        <div v-else class="pending-table-container">
+          <table class="pending-table">
+            <thead>
+              <tr>
+                <th>Event Date</th>
+                <th>Registration Opens</th>
+                <th>Registration Closes</th>
+                <th>Capacity</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr v-for="event in preview" :key="event.event_date" :class="{ 'series-skipped': event.skipped }">
+                <td>{{ formatDate(event.event_date) }}</td>
+                <template v-if="event.skipped">
+                  <td colspan="3">Holiday exception, no event</td>
+                </template>
+                <template v-else>
+                  <td>{{ formatInstant(event.opensAt) }}</td>
+                  <td>{{ formatInstant(event.closesAt) }}</td>
+                  <td>{{ event.max_capacity }}</td>
+                </template>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div class="action-buttons series-form-actions">
+          <button class="confirm-button" @click="saveSeries" :disabled="saving">
+            {{ saving ? 'Saving…' : 'Save Series' }}
+          </button>
+          <button class="cancel-button" @click="cancelEdit" :disabled="saving">Cancel</button>
+        </div>
+      </div>
+
+      <div v-if="loading" class="loading-message">Loading recurring series…</div>
+
+      <div v-if="!loading && seriesList.length === 0 && !form" class="empty-message">
+        No recurring series yet.
+      </div>
+
+      <div v-if="!loading && seriesList.length > 0" class="pending-table-container">
+        <table class="pending-table">
+          <thead>
+            <tr>
+              <th>Series</th>
+              <th>Type</th>
+              <th>Schedule</th>
+              <th>Capacity</th>
+              <th>Next Event</th>
+              <th>Status</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr v-for="series in seriesList" :key="series.series_id">
+              <td>{{ series.name }}</td>
+              <td>{{ formatEventType(series.event_type) }}</td>
+              <td>{{ describeSchedule(series) }}</td>
+              <td>{{ series.max_capacity }}</td>
+              <td>{{ series.active === false ? '—' : nextEventDate(series) }}</td>
+              <td>
+                <span :class="series.active === false ? 'status-badge status-unknown' : 'status-badge status-success'">
+                  {{ series.active === false ? 'Paused' : 'Active' }}
+                </span>
+              </td>
+              <td>
+                <div class="action-buttons">
+                  <template v-if="isConfirmingDelete(series)">
+                    <button class="close-button" @click="deleteSeries(series)" :disabled="isDeleting(series)">
+                      {{ isDeleting(series) ? 'Deleting…' : 'Confirm delete' }}
+                    </button>
+                    <button class="cancel-button" @click="cancelDelete" :disabled="isDeleting(series)">Cancel</button>
+                  </template>
+                  <template v-else>
+                    <button class="cancel-button" @click="startEdit(series)" :disabled="!!form">Edit</button>
+                    <button class="close-button" @click="requestDelete(series)">Delete</button>
+                  </template>
+                </div>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `
+};
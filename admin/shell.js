@@ -1,19 +1,84 @@
 // BTTC Admin Shell
 // Handles authentication and top-level tool navigation.
 // Each tool is a self-contained component defined in its own file.
-// Load order in index.html: admin.js → audit.js → events.js → shell.js
+// Load order in index.html: reconcile.js → admin.js → waitlist.js → audit.js → series.js → events.js → past-events.js → system.js → two-factor.js → shell.js
+// From bttc-utils.js: getFetchOptions, handleApiResponse and BackendBanner (DEV BACKEND notice).
 
-const { createApp, ref, reactive, computed, onMounted } = Vue;
+const { createApp, ref, reactive, computed, onMounted, onUnmounted } = Vue;
 
 const AUTH_KEY = 'bttc_admin_auth';
 const AUTH_TOKEN_KEY = 'bttc_admin_token';
 const AUTH_EXPIRES_KEY = 'bttc_admin_expires';
+const AUTH_USER_KEY = 'bttc_admin_user';
+const AUTH_ROLE_KEY = 'bttc_admin_role';
+const AUTH_PERMISSIONS_KEY = 'bttc_admin_permissions';
+const AUTH_ABSOLUTE_EXPIRES_KEY = 'bttc_admin_absolute_expires';
+
+// Sessions slide while the admin is active (see netlify/lib/session.js): activity
+// refreshes the token at most once a minute, and a warning shows a minute before it
+// runs out.
+const SESSION_REFRESH_INTERVAL_MS = 60 * 1000;
+const SESSION_WARNING_SECONDS = 60;
+const SESSION_ACTIVITY_EVENTS = ['click', 'keydown'];
+
+// Tabs and the permission each needs. Permissions come from admin-login for the
+// signed-in role; the API proxy enforces the same rules on the server side.
+const ADMIN_TABS = [
+  { id: 'approvals', label: 'Registration Approvals', permission: 'approvals' },
+  { id: 'waitlist', label: 'Waitlist', permission: 'waitlist' },
+  { id: 'audit', label: 'Audit Log', permission: 'audit' },
+  { id: 'events', label: 'Events', permission: 'events' },
+  { id: 'past-events', label: 'Past Events', permission: 'events' },
+  { id: 'system', label: 'System', permission: 'system' }
+];
+
+const getApiUrl = () => (typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api');
+
+// URL of a Netlify function that sits next to the API proxy (e.g. admin-login). Only works
+// when ENV.API_URL is the proxy; with a direct backend URL there's no admin-login to reach.
+const getAdminFunctionUrl = (name) => {
+  const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
+  return `${apiUrl.replace('/rr', '').replace('/api', '')}/${name}`;
+};
+
+// getFetchOptions plus the admin session token, which the API proxy requires for
+// admin-only routes. Panels call this at request time, after this file has loaded.
+const getAdminFetchOptions = (options = {}) => {
+  const fetchOptions = getFetchOptions(options);
+  let token = null;
+  try {
+    token = sessionStorage.getItem(AUTH_TOKEN_KEY);
+  } catch (err) {
+    console.error('[AdminShell] Failed to read auth token:', err);
+  }
+  if (!token) return fetchOptions;
+  return {
+    ...fetchOptions,
+    headers: { ...(fetchOptions.headers || {}), 'Authorization': `Bearer ${token}` }
+  };
+};
+
+// Whether the signed-in admin's role has a permission, for panels that show parts of
+// another tool (the proxy still checks every request)
+const hasAdminPermission = (permission) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(AUTH_PERMISSIONS_KEY) || '[]').includes(permission);
+  } catch (err) {
+    console.error('[AdminShell] Failed to read permissions:', err);
+    return false;
+  }
+};
 
 const AdminShell = {
   components: {
     'approvals-panel': ApprovalsPanel,
+    'waitlist-panel': WaitlistPanel,
     'audit-panel': AuditPanel,
-    'events-panel': EventsPanel
+    'events-panel': EventsPanel,
+    'past-events-panel': PastEventsPanel,
+    'system-panel': SystemPanel,
+    'two-factor-setup': TwoFactorSetup,
+    'backend-banner': BackendBanner
   },
   setup() {
     const isAuthenticated = ref(false);
@@ -21,15 +86,60 @@ const AdminShell = {
     const password = ref('');
     const loginError = ref('');
     const isLoggingIn = ref(false);
-    const isLocalDevMode = ref(false);
+    // 'credentials', then 'totp' for accounts with two-factor enabled
+    const loginStep = ref('credentials');
+    const totpChallenge = ref('');
+    const totpCode = ref('');
+    const useRecoveryCode = ref(false);
+    const showTwoFactor = ref(false);
     const activeTab = ref('approvals');
+    const currentUser = ref('');
+    const currentRole = ref('');
+    const permissions = ref([]);
+
+    // Seconds left on a server-imposed lockout after too many failed logins
+    const lockoutSeconds = ref(0);
+    let lockoutTimer = null;
+
+    // Session expiry (ms since epoch): the token's, and the latest refreshing can reach
+    const sessionExpiresAt = ref(0);
+    const absoluteExpiresAt = ref(0);
+    const sessionSecondsLeft = ref(0);
+    let sessionTimer = null;
+    let lastRefreshAt = 0;
+    let pendingRefresh = null;
+
+    const visibleTabs = computed(() => ADMIN_TABS.filter(tab => permissions.value.includes(tab.permission)));
 
     onMounted(() => {
-      const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
-      isLocalDevMode.value = apiUrl.includes('localhost') || apiUrl.includes('0.0.0.0') || apiUrl.includes('127.0.0.1');
+      SESSION_ACTIVITY_EVENTS.forEach(name => document.addEventListener(name, handleActivity, true));
       checkAuth();
     });
 
+    onUnmounted(() => {
+      if (lockoutTimer) clearInterval(lockoutTimer);
+      stopSessionTimer();
+      SESSION_ACTIVITY_EVENTS.forEach(name => document.removeEventListener(name, handleActivity, true));
+    });
+
+    const lockoutText = computed(() => {
+      const minutes = Math.floor(lockoutSeconds.value / 60);
+      const seconds = lockoutSeconds.value % 60;
+      return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    });
+
+    const startLockoutCountdown = (seconds) => {
+      lockoutSeconds.value = seconds;
+      if (lockoutTimer) clearInterval(lockoutTimer);
+      lockoutTimer = setInterval(() => {
+        lockoutSeconds.value = Math.max(0, lockoutSeconds.value - 1);
+        if (lockoutSeconds.value === 0) {
+          clearInterval(lockoutTimer);
+          lockoutTimer = null;
+        }
+      }, 1000);
+    };
+
     const checkAuth = () => {
       try {
         const isAuth = sessionStorage.getItem(AUTH_KEY);
@@ -38,7 +148,14 @@ const AdminShell = {
         if (isAuth === 'true' && token && expires) {
           const expiresAt = parseInt(expires, 10);
           if (Date.now() < expiresAt) {
+            currentUser.value = sessionStorage.getItem(AUTH_USER_KEY) || '';
+            currentRole.value = sessionStorage.getItem(AUTH_ROLE_KEY) || '';
+            permissions.value = JSON.parse(sessionStorage.getItem(AUTH_PERMISSIONS_KEY) || '[]');
+            sessionExpiresAt.value = expiresAt;
+            absoluteExpiresAt.value = parseInt(sessionStorage.getItem(AUTH_ABSOLUTE_EXPIRES_KEY) || expires, 10);
+            selectFirstVisibleTab();
             isAuthenticated.value = true;
+            startSessionTimer();
             return;
           }
         }
@@ -54,12 +171,122 @@ const AdminShell = {
         sessionStorage.removeItem(AUTH_KEY);
         sessionStorage.removeItem(AUTH_TOKEN_KEY);
         sessionStorage.removeItem(AUTH_EXPIRES_KEY);
+        sessionStorage.removeItem(AUTH_USER_KEY);
+        sessionStorage.removeItem(AUTH_ROLE_KEY);
+        sessionStorage.removeItem(AUTH_PERMISSIONS_KEY);
+        sessionStorage.removeItem(AUTH_ABSOLUTE_EXPIRES_KEY);
       } catch (err) {
         console.error('[AdminShell] Failed to clear auth:', err);
       }
     };
 
+    const selectFirstVisibleTab = () => {
+      if (!visibleTabs.value.some(tab => tab.id === activeTab.value) && visibleTabs.value.length > 0) {
+        activeTab.value = visibleTabs.value[0].id;
+      }
+    };
+
+    // Used for logins and refreshes alike; both return the same session fields
+    const startSession = (session) => {
+      const absoluteExpires = session.absoluteExpiresAt || session.expiresAt;
+      sessionStorage.setItem(AUTH_KEY, 'true');
+      sessionStorage.setItem(AUTH_TOKEN_KEY, session.token);
+      sessionStorage.setItem(AUTH_EXPIRES_KEY, session.expiresAt.toString());
+      sessionStorage.setItem(AUTH_ABSOLUTE_EXPIRES_KEY, absoluteExpires.toString());
+      sessionStorage.setItem(AUTH_USER_KEY, session.username);
+      sessionStorage.setItem(AUTH_ROLE_KEY, session.role);
+      sessionStorage.setItem(AUTH_PERMISSIONS_KEY, JSON.stringify(session.permissions || []));
+      currentUser.value = session.username;
+      currentRole.value = session.role;
+      permissions.value = session.permissions || [];
+      sessionExpiresAt.value = session.expiresAt;
+      absoluteExpiresAt.value = absoluteExpires;
+      lastRefreshAt = Date.now();
+      selectFirstVisibleTab();
+      isAuthenticated.value = true;
+      password.value = '';
+      startSessionTimer();
+    };
+
+    // True once refreshing can't push the expiry any further (absolute limit reached)
+    const sessionAtLimit = computed(() => sessionExpiresAt.value >= absoluteExpiresAt.value - 1000);
+
+    const showSessionWarning = computed(() => isAuthenticated.value && sessionSecondsLeft.value <= SESSION_WARNING_SECONDS);
+
+    const updateSessionCountdown = () => {
+      sessionSecondsLeft.value = Math.max(0, Math.ceil((sessionExpiresAt.value - Date.now()) / 1000));
+      if (sessionSecondsLeft.value === 0) {
+        endSession('Your session has expired. Please log in again.');
+      }
+    };
+
+    const startSessionTimer = () => {
+      stopSessionTimer();
+      updateSessionCountdown();
+      sessionTimer = setInterval(updateSessionCountdown, 1000);
+    };
+
+    const stopSessionTimer = () => {
+      if (sessionTimer) clearInterval(sessionTimer);
+      sessionTimer = null;
+    };
+
+    // Trades the token for a fresh one
+    const refreshSession = () => {
+      if (sessionAtLimit.value) return Promise.resolve();
+      if (pendingRefresh) return pendingRefresh;
+
+      pendingRefresh = (async () => {
+        try {
+          const response = await fetch(`${getApiUrl()}/admin/session/refresh`, getAdminFetchOptions({ method: 'POST' }));
+          if (response.status === 401) {
+            endSession('Your session has expired. Please log in again.');
+            return;
+          }
+          const data = await handleApiResponse(response);
+          if (isAuthenticated.value) startSession(data);
+        } catch (err) {
+          // Keep the current token; the next activity tries again
+          console.error('[AdminShell] Session refresh failed:', err);
+        } finally {
+          pendingRefresh = null;
+        }
+      })();
+      return pendingRefresh;
+    };
+
+    const handleActivity = () => {
+      if (!isAuthenticated.value || showSessionWarning.value) return;
+      if (Date.now() - lastRefreshAt >= SESSION_REFRESH_INTERVAL_MS) {
+        lastRefreshAt = Date.now();
+        refreshSession();
+      }
+    };
+
+    // Shared by both login steps: start the session, move to the TOTP step, or show why not
+    const handleLoginResponse = (response, data) => {
+      if (response.ok && data.success) {
+        loginStep.value = 'credentials';
+        totpChallenge.value = '';
+        totpCode.value = '';
+        startSession(data);
+      } else if (data.totpRequired) {
+        loginStep.value = 'totp';
+        totpChallenge.value = data.challenge;
+        totpCode.value = '';
+        useRecoveryCode.value = false;
+        password.value = '';
+      } else if (response.status === 429) {
+        const retryAfter = Number(data.retryAfter || response.headers.get('Retry-After')) || 60;
+        startLockoutCountdown(retryAfter);
+      } else {
+        if (data.challengeExpired) cancelTotp();
+        loginError.value = data.message || 'Invalid username or password.';
+      }
+    };
+
     const login = async () => {
+      if (lockoutSeconds.value > 0) return;
       loginError.value = '';
       isLoggingIn.value = true;
 
@@ -74,87 +301,153 @@ const AdminShell = {
         return;
       }
 
+      // Local development runs the real admin-login function too
+      // (netlify dev, or node netlify/local-server.js)
       try {
-        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
-        const isLocalDev = apiUrl.includes('localhost') || apiUrl.includes('0.0.0.0') || apiUrl.includes('127.0.0.1');
-        isLocalDevMode.value = isLocalDev;
-
-        if (isLocalDev) {
-          const localUsername = typeof ENV !== 'undefined' ? ENV.ADMIN_USERNAME : 'admin';
-          const localPassword = typeof ENV !== 'undefined' ? ENV.ADMIN_PASSWORD : 'bttc2024';
-          if (username.value.trim() === localUsername && password.value === localPassword) {
-            const mockToken = 'local-dev-token-' + Date.now();
-            const expiresAt = Date.now() + (24 * 60 * 60 * 1000);
-            sessionStorage.setItem(AUTH_KEY, 'true');
-            sessionStorage.setItem(AUTH_TOKEN_KEY, mockToken);
-            sessionStorage.setItem(AUTH_EXPIRES_KEY, expiresAt.toString());
-            isAuthenticated.value = true;
-            password.value = '';
-          } else {
-            loginError.value = 'Invalid username or password.';
-          }
+        const response = await fetch(getAdminFunctionUrl('admin-login'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username: username.value.trim(), password: password.value })
+        });
+        const data = await response.json();
+        handleLoginResponse(response, data);
+      } catch (err) {
+        console.error('[AdminShell] Login error:', err);
+        loginError.value = 'Unable to connect to authentication server. Please try again.';
+      } finally {
+        isLoggingIn.value = false;
+      }
+    };
+
+    const submitTotp = async () => {
+      if (lockoutSeconds.value > 0) return;
+      loginError.value = '';
+
+      const value = totpCode.value.trim();
+      if (!value) {
+        loginError.value = useRecoveryCode.value ? 'Please enter a recovery code.' : 'Please enter the 6-digit code.';
+        return;
+      }
+
+      isLoggingIn.value = true;
+      try {
+        const payload = { action: 'verify-totp', challenge: totpChallenge.value };
+        if (useRecoveryCode.value) {
+          payload.recoveryCode = value;
         } else {
-          const baseUrl = apiUrl.replace('/rr', '').replace('/api', '');
-          const response = await fetch(`${baseUrl}/admin-login`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username: username.value.trim(), password: password.value })
-          });
-          const data = await response.json();
-          if (response.ok && data.success) {
-            sessionStorage.setItem(AUTH_KEY, 'true');
-            sessionStorage.setItem(AUTH_TOKEN_KEY, data.token);
-            sessionStorage.setItem(AUTH_EXPIRES_KEY, data.expiresAt.toString());
-            isAuthenticated.value = true;
-            password.value = '';
-          } else {
-            loginError.value = data.message || 'Invalid username or password.';
-          }
+          payload.code = value;
         }
+        const response = await fetch(getAdminFunctionUrl('admin-login'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        const data = await response.json();
+        handleLoginResponse(response, data);
       } catch (err) {
-        console.error('[AdminShell] Login error:', err);
+        console.error('[AdminShell] TOTP verification error:', err);
         loginError.value = 'Unable to connect to authentication server. Please try again.';
       } finally {
         isLoggingIn.value = false;
       }
     };
 
-    const logout = () => {
+    const toggleRecoveryCode = () => {
+      useRecoveryCode.value = !useRecoveryCode.value;
+      totpCode.value = '';
+      loginError.value = '';
+    };
+
+    const cancelTotp = () => {
+      loginStep.value = 'credentials';
+      totpChallenge.value = '';
+      totpCode.value = '';
+      useRecoveryCode.value = false;
+      loginError.value = '';
+    };
+
+    // Signs out in the browser only; `message` is shown on the login form
+    const endSession = (message = '') => {
+      stopSessionTimer();
       clearAuth();
       isAuthenticated.value = false;
+      currentUser.value = '';
+      currentRole.value = '';
+      permissions.value = [];
+      sessionExpiresAt.value = 0;
+      absoluteExpiresAt.value = 0;
+      showTwoFactor.value = false;
+      cancelTotp();
       username.value = '';
       password.value = '';
-      loginError.value = '';
+      loginError.value = message;
+    };
+
+    // Revokes the token on the server too, so it can't be used again
+    const logout = async () => {
+      // A refresh in flight would otherwise leave its new token unrevoked
+      if (pendingRefresh) await pendingRefresh;
+      try {
+        await fetch(`${getApiUrl()}/admin/session/logout`, getAdminFetchOptions({ method: 'POST' }));
+      } catch (err) {
+        console.error('[AdminShell] Server logout failed:', err);
+      }
+      endSession();
     };
 
     const handleLoginKeypress = (event) => {
       if (event.key === 'Enter') login();
     };
 
+    const handleTotpKeypress = (event) => {
+      if (event.key === 'Enter') submitTotp();
+    };
+
+    const canUse = (tabId) => visibleTabs.value.some(tab => tab.id === tabId);
+
     return {
       isAuthenticated,
       username,
       password,
       loginError,
       isLoggingIn,
-      isLocalDevMode,
+      loginStep,
+      totpCode,
+      useRecoveryCode,
+      showTwoFactor,
+      lockoutSeconds,
+      lockoutText,
       activeTab,
+      currentUser,
+      currentRole,
+      sessionSecondsLeft,
+      sessionAtLimit,
+      showSessionWarning,
+      visibleTabs,
+      canUse,
       login,
+      submitTotp,
+      toggleRecoveryCode,
+      cancelTotp,
+      refreshSession,
       logout,
-      handleLoginKeypress
+      handleLoginKeypress,
+      handleTotpKeypress
     };
   },
 
   template: `
+    <backend-banner />
     <div v-if="!isAuthenticated">
       <div class="login-container">
         <h3>Admin Login</h3>
-        <div v-if="isLocalDevMode" class="dev-mode-banner">
-          🔧 Local Development Mode
+        <div v-if="lockoutSeconds > 0" class="error-message">
+          Too many failed login attempts. Try again in {{ lockoutText }}.
         </div>
-        <div v-if="loginError" class="error-message">
+        <div v-else-if="loginError" class="error-message">
           {{ loginError }}
         </div>
+        <template v-if="loginStep === 'credentials'">
         <div class="form-group">
           <label for="username">Username</label>
           <input
@@ -179,9 +472,47 @@ const AdminShell = {
             autocomplete="current-password"
           />
         </div>
-        <button class="login-button" @click="login" :disabled="isLoggingIn">
+        <button class="login-button" @click="login" :disabled="isLoggingIn || lockoutSeconds > 0">
           {{ isLoggingIn ? 'Logging in...' : 'Login' }}
         </button>
+        </template>
+
+        <template v-else>
+          <div class="form-group">
+            <label for="totp-code">{{ useRecoveryCode ? 'Recovery Code' : 'Authentication Code' }}</label>
+            <input
+              v-if="!useRecoveryCode"
+              id="totp-code"
+              v-model="totpCode"
+              type="text"
+              inputmode="numeric"
+              maxlength="6"
+              placeholder="6-digit code"
+              :class="{ error: loginError }"
+              @keypress="handleTotpKeypress"
+              autocomplete="one-time-code"
+            />
+            <input
+              v-else
+              id="totp-code"
+              v-model="totpCode"
+              type="text"
+              placeholder="xxxxx-xxxxx"
+              :class="{ error: loginError }"
+              @keypress="handleTotpKeypress"
+              autocomplete="off"
+            />
+          </div>
+          <button class="login-button" @click="submitTotp" :disabled="isLoggingIn || lockoutSeconds > 0">
+            {{ isLoggingIn ? 'Verifying...' : 'Verify' }}
+          </button>
+          <div class="login-links">
+            <a href="#" @click.prevent="toggleRecoveryCode">
+              {{ useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code' }}
+            </a>
+            <a href="#" @click.prevent="cancelTotp">Start over</a>
+          </div>
+        </template>
       </div>
     </div>
 
@@ -189,27 +520,48 @@ const AdminShell = {
       <div class="admin-shell-header">
         <nav class="admin-tabs">
           <button
+            v-for="tab in visibleTabs"
+            :key="tab.id"
             class="admin-tab"
-            :class="{ active: activeTab === 'approvals' }"
-            @click="activeTab = 'approvals'"
-          >Registration Approvals</button>
-          <button
-            class="admin-tab"
-            :class="{ active: activeTab === 'audit' }"
-            @click="activeTab = 'audit'"
-          >Audit Log</button>
-          <button
-            class="admin-tab"
-            :class="{ active: activeTab === 'events' }"
-            @click="activeTab = 'events'"
-          >Events</button>
+            :class="{ active: activeTab === tab.id }"
+            @click="activeTab = tab.id"
+          >{{ tab.label }}</button>
         </nav>
-        <button class="logout-button" @click="logout">Logout</button>
+        <div class="admin-user">
+          <span v-if="currentUser" class="admin-user-name">{{ currentUser }} <span class="admin-user-role">({{ currentRole }})</span></span>
+          <button class="refresh-button" @click="showTwoFactor = !showTwoFactor">Two-Factor</button>
+          <button class="logout-button" @click="logout">Logout</button>
+        </div>
       </div>
 
-      <approvals-panel v-if="activeTab === 'approvals'"></approvals-panel>
-      <audit-panel v-if="activeTab === 'audit'"></audit-panel>
-      <events-panel v-if="activeTab === 'events'"></events-panel>
+      <two-factor-setup v-if="showTwoFactor" @close="showTwoFactor = false"></two-factor-setup>
+
+      <div v-if="showSessionWarning" class="session-warning-overlay">
+        <div class="session-warning" role="alertdialog" aria-labelledby="session-warning-title">
+          <h4 id="session-warning-title">Session expiring</h4>
+          <p v-if="sessionAtLimit">
+            Your session reaches its time limit in {{ sessionSecondsLeft }} seconds.
+            Finish what you're doing, then log in again.
+          </p>
+          <p v-else>
+            You'll be logged out in {{ sessionSecondsLeft }} seconds because of inactivity.
+          </p>
+          <div class="action-buttons">
+            <button v-if="!sessionAtLimit" class="confirm-button" @click="refreshSession">Stay logged in</button>
+            <button class="cancel-button" @click="logout">Log out now</button>
+          </div>
+        </div>
+      </div>
+
+      <div v-if="visibleTabs.length === 0" class="admin-container empty-message">
+        Your account doesn't have access to any admin tools.
+      </div>
+      <approvals-panel v-if="activeTab === 'approvals' && canUse('approvals')"></approvals-panel>
+      <waitlist-panel v-if="activeTab === 'waitlist' && canUse('waitlist')"></waitlist-panel>
+      <audit-panel v-if="activeTab === 'audit' && canUse('audit')"></audit-panel>
+      <events-panel v-if="activeTab === 'events' && canUse('events')"></events-panel>
+      <past-events-panel v-if="activeTab === 'past-events' && canUse('past-events')"></past-events-panel>
+      <system-panel v-if="activeTab === 'system' && canUse('system')"></system-panel>
     </div>
   `
 };
@@ -0,0 +1,196 @@
+// BTTC Admin - System Panel
+// Shows the API proxy's /health report: whether the backend answers, how fast, which
+// backend (dev/production) and commit this deploy runs, and the circuit breaker state.
+// Recent checks are kept in localStorage so trends survive a reload.
+// Utilities loaded from bttc-utils.js: getErrorMessage
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// Vue globals (ref, computed, onMounted) are declared by shell.js.
+
+const SYSTEM_HISTORY_KEY = 'bttc_admin_system_history';
+const SYSTEM_HISTORY_LIMIT = 20;
+
+const loadSystemHistory = () => {
+  try {
+    const history = JSON.parse(localStorage.getItem(SYSTEM_HISTORY_KEY) || '[]');
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveSystemHistory = (history) => {
+  try {
+    localStorage.setItem(SYSTEM_HISTORY_KEY, JSON.stringify(history));
+  } catch {
+    // History is a convenience; ignore storage errors
+  }
+};
+
+const SystemPanel = {
+  setup() {
+    const report = ref(null);
+    const loading = ref(false);
+    const error = ref(null);
+    const history = ref(loadSystemHistory());
+
+    onMounted(() => {
+      runCheck();
+    });
+
+    const runCheck = async () => {
+      loading.value = true;
+      error.value = null;
+      const startedAt = Date.now();
+      try {
+        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
+        const response = await fetch(`${apiUrl}/health`, getAdminFetchOptions());
+        // /health answers 503 with the full report when the backend is down
+        const data = await response.json();
+        if (!data || !data.status) {
+          throw new Error(data?.message || `Unexpected response (HTTP ${response.status})`);
+        }
+        report.value = data;
+        console.log('[SystemPanel] Health check:', data.status);
+
+        history.value = [{
+          checkedAt: new Date().toISOString(),
+          status: data.status,
+          latencyMs: data.upstream?.latencyMs ?? null,
+          httpStatus: data.upstream?.httpStatus ?? null,
+          roundTripMs: Date.now() - startedAt,
+          backend: data.backend,
+          commit: data.commit
+        }, ...history.value].slice(0, SYSTEM_HISTORY_LIMIT);
+        saveSystemHistory(history.value);
+      } catch (err) {
+        console.error('[SystemPanel] Health check failed:', err);
+        error.value = getErrorMessage(err, 'health check');
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const clearHistory = () => {
+      history.value = [];
+      saveSystemHistory([]);
+    };
+
+    const statusLabel = (status) => ({ ok: 'Healthy', degraded: 'Degraded', down: 'Down' }[status] || status || '—');
+
+    const statusBadgeClass = (status) => {
+      if (status === 'ok') return 'status-badge status-success';
+      if (status === 'down') return 'status-badge status-failed';
+      return 'status-badge status-unknown';
+    };
+
+    const circuitLabel = computed(() => {
+      const circuit = report.value?.circuit;
+      if (!circuit) return '—';
+      if (circuit.state === 'closed') return 'Closed (normal)';
+      if (circuit.state === 'open') return `Open (backend calls paused, retry in ${circuit.retryAfter}s)`;
+      return 'Half-open (testing the backend)';
+    });
+
+    const shortCommit = (commit) => (commit ? commit.slice(0, 7) : '—');
+
+    const formatDateTime = (dateStr) => {
+      if (!dateStr) return 'N/A';
+      try {
+        return new Date(dateStr).toLocaleString('en-US', {
+          month: 'short', day: 'numeric',
+          hour: '2-digit', minute: '2-digit', second: '2-digit',
+          timeZone: typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles'
+        });
+      } catch (err) { return dateStr; }
+    };
+
+    return {
+      report, loading, error, history, circuitLabel,
+      runCheck, clearHistory, statusLabel, statusBadgeClass, shortCommit, formatDateTime
+    };
+  },
+
+  template: `
+    <div class="admin-container system-container">
+      <h3>System Status</h3>
+      <p class="audit-subtitle">Whether the registration backend is answering, and what this site is running.</p>
+
+      <div class="audit-controls">
+        <div></div>
+        <div class="audit-actions">
+          <button class="refresh-button" @click="runCheck" :disabled="loading">
+            {{ loading ? 'Checking…' : '↻ Check now' }}
+          </button>
+        </div>
+      </div>
+
+      <div v-if="error" class="error-message">
+        <p><strong>Error:</strong></p>
+        <p>{{ error }}</p>
+      </div>
+
+      <dl v-if="report" class="system-details">
+        <dt>Status</dt>
+        <dd><span :class="statusBadgeClass(report.status)">{{ statusLabel(report.status) }}</span></dd>
+
+        <dt>Backend</dt>
+        <dd>
+          <span :class="{ 'system-dev-backend': report.backend !== 'production' }">{{ report.backend }}</span>
+          <span v-if="report.context" class="system-muted"> ({{ report.context }} deploy)</span>
+        </dd>
+
+        <dt>Backend response</dt>
+        <dd>
+          <template v-if="report.upstream.reachable">
+            HTTP {{ report.upstream.httpStatus }} in {{ report.upstream.latencyMs }} ms
+          </template>
+          <template v-else>
+            {{ report.upstream.error || ('HTTP ' + report.upstream.httpStatus) }}
+          </template>
+          <span class="system-muted">
+            · checked {{ formatDateTime(report.upstream.checkedAt) }}{{ report.upstream.cached ? ' (cached)' : '' }}
+          </span>
+        </dd>
+
+        <dt>Circuit breaker</dt>
+        <dd>{{ circuitLabel }}</dd>
+
+        <dt>Deploy</dt>
+        <dd>
+          <code>{{ shortCommit(report.commit) }}</code>
+          <span v-if="report.branch" class="system-muted"> on {{ report.branch }}</span>
+        </dd>
+      </dl>
+
+      <h4 class="system-history-title">Recent checks</h4>
+      <div v-if="history.length === 0" class="empty-message">No checks yet.</div>
+      <div v-else class="pending-table-container">
+        <table class="pending-table audit-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Status</th>
+              <th>Backend latency</th>
+              <th>Round trip</th>
+              <th>Backend</th>
+              <th>Commit</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr v-for="(check, idx) in history" :key="idx">
+              <td class="audit-cell-time">{{ formatDateTime(check.checkedAt) }}</td>
+              <td><span :class="statusBadgeClass(check.status)">{{ statusLabel(check.status) }}</span></td>
+              <td>{{ check.latencyMs !== null ? check.latencyMs + ' ms' : '—' }}</td>
+              <td>{{ check.roundTripMs }} ms</td>
+              <td>{{ check.backend }}</td>
+              <td><code>{{ shortCommit(check.commit) }}</code></td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="action-buttons">
+          <button class="cancel-button" @click="clearHistory">Clear history</button>
+        </div>
+      </div>
+    </div>
+  `
+};
@@ -0,0 +1,152 @@
+// BTTC Admin - Two-Factor Setup
+// Enrolls the signed-in admin in TOTP via the admin-login function (totp-setup / totp-confirm).
+// The admin re-enters their password, adds the secret to an authenticator app, confirms one code,
+// and gets recovery codes plus the fields the site maintainer adds to their ADMIN_USERS entry.
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions and getAdminFunctionUrl.
+// Vue globals (ref, computed) are declared by shell.js.
+
+const TwoFactorSetup = {
+  emits: ['close'],
+  setup(props, { emit }) {
+    // 'start' → 'verify' (secret shown, waiting for a code) → 'done' (recovery codes shown)
+    const step = ref('start');
+    const loading = ref(false);
+    const error = ref(null);
+    // Sent with both steps; admin-login checks it again before each
+    const password = ref('');
+    const secret = ref('');
+    const otpauthUrl = ref('');
+    const code = ref('');
+    const recoveryCodes = ref([]);
+    const config = ref(null);
+
+    const configText = computed(() => (config.value ? JSON.stringify(config.value, null, 2) : ''));
+
+    const postAction = async (payload) => {
+      const response = await fetch(
+        getAdminFunctionUrl('admin-login'),
+        getAdminFetchOptions({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        })
+      );
+      return handleApiResponse(response);
+    };
+
+    const startSetup = async () => {
+      if (!password.value) {
+        error.value = 'Please enter your password.';
+        return;
+      }
+      loading.value = true;
+      error.value = null;
+      try {
+        const data = await postAction({ action: 'totp-setup', password: password.value });
+        secret.value = data.secret;
+        otpauthUrl.value = data.otpauthUrl;
+        step.value = 'verify';
+      } catch (err) {
+        console.error('[TwoFactorSetup] Failed to start setup:', err);
+        error.value = getErrorMessage(err, 'two-factor setup');
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const confirmSetup = async () => {
+      if (!/^\d{6}$/.test(code.value.trim())) {
+        error.value = 'Enter the 6-digit code from your authenticator app.';
+        return;
+      }
+      loading.value = true;
+      error.value = null;
+      try {
+        const data = await postAction({
+          action: 'totp-confirm',
+          password: password.value,
+          secret: secret.value,
+          code: code.value.trim()
+        });
+        recoveryCodes.value = data.recoveryCodes || [];
+        config.value = data.config || null;
+        password.value = '';
+        step.value = 'done';
+      } catch (err) {
+        console.error('[TwoFactorSetup] Failed to confirm setup:', err);
+        error.value = err.message;
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const close = () => {
+      password.value = '';
+      emit('close');
+    };
+
+    return {
+      step, loading, error, password, secret, otpauthUrl, code, recoveryCodes, configText,
+      startSetup, confirmSetup, close
+    };
+  },
+
+  template: `
+    <div class="admin-container two-factor-container">
+      <h3>Two-Factor Authentication</h3>
+
+      <div v-if="error" class="error-message">
+        <p><strong>Error:</strong></p>
+        <p>{{ error }}</p>
+      </div>
+
+      <div v-if="step === 'start'">
+        <p class="audit-subtitle">
+          Require a 6-digit code from an authenticator app (Google Authenticator, 1Password, Authy…)
+          in addition to your password.
+        </p>
+        <div class="form-group">
+          <label for="two-factor-password">Confirm your password</label>
+          <input id="two-factor-password" v-model="password" type="password"
+                 autocomplete="current-password" @keypress.enter="startSetup" />
+        </div>
+        <div class="action-buttons">
+          <button class="confirm-button" @click="startSetup" :disabled="loading">
+            {{ loading ? 'Starting…' : 'Set up two-factor' }}
+          </button>
+          <button class="cancel-button" @click="close">Cancel</button>
+        </div>
+      </div>
+
+      <div v-else-if="step === 'verify'">
+        <p>Add this account to your authenticator app using the setup key, or open the link on your phone:</p>
+        <p class="two-factor-secret">{{ secret }}</p>
+        <p><a :href="otpauthUrl" class="two-factor-link">Open in authenticator app</a></p>
+        <div class="form-group">
+          <label for="two-factor-code">Enter the current code to confirm</label>
+          <input id="two-factor-code" v-model="code" type="text" inputmode="numeric" maxlength="6"
+                 placeholder="6-digit code" autocomplete="one-time-code" @keypress.enter="confirmSetup" />
+        </div>
+        <div class="action-buttons">
+          <button class="confirm-button" @click="confirmSetup" :disabled="loading">
+            {{ loading ? 'Checking…' : 'Confirm' }}
+          </button>
+          <button class="cancel-button" @click="close">Cancel</button>
+        </div>
+      </div>
+
+      <div v-else>
+        <p class="two-factor-done">✓ Code confirmed.</p>
+        <p><strong>Save these recovery codes somewhere safe.</strong> Each works once if you lose your phone. They won't be shown again.</p>
+        <ul class="two-factor-codes">
+          <li v-for="recoveryCode in recoveryCodes" :key="recoveryCode">{{ recoveryCode }}</li>
+        </ul>
+        <p>Send the following to the site maintainer to add to your <code>ADMIN_USERS</code> entry. Two-factor takes effect once it's deployed.</p>
+        <pre class="two-factor-config">{{ configText }}</pre>
+        <div class="action-buttons">
+          <button class="confirm-button" @click="close">Done</button>
+        </div>
+      </div>
+    </div>
+  `
+};
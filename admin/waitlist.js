@@ -0,0 +1,311 @@
+// BTTC Admin - Waitlist Panel
+// Lists the current event's waitlist in order, promotes a player into a freed roster
+// slot (optionally texting/emailing them that they're in) and moves players to another
+// position with a reason. Both actions are recorded in the audit log.
+// Reads GET /rr/waitlist, an admin-only route that includes each player's phone number and
+// email ({ event_date, event_type, capacity, waitlist }); the public roster never does.
+// Utilities loaded from bttc-utils.js: getErrorMessage, handleApiResponse
+// Auth is handled by the shell (shell.js), which also provides getAdminFetchOptions.
+// Uses ACTION_NOTE_MAX_LENGTH from admin.js.
+// Vue globals (ref, reactive, computed, onMounted) are declared by shell.js.
+
+const WaitlistPanel = {
+  setup() {
+    const waitlist = ref([]);
+    const capacity = ref(null);
+    const loading = ref(false);
+    const error = ref(null);
+    const successMessage = ref('');
+    const eventDate = ref('');
+    const eventType = ref('');
+    // Action awaiting confirmation: { kind: 'promote' | 'move', player, note, position, notify, noteError, submitting }
+    const pendingAction = ref(null);
+    const currentSort = reactive({
+      key: 'position',
+      direction: 'asc'
+    });
+
+    const sortedWaitlist = computed(() => {
+      const key = currentSort.key;
+      return [...waitlist.value].sort((a, b) => {
+        let valA = a[key] ?? '';
+        let valB = b[key] ?? '';
+        if (key === 'position' || key === 'rating') {
+          valA = Number(valA) || 0;
+          valB = Number(valB) || 0;
+        } else if (key === 'registered_at') {
+          valA = new Date(valA);
+          valB = new Date(valB);
+        } else {
+          valA = valA.toString().toLowerCase();
+          valB = valB.toString().toLowerCase();
+        }
+        if (valA < valB) return currentSort.direction === 'asc' ? -1 : 1;
+        if (valA > valB) return currentSort.direction === 'asc' ? 1 : -1;
+        return 0;
+      });
+    });
+
+    // Promoting only makes sense while the roster has a free slot
+    const spotsAvailable = computed(() => (capacity.value ? Number(capacity.value.spots_available || 0) : 0));
+
+    onMounted(() => {
+      fetchWaitlist();
+    });
+
+    const fetchWaitlist = async () => {
+      loading.value = true;
+      error.value = null;
+      try {
+        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
+        console.log('[WaitlistPanel] Fetching waitlist...');
+        const response = await fetch(`${apiUrl}/rr/waitlist`, getAdminFetchOptions());
+        const data = await handleApiResponse(response);
+        waitlist.value = Array.isArray(data.waitlist) ? data.waitlist : [];
+        capacity.value = data.capacity || null;
+        eventDate.value = data.event_date || data.capacity?.event_date || '';
+        eventType.value = data.event_type || data.capacity?.event_type || '';
+        console.log(`[WaitlistPanel] Found ${waitlist.value.length} waitlisted players`);
+      } catch (err) {
+        console.error('[WaitlistPanel] Failed to fetch waitlist:', err);
+        error.value = getErrorMessage(err, 'fetching the waitlist');
+      } finally {
+        loading.value = false;
+      }
+    };
+
+    const getPlayerName = (player) => player.full_name || `${player.first_name} ${player.last_name}`;
+
+    const getContact = (player) => player.phone_number || player.email || '';
+
+    const openPromote = (player) => {
+      pendingAction.value = { kind: 'promote', player, note: '', notify: !!getContact(player), noteError: '', submitting: false };
+    };
+
+    const openMove = (player) => {
+      pendingAction.value = { kind: 'move', player, note: '', position: Number(player.position) || 1, noteError: '', submitting: false };
+    };
+
+    const closeAction = () => {
+      if (pendingAction.value && !pendingAction.value.submitting) pendingAction.value = null;
+    };
+
+    const submitAction = async () => {
+      const action = pendingAction.value;
+      const note = action.note.trim();
+      let path;
+      let payload;
+      if (action.kind === 'move') {
+        if (!note) {
+          action.noteError = 'Reason is required.';
+          return;
+        }
+        if (!Number.isInteger(action.position) || action.position < 1 || action.position > waitlist.value.length) {
+          action.noteError = `Position must be between 1 and ${waitlist.value.length}.`;
+          return;
+        }
+        path = '/rr/waitlist/reorder';
+        payload = { internal_user_id: action.player.internal_user_id, position: action.position, note };
+      } else {
+        path = '/rr/registration/promote';
+        payload = { internal_user_id: action.player.internal_user_id, notify: action.notify, ...(note && { note }) };
+      }
+
+      action.submitting = true;
+      action.noteError = '';
+      try {
+        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '/.netlify/functions/api';
+        console.log(`[WaitlistPanel] ${action.kind}:`, payload);
+        const response = await fetch(
+          `${apiUrl}${path}`,
+          getAdminFetchOptions({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          })
+        );
+        const data = await handleApiResponse(response);
+        pendingAction.value = null;
+        const name = getPlayerName(action.player);
+        if (action.kind === 'move') {
+          showSuccess(`Moved ${name} to position ${action.position}`);
+        } else if (action.notify && data.notified === false) {
+          showSuccess(`Promoted ${name}, but the notification could not be sent. Please contact them at ${getContact(action.player)}.`);
+        } else {
+          showSuccess(`Promoted ${name}${action.notify ? ' and notified them' : ''}`);
+        }
+        await fetchWaitlist();
+      } catch (err) {
+        console.error(`[WaitlistPanel] ${action.kind} failed:`, err);
+        // Validation errors belong next to the field; anything else is shown in the dialog
+        action.noteError = err.fields?.note || err.fields?.position || getErrorMessage(err, action.kind === 'move' ? 'moving the player' : 'promoting the player');
+      } finally {
+        action.submitting = false;
+      }
+    };
+
+    const sortBy = (key) => {
+      if (currentSort.key === key) {
+        currentSort.direction = currentSort.direction === 'asc' ? 'desc' : 'asc';
+      } else {
+        currentSort.key = key;
+        currentSort.direction = key === 'registered_at' ? 'desc' : 'asc';
+      }
+    };
+
+    const getSortClass = (key) => {
+      if (currentSort.key !== key) return 'sortable';
+      return currentSort.direction === 'asc' ? 'sortable sorted-asc' : 'sortable sorted-desc';
+    };
+
+    const showSuccess = (message) => {
+      successMessage.value = message;
+      setTimeout(() => { successMessage.value = ''; }, 5000);
+    };
+
+    const formatEventDate = (dateStr) => {
+      if (!dateStr) return 'Not set';
+      try {
+        return new Date(dateStr).toLocaleDateString('en-US', {
+          weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+        });
+      } catch (err) { return dateStr; }
+    };
+
+    const formatRegisteredAt = (dateStr) => {
+      if (!dateStr) return 'N/A';
+      try {
+        return new Date(dateStr).toLocaleDateString('en-US', {
+          month: 'short', day: 'numeric', year: 'numeric',
+          hour: '2-digit', minute: '2-digit', timeZone: 'America/Los_Angeles'
+        });
+      } catch (err) { return dateStr; }
+    };
+
+    return {
+      waitlist, capacity, loading, error, successMessage, eventDate, eventType, pendingAction, currentSort,
+      sortedWaitlist, spotsAvailable, noteMaxLength: ACTION_NOTE_MAX_LENGTH,
+      fetchWaitlist, openPromote, openMove, closeAction, submitAction,
+      getPlayerName, getContact, sortBy, getSortClass, formatEventDate, formatRegisteredAt
+    };
+  },
+
+  template: `
+    <div class="admin-container">
+      <h3>Waitlist</h3>
+
+      <div v-if="eventDate" class="event-date">
+        <span class="event-date-label">Event Date:</span> {{ formatEventDate(eventDate) }}
+        <span v-if="eventType"> ({{ eventType }})</span>
+      </div>
+
+      <div v-if="successMessage" class="success-message">{{ successMessage }}</div>
+
+      <div v-if="error" class="error-message">
+        <p><strong>Error:</strong></p>
+        <p>{{ error }}</p>
+      </div>
+
+      <div v-if="loading" class="loading-message">Loading waitlist...</div>
+
+      <div v-if="!loading && !error" class="audit-controls">
+        <div class="player-count">
+          {{ waitlist.length }} on the waitlist
+          <span v-if="capacity">
+            · {{ capacity.confirmed_count }} / {{ capacity.player_cap }} on the roster,
+            {{ spotsAvailable }} spot{{ spotsAvailable !== 1 ? 's' : '' }} open
+          </span>
+        </div>
+        <div class="audit-actions">
+          <button class="refresh-button" @click="fetchWaitlist" :disabled="loading">↻ Refresh</button>
+        </div>
+      </div>
+
+      <div v-if="!loading && !error && waitlist.length === 0" class="empty-message">
+        Nobody is on the waitlist.
+      </div>
+
+      <div v-if="!loading && !error && waitlist.length > 0" class="pending-table-container">
+        <table class="pending-table">
+          <thead>
+            <tr>
+              <th :class="getSortClass('position')" @click="sortBy('position')">Position</th>
+              <th :class="getSortClass('registered_at')" @click="sortBy('registered_at')">Registered At</th>
+              <th :class="getSortClass('full_name')" @click="sortBy('full_name')">Name</th>
+              <th :class="getSortClass('rating')" @click="sortBy('rating')">Rating</th>
+              <th>Contact</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr v-for="player in sortedWaitlist" :key="player.internal_user_id || player.position">
+              <td class="waitlist-position">#{{ player.position }}</td>
+              <td>{{ formatRegisteredAt(player.registered_at) }}</td>
+              <td>{{ getPlayerName(player) }}</td>
+              <td>{{ player.rating || '—' }}</td>
+              <td>{{ getContact(player) || '—' }}</td>
+              <td>
+                <div class="action-buttons">
+                  <button
+                    class="confirm-button"
+                    @click="openPromote(player)"
+                    :disabled="!player.internal_user_id || spotsAvailable === 0"
+                    :title="spotsAvailable === 0 ? 'The roster is full' : ''"
+                  >Promote</button>
+                  <button
+                    class="cancel-button"
+                    @click="openMove(player)"
+                    :disabled="!player.internal_user_id || waitlist.length < 2"
+                  >Move</button>
+                </div>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div v-if="pendingAction" class="action-dialog-overlay" @click.self="closeAction">
+        <div class="action-dialog" role="dialog" aria-labelledby="waitlist-dialog-title">
+          <h4 id="waitlist-dialog-title">{{ pendingAction.kind === 'move' ? 'Move on the waitlist' : 'Promote to the roster' }}</h4>
+          <p>{{ getPlayerName(pendingAction.player) }} (currently #{{ pendingAction.player.position }})</p>
+
+          <div v-if="pendingAction.kind === 'move'" class="form-group">
+            <label for="waitlist-position">New position</label>
+            <input id="waitlist-position" type="number" min="1" :max="waitlist.length" step="1" v-model.number="pendingAction.position" />
+          </div>
+
+          <label v-if="pendingAction.kind === 'promote'" class="waitlist-notify">
+            <input type="checkbox" v-model="pendingAction.notify" :disabled="!getContact(pendingAction.player)" />
+            <span v-if="getContact(pendingAction.player)">Let the player know they're in ({{ getContact(pendingAction.player) }})</span>
+            <span v-else>No phone number or email on file to notify</span>
+          </label>
+
+          <div class="form-group">
+            <label for="waitlist-note">
+              {{ pendingAction.kind === 'move' ? 'Reason' : 'Note' }}
+              <span v-if="pendingAction.kind === 'promote'" class="optional-hint">(optional)</span>
+            </label>
+            <textarea
+              id="waitlist-note"
+              class="event-textarea"
+              rows="3"
+              :maxlength="noteMaxLength"
+              v-model="pendingAction.note"
+              placeholder="Kept in the audit log"
+            ></textarea>
+            <div v-if="pendingAction.noteError" class="error-text">{{ pendingAction.noteError }}</div>
+          </div>
+
+          <div class="action-buttons">
+            <button
+              :class="pendingAction.kind === 'move' ? 'cancel-button' : 'confirm-button'"
+              @click="submitAction"
+              :disabled="pendingAction.submitting"
+            >{{ pendingAction.submitting ? 'Saving...' : (pendingAction.kind === 'move' ? 'Move' : 'Promote') }}</button>
+            <button class="cancel-button" @click="closeAction" :disabled="pendingAction.submitting">Cancel</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `
+};
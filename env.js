@@ -7,32 +7,30 @@
 
 const ENV = {
   // API Configuration
-  API_URL: '/.netlify/functions/api', // Netlify function endpoint (for local dev, use 'http://0.0.0.0:8080')
+  // Netlify function endpoint. Pointing it straight at a local backend ('http://0.0.0.0:8080')
+  // works for the public pages only: the admin page logs in through the admin-login function
+  // next to this proxy, so for admin work keep this and run netlify/local-server.js
+  API_URL: '/.netlify/functions/api',
   // API_KEY: 'secret', // Optional: Set API key for local dev (e.g., 'your-api-key-here')
   
   // Support Contact
   SUPPORT_PHONE: '510-926-6913',
   SUPPORT_METHOD: 'TEXT ONLY',
   
-  // Registration Schedule
-  // Opening time (when registration opens each week)
-  REGISTRATION_OPENING_DAY: 3, // Wednesday (0 = Sunday, 1 = Monday, ..., 3 = Wednesday)
-  REGISTRATION_OPENING_HOUR: 10, // 10:00 (10 AM)
-  REGISTRATION_OPENING_MINUTE: 0,
-  
-  // Closing time (when registration closes each week)
-  REGISTRATION_CLOSING_DAY: 5, // Friday (0 = Sunday, 5 = Friday)
-  REGISTRATION_CLOSING_HOUR: 18, // 18:00 (6:00 PM)
-  REGISTRATION_CLOSING_MINUTE: 0,
-  
-  TIMEZONE: 'America/Los_Angeles',
+  // Registration opens and closes per event: each event carries its own window, set when
+  // it's opened in the admin Events panel or by a recurring series
+  TIMEZONE: 'America/Los_Angeles', // Club timezone, for event dates and registration windows
   
   // Capacity Settings
   DEFAULT_PLAYER_CAP: 64,
   FALLBACK_PLAYER_CAP: 65,
   
+  // Registration Fees (dollars), used to match Venmo/Zelle payments in the admin panel
+  REGISTRATION_FEES: [8, 5], // Adult, junior/senior
+  
   // Cache Settings (Time To Live in seconds)
   CACHE_TTL_ROSTER: 60,      // Roster cache TTL in seconds (default: 45s, range: 30-60s)
+  CACHE_TTL_EVENT_METADATA: 300, // Event date/type cache TTL in seconds; open events can be edited
   
   // Phone Validation
   PHONE_NUMBER_LENGTH: 10,
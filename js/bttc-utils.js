@@ -7,7 +7,7 @@ const getSupportContact = () => {
     : 'contact BTTC support at 510-926-6913 (TEXT ONLY)';
 };
 
-const getErrorMessage = (error, context = 'operation') => {
+const describeError = (error, context) => {
   const errorMessage = error?.message || String(error || '');
   const errorName = error?.name || '';
   const supportContact = getSupportContact();
@@ -41,6 +41,20 @@ const getErrorMessage = (error, context = 'operation') => {
     if (status === 404) {
       return `Service not found. Please ${supportContact}.`;
     }
+    if (status === 400 && error.code === 'VALIDATION_ERROR') {
+      // The proxy checked the form data; its message names the field (see error.fields)
+      return error.message;
+    }
+    if (status === 409 && error.code === 'REGISTRATION_CLOSED') {
+      // The proxy says when the event's registration window opens or closed
+      return error.message;
+    }
+    if (status === 429) {
+      // The proxy's rate limiter explains how long to wait
+      return error.message && error.message !== 'Server error'
+        ? error.message
+        : 'Too many requests. Please wait a minute and try again.';
+    }
     if (status === 503) {
       return `Service unavailable: The service is temporarily down for maintenance. Please try again later or ${supportContact}.`;
     }
@@ -54,6 +68,17 @@ const getErrorMessage = (error, context = 'operation') => {
   return `An unexpected error occurred during ${context}. Please try again or ${supportContact}.`;
 };
 
+// User-facing error text. When the proxy tagged the failed request with an ID
+// (X-Request-Id), it's appended so support can find the request in the logs.
+const getErrorMessage = (error, context = 'operation') => {
+  const message = describeError(error, context);
+  return error?.requestId ? `${message} (Reference: ${error.requestId})` : message;
+};
+
+// True when the proxy has marked the backend as down (503, code MAINTENANCE), so pages
+// can show a maintenance state instead of a generic error.
+const isMaintenanceError = (error) => error?.code === 'MAINTENANCE';
+
 const getFetchOptions = (options = {}) => {
   const apiKey = typeof ENV !== 'undefined' ? ENV.API_KEY : '';
   
@@ -78,8 +103,13 @@ const getFetchOptions = (options = {}) => {
 const handleApiResponse = async (response) => {
   if (!response.ok) {
     let errorMessage = 'Server error';
+    let errorCode = null;
+    let errorFields = null;
     try {
       const errorData = await response.json();
+      errorCode = errorData.code || null;
+      // Field-level messages from the proxy's request validation, keyed by payload field
+      errorFields = errorData.fields || null;
       // FastAPI returns errors as {"detail": "..."}; check it first so API messages
       // (e.g. "An OPEN event for this type and date already exists.") reach the user
       // instead of the generic fallback.
@@ -90,6 +120,9 @@ const handleApiResponse = async (response) => {
     
     const error = new Error(errorMessage);
     error.response = response;
+    error.code = errorCode;
+    error.fields = errorFields;
+    error.requestId = response.headers?.get('X-Request-Id') || null;
     throw error;
   }
   
@@ -170,6 +203,40 @@ const formatPhoneNumber = (phoneString) => {
   }
 };
 
+// Registration windows: each event carries registration_opens_at / registration_closes_at
+// (ISO timestamps set when it's opened in the admin Events panel or by a recurring series),
+// so the registration and roster pages don't need a weekly schedule of their own.
+
+// { opensAt, closesAt } in milliseconds; null when the event doesn't say
+const getRegistrationWindow = (eventData) => {
+  const toTime = (value) => {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+  };
+  return {
+    opensAt: toTime(eventData && eventData.registration_opens_at),
+    closesAt: toTime(eventData && eventData.registration_closes_at)
+  };
+};
+
+// Whether a window ({ opensAt, closesAt }) is open now; a missing bound doesn't restrict
+const isWithinRegistrationWindow = ({ opensAt, closesAt }, now = Date.now()) => {
+  return (opensAt == null || now >= opensAt) && (closesAt == null || now < closesAt);
+};
+
+// A window bound in the club's timezone, e.g. "Wednesday, November 4 at 10:00 AM PST"
+const formatRegistrationTime = (time, options = { weekday: 'long', month: 'long', day: 'numeric' }) => {
+  if (time == null) return '';
+  const timezone = typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles';
+  return new Date(time).toLocaleString('en-US', {
+    ...options,
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone,
+    timeZoneName: 'short'
+  });
+};
+
 // Cookie utilities for storing phone number for auto-sign-in
 const setCookie = (name, value, days = 365) => {
   // Set cookie with expiration date
@@ -195,3 +262,69 @@ const deleteCookie = (name) => {
   document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
 };
 
+// Backend banner: the API proxy's /health route reports which backend this deploy uses
+// (see netlify/lib/backend.js). Outside production, pages show a "DEV BACKEND" banner
+// so testers don't mistake preview data for real registrations. Production pages never ask,
+// so public visitors don't spend a backend request or rate-limit allowance on it.
+const BACKEND_INFO_CACHE_KEY = 'bttc_backend_info';
+const BACKEND_INFO_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Deploy previews and branch deploys are served as "<name>--<site>.netlify.app", and local
+// servers from localhost; production uses the club's domain or the plain site name.
+const isPreviewHost = (hostname = window.location.hostname) => (
+  hostname.includes('--') || ['localhost', '127.0.0.1', '0.0.0.0'].includes(hostname)
+);
+
+const fetchBackendInfo = async () => {
+  if (!isPreviewHost()) {
+    return null;
+  }
+
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(BACKEND_INFO_CACHE_KEY) || 'null');
+    if (cached && Date.now() - cached.timestamp < BACKEND_INFO_TTL) {
+      return cached.data;
+    }
+  } catch {
+    // sessionStorage unavailable or corrupted, fetch instead
+  }
+
+  // Only the Netlify proxy has /health; skip when pointing straight at a local backend
+  const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : '';
+  if (!apiUrl || !apiUrl.includes('/.netlify/functions/')) {
+    return null;
+  }
+
+  // Read the body whatever the status: /health answers 503 (with the same fields)
+  // when the backend is down, and the banner matters most then
+  const response = await fetch(`${apiUrl}/health`, getFetchOptions());
+  const data = await response.json();
+  try {
+    sessionStorage.setItem(BACKEND_INFO_CACHE_KEY, JSON.stringify({ data, timestamp: Date.now() }));
+  } catch {
+    // Cache is an optimization only
+  }
+  return data;
+};
+
+// Vue component (Options API, so it doesn't depend on a page's Vue imports).
+// Register it in a page's components and place <backend-banner /> at the top.
+const BackendBanner = {
+  data() {
+    return { backend: null };
+  },
+  async mounted() {
+    try {
+      const info = await fetchBackendInfo();
+      this.backend = info ? info.backend : null;
+    } catch (err) {
+      // The banner is informational; never block the page over it
+      console.warn('[BackendBanner] Could not check backend:', err.message);
+    }
+  },
+  template: `
+    <div v-if="backend && backend !== 'production'" class="backend-banner">
+      ⚠️ {{ backend.toUpperCase() }} BACKEND: test data only, registrations here are not real
+    </div>
+  `
+};
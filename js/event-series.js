@@ -0,0 +1,189 @@
+// BTTC Recurring Event Series
+// Turns a recurring series ("RR every Friday, cap 66, opens Wed 10:00, closes Fri 18:00")
+// into dated events with their registration windows. Shared by the admin Events panel
+// (preview) and the event-scheduler Netlify function (auto open/close), so both agree
+// on which events a series produces.
+//
+// A series, as stored by the backend at /events/series:
+//   series_id, name, event_type, weekday (0 = Sunday ... 6 = Saturday), max_capacity,
+//   announcement_notes, opens_days_before, opens_at ('HH:MM'), closes_days_before,
+//   closes_at ('HH:MM'), starts_on / ends_on ('YYYY-MM-DD', optional),
+//   exceptions (['YYYY-MM-DD'], dates with no event), active
+// Times are in the club's timezone (ENV.TIMEZONE in the browser).
+// Events the scheduler opens carry series_id and series_date (the date the series gave
+// them), so an event keeps its place in the series after an admin moves its date.
+
+const SERIES_DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const SERIES_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SERIES_DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of an instant in a timezone ('en-CA' formats that way)
+const dateInTimezone = (instant, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(instant);
+
+// Milliseconds the timezone is ahead of UTC at an instant (negative west of UTC)
+const timezoneOffsetMs = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock date and time in a timezone happens.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} timeZone - IANA name, e.g. 'America/Los_Angeles'
+ * @returns {Date}
+ */
+const zonedTimeToDate = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset at the guessed instant is right except within an hour of a DST change;
+  // checking again at the corrected instant settles it.
+  let instant = wallClock - timezoneOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - timezoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+const addDaysToDate = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * SERIES_DAY_MS).toISOString().slice(0, 10);
+};
+
+const weekdayOfDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Dated events a series produces, in order, starting with the first event date on or
+ * after `fromDate`. Holiday exceptions are included with `skipped: true` so a preview
+ * can show them; the scheduler ignores them.
+ *
+ * @param {Object} series - See the top of this file
+ * @param {string} fromDate - 'YYYY-MM-DD'
+ * @param {number} count - How many event dates to return (exceptions count too)
+ * @param {string} [timeZone]
+ * @returns {Array<{ event_type, event_date, max_capacity, announcement_notes, opensAt: Date, closesAt: Date, skipped: boolean }>}
+ */
+const generateSeriesEvents = (series, fromDate, count, timeZone = SERIES_DEFAULT_TIMEZONE) => {
+  const events = [];
+  const exceptions = new Set(series.exceptions || []);
+  let date = fromDate;
+  if (series.starts_on && series.starts_on > date) date = series.starts_on;
+  date = addDaysToDate(date, (Number(series.weekday) - weekdayOfDate(date) + 7) % 7);
+
+  while (events.length < count && (!series.ends_on || date <= series.ends_on)) {
+    events.push({
+      event_type: series.event_type,
+      event_date: date,
+      max_capacity: series.max_capacity,
+      announcement_notes: series.announcement_notes || '',
+      opensAt: zonedTimeToDate(addDaysToDate(date, -Number(series.opens_days_before || 0)), series.opens_at, timeZone),
+      closesAt: zonedTimeToDate(addDaysToDate(date, -Number(series.closes_days_before || 0)), series.closes_at, timeZone),
+      skipped: exceptions.has(date)
+    });
+    date = addDaysToDate(date, 7);
+  }
+  return events;
+};
+
+/**
+ * Problems with a series definition, as messages (empty when it's usable).
+ * Checks what the proxy's schema can't: that registration opens before it closes and
+ * the series ends after it starts.
+ *
+ * @param {Object} series
+ * @returns {string[]}
+ */
+const validateSeries = (series) => {
+  const problems = [];
+  const opensBefore = Number(series.opens_days_before);
+  const closesBefore = Number(series.closes_days_before);
+  if (opensBefore < closesBefore || (opensBefore === closesBefore && series.opens_at >= series.closes_at)) {
+    problems.push('Registration must open before it closes.');
+  }
+  if (series.starts_on && series.ends_on && series.ends_on < series.starts_on) {
+    problems.push('The series must end after it starts.');
+  }
+  return problems;
+};
+
+// When an existing event's registration closes: its stored window, else the series' time
+const storedClosesAt = (event, fallback) => {
+  const time = event.registration_closes_at ? Date.parse(event.registration_closes_at) : NaN;
+  return Number.isNaN(time) ? fallback : new Date(time);
+};
+
+/**
+ * What the scheduler should do now: open each series event whose registration window
+ * has started (unless an event already exists for that series date, or for that type and
+ * date, so an event an admin closed early or moved isn't opened again), and close each
+ * open event this series opened (matched on its stored series_id) whose window has
+ * ended. Events admins opened by hand are never closed here. An existing event closes
+ * at its own registration_closes_at, which an admin may have changed in the Events
+ * panel; the series' time only applies when the event has none.
+ *
+ * @param {Array} seriesList - Series from /events/series
+ * @param {Array} existingEvents - Open and closed events from /events/all
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {{ toOpen: Array, toClose: Array }} - toOpen holds generated events,
+ *   toClose holds events from existingEvents
+ */
+const planSeriesActions = (seriesList, existingEvents, now, timeZone = SERIES_DEFAULT_TIMEZONE) => {
+  const toOpen = [];
+  const toClose = [];
+  const eventKey = (type, date) => `${type}|${String(date).slice(0, 10)}`;
+  const seriesKey = (seriesId, date) => `series:${seriesId}|${String(date).slice(0, 10)}`;
+  const existing = new Map();
+  for (const event of existingEvents) {
+    existing.set(eventKey(event.event_type, event.event_date), event);
+    // Also holds its original series date, wherever an admin has moved it since
+    if (event.series_id != null && event.series_date) {
+      existing.set(seriesKey(event.series_id, event.series_date), event);
+    }
+  }
+
+  // Windows open at most two weeks ahead of the event (opens_days_before <= 13), and an
+  // ended window only matters until its event is closed: a week back and three ahead covers both
+  const fromDate = addDaysToDate(dateInTimezone(now, timeZone), -7);
+  for (const series of seriesList) {
+    if (series.active === false) continue;
+    for (const event of generateSeriesEvents(series, fromDate, 4, timeZone)) {
+      if (event.skipped) continue;
+      const current = existing.get(seriesKey(series.series_id, event.event_date))
+        || existing.get(eventKey(event.event_type, event.event_date));
+      if (!current && now >= event.opensAt && now < event.closesAt) {
+        toOpen.push({ ...event, series_id: series.series_id });
+      } else if (
+        current && current.status === 'OPEN' && String(current.series_id) === String(series.series_id)
+        && now >= storedClosesAt(current, event.closesAt)
+      ) {
+        toClose.push(current);
+      }
+    }
+  }
+  return { toOpen, toClose };
+};
+
+// "Wed 10:00" style summary of when a series' registration opens, relative to its event day
+const describeSeriesDay = (weekday, daysBefore) => SERIES_WEEKDAYS[(Number(weekday) - (Number(daysBefore) % 7) + 7) % 7].slice(0, 3);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SERIES_WEEKDAYS,
+    zonedTimeToDate,
+    generateSeriesEvents,
+    validateSeries,
+    planSeriesActions,
+    describeSeriesDay
+  };
+}
@@ -0,0 +1,11 @@
+// BTTC Form Limits
+// Field limits shared by the pages (maxlength on the inputs) and the API proxy's
+// request schemas (netlify/lib/schemas.js), so the page never lets a player type more
+// than the proxy accepts.
+
+// Longest comment a player can type, and longest note an admin can add to an action
+const COMMENT_MAX_LENGTH = 500;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { COMMENT_MAX_LENGTH };
+}
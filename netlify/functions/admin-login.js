@@ -1,138 +1,379 @@
 /**
  * Admin Login Authentication Function
  * 
- * Verifies admin credentials against environment variables.
- * Returns a success response if credentials are valid.
+ * Verifies admin credentials against the user store (see lib/admin-users.js).
+ * Returns a signed, expiring session token carrying the admin's role if
+ * credentials are valid. The API proxy (api.js) requires this token for
+ * admin-only routes and checks the role's permissions.
  * 
  * Environment Variables Required:
- * - ADMIN_USERNAME: Admin username
- * - ADMIN_PASSWORD: Admin password
+ * - ADMIN_USERS: JSON array of named accounts with roles and password hashes
+ *   (or the legacy ADMIN_USERNAME / ADMIN_PASSWORD pair)
+ * - ADMIN_SESSION_SECRET: Secret used to sign session tokens (see lib/session.js)
  * 
- * Request Body:
- * {
- *   username: string,
- *   password: string
- * }
+ * Sessions expire after ADMIN_SESSION_IDLE_MINUTES without a refresh (see
+ * lib/session.js). Refresh and logout are routes on the API proxy
+ * (/admin/session/refresh, /admin/session/logout), which is where admin tokens
+ * are enforced and so where a logout has to be known.
+ * 
+ * Only the site's own origins may call it (see lib/cors.js).
+ * 
+ * Failed attempts are tracked per username and per IP (see lib/login-throttle.js).
+ * Locked-out callers get a 429 with a Retry-After header and `retryAfter` seconds.
+ * 
+ * Accounts with TOTP enabled (lib/totp.js) log in in two steps: the password
+ * step returns `totpRequired` and a short-lived `challenge`, which is posted back
+ * with the 6-digit code (or a recovery code) to get the session token. Signed-in
+ * admins enroll via the `totp-setup` / `totp-confirm` actions, entering their
+ * password again for each; the confirm step returns the fields to add to their
+ * ADMIN_USERS entry.
+ * 
+ * Recovery codes and TOTP codes work once across every function instance: the
+ * backend records each used recovery code's hash (POST /admin/recovery-codes/consume)
+ * and each admin's last accepted TOTP time step (POST /admin/totp/consume), answering
+ * 409 for a code it has already seen or a time step no later than the last one. While
+ * the backend can't be reached, both are refused rather than risk accepting one twice.
+ * 
+ * Request Body (by action):
+ * - (none):         { username: string, password: string }
+ * - 'verify-totp':  { action, challenge: string, code?: string, recoveryCode?: string }
+ * - 'totp-setup':   { action, password: string }                                   (Bearer session token)
+ * - 'totp-confirm': { action, password: string, secret: string, code: string }     (Bearer session token)
  * 
  * Response:
  * {
  *   success: boolean,
  *   message: string,
- *   token?: string (optional session token)
+ *   token?: string (signed session token, sent as `Authorization: Bearer <token>`),
+ *   expiresAt?: number (token expiry, ms since epoch; the idle timeout from now),
+ *   absoluteExpiresAt?: number (latest the session can be refreshed to, ms since epoch),
+ *   username?: string,
+ *   role?: string (admin | treasurer | director | viewer),
+ *   permissions?: string[] (admin shell tabs the role may use),
+ *   retryAfter?: number (seconds until the next attempt is allowed, on 429),
+ *   totpRequired?: boolean, challenge?: string (password step, TOTP accounts),
+ *   challengeExpired?: boolean (verify-totp, start over from the password step),
+ *   secret?: string, otpauthUrl?: string (totp-setup),
+ *   recoveryCodes?: string[], config?: object (totp-confirm)
  * }
  */
 
-const crypto = require('crypto');
+const { createSessionToken, issueSession, verifySessionToken, getBearerToken } = require('../lib/session');
+const { verifyCredentials, findUser, getPermissions } = require('../lib/admin-users');
+const { getClientIp } = require('../lib/client-ip');
+const { getLockoutSeconds, recordFailure, recordSuccess } = require('../lib/login-throttle');
+const totp = require('../lib/totp');
+const { checkOrigin, originRejectedResponse } = require('../lib/cors');
+const { resolveBackend } = require('../lib/backend');
+const { fetchUpstream } = require('../lib/upstream');
+const { getRequestId } = require('../lib/request-id');
 
-exports.handler = async (event, context) => {
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      },
-      body: JSON.stringify({
-        success: false,
-        message: 'Method not allowed. Use POST.'
-      })
-    };
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // Time allowed to enter the TOTP code
+
+/**
+ * Records a one-time code as used on the backend, so no instance accepts it again.
+ *
+ * @param {string} path - /admin/recovery-codes/consume or /admin/totp/consume
+ * @param {string} username
+ * @param {object} fields - { code_hash } of a recovery code, or { counter } of a TOTP code
+ * @returns {Promise<boolean>} - false if the code was already used
+ * @throws {Error} - When the backend can't record it
+ */
+const consumeCode = async (path, username, fields) => {
+  const backend = resolveBackend();
+  const { response } = await fetchUpstream(`${backend.url}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'BTTC-Admin-Login',
+      'Origin': backend.url, // Required by the API for origin validation
+      'X-API-Key': backend.apiKey,
+      'X-Request-Id': getRequestId({}),
+      'X-Admin-User': username
+    },
+    body: JSON.stringify({ username, ...fields })
+  });
+  await response.body?.cancel();
+  if (response.status === 409) return false;
+  if (!response.ok) {
+    throw new Error(`Recording a used code at ${path} failed with HTTP ${response.status}`);
+  }
+  return true;
+};
+
+// Answer when the backend can't record a code's use
+const codesUnavailableResponse = (username, kind, error) => {
+  console.error(`[AdminLogin] Could not record ${kind} code use for`, username, '-', error.message);
+  return jsonResponse(503, {
+    success: false,
+    message: `${kind === 'recovery' ? 'Recovery codes' : 'Codes'} cannot be checked right now. Please try again in a few minutes.`
+  });
+};
+
+const jsonResponse = (statusCode, body, extraHeaders = {}) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    ...extraHeaders
+  },
+  body: JSON.stringify(body)
+});
+
+const lockedOutResponse = (retryAfter) => jsonResponse(429, {
+  success: false,
+  message: 'Too many failed login attempts. Please wait before trying again.',
+  retryAfter: retryAfter
+}, { 'Retry-After': String(retryAfter) });
+
+const sessionResponse = (user) => {
+  const { token, expiresAt, absoluteExpiresAt } = issueSession(user);
+  console.log('[AdminLogin] Successful login for user:', user.username, `(${user.role})`);
+  return jsonResponse(200, {
+    success: true,
+    message: 'Login successful.',
+    token: token,
+    expiresAt: expiresAt,
+    absoluteExpiresAt: absoluteExpiresAt,
+    username: user.username,
+    role: user.role,
+    permissions: getPermissions(user.role)
+  });
+};
+
+// Counts a failed attempt and answers with a lockout or the given 401 message.
+const failedAttemptResponse = (username, clientIp, message) => {
+  const lockoutSeconds = recordFailure(username, clientIp);
+  if (lockoutSeconds > 0) {
+    return lockedOutResponse(lockoutSeconds);
+  }
+  return jsonResponse(401, { success: false, message: message });
+};
+
+const handlePasswordLogin = (body, clientIp) => {
+  const { username, password } = body;
+
+  // Validate input
+  if (!username || !password) {
+    return jsonResponse(400, {
+      success: false,
+      message: 'Username and password are required.'
+    });
+  }
+
+  const lockoutSeconds = getLockoutSeconds(username, clientIp);
+  if (lockoutSeconds > 0) {
+    console.log('[AdminLogin] Locked out attempt for user:', username, 'from', clientIp);
+    return lockedOutResponse(lockoutSeconds);
   }
 
+  // Verify credentials
+  const user = verifyCredentials(username, password);
+  if (!user) {
+    console.log('[AdminLogin] Failed login attempt for user:', username, 'from', clientIp);
+    return failedAttemptResponse(username, clientIp, 'Invalid username or password.');
+  }
+
+  if (user.totpSecret) {
+    const { token: challenge } = createSessionToken(user, CHALLENGE_TTL_MS, 'totp-challenge');
+    return jsonResponse(200, {
+      success: false,
+      totpRequired: true,
+      challenge: challenge,
+      message: 'Enter the 6-digit code from your authenticator app.'
+    });
+  }
+
+  recordSuccess(username);
+  return sessionResponse(user);
+};
+
+const handleVerifyTotp = async (body, clientIp) => {
+  const claims = verifySessionToken(body.challenge, 'totp-challenge');
+  if (!claims) {
+    return jsonResponse(401, {
+      success: false,
+      challengeExpired: true,
+      message: 'Your login attempt expired. Please enter your username and password again.'
+    });
+  }
+
+  const username = claims.sub;
+  const lockoutSeconds = getLockoutSeconds(username, clientIp);
+  if (lockoutSeconds > 0) {
+    return lockedOutResponse(lockoutSeconds);
+  }
+
+  const user = findUser(username);
+  if (!user || !user.totpSecret) {
+    return jsonResponse(401, { success: false, message: 'Two-factor authentication is not set up for this account.' });
+  }
+
+  if (body.recoveryCode) {
+    const matched = totp.matchRecoveryCode(body.recoveryCode, user.recoveryCodeHashes);
+    let consumed = false;
+    if (matched) {
+      try {
+        consumed = await consumeCode('/admin/recovery-codes/consume', username, { code_hash: matched });
+      } catch (error) {
+        return codesUnavailableResponse(username, 'recovery', error);
+      }
+    }
+    if (!consumed) {
+      console.log('[AdminLogin] Invalid recovery code for user:', username, 'from', clientIp);
+      return failedAttemptResponse(username, clientIp, 'Invalid recovery code.');
+    }
+    console.warn('[AdminLogin] Recovery code used by', username, '- it can be removed from ADMIN_USERS:', matched);
+    recordSuccess(username);
+    return sessionResponse(user);
+  }
+
+  // A code is good for its time step once; the backend refuses a step it has already seen
+  const counter = totp.verifyCode(user.totpSecret, body.code);
+  let consumed = false;
+  if (counter !== null) {
+    try {
+      consumed = await consumeCode('/admin/totp/consume', username, { counter });
+    } catch (error) {
+      return codesUnavailableResponse(username, 'TOTP', error);
+    }
+  }
+  if (!consumed) {
+    console.log('[AdminLogin] Invalid TOTP code for user:', username, 'from', clientIp);
+    return failedAttemptResponse(username, clientIp, 'Invalid or expired code.');
+  }
+  recordSuccess(username);
+  return sessionResponse(user);
+};
+
+// Changing two-factor settings needs the password again, so a session left open on
+// a shared computer can't be used to enroll someone else's authenticator.
+// Returns an error response, or null when the password is right.
+const checkReauthentication = (body, session, clientIp) => {
+  const lockoutSeconds = getLockoutSeconds(session.sub, clientIp);
+  if (lockoutSeconds > 0) {
+    return lockedOutResponse(lockoutSeconds);
+  }
+  if (!body.password) {
+    return jsonResponse(400, { success: false, message: 'Please enter your password.' });
+  }
+  if (!verifyCredentials(session.sub, body.password)) {
+    console.log('[AdminLogin] Wrong password at two-factor setup for user:', session.sub, 'from', clientIp);
+    return failedAttemptResponse(session.sub, clientIp, 'Incorrect password.');
+  }
+  return null;
+};
+
+const handleTotpSetup = (session) => {
+  const secret = totp.generateSecret();
+  return jsonResponse(200, {
+    success: true,
+    message: 'Add this account to your authenticator app, then enter a code to confirm.',
+    secret: secret,
+    otpauthUrl: totp.getOtpauthUrl(session.sub, secret)
+  });
+};
+
+const handleTotpConfirm = (body, session) => {
+  if (!totp.isValidSecret(body.secret)) {
+    return jsonResponse(400, {
+      success: false,
+      message: 'The setup key is not valid. Please start two-factor setup again.'
+    });
+  }
+  if (totp.verifyCode(body.secret, body.code) === null) {
+    return jsonResponse(400, {
+      success: false,
+      message: 'That code does not match. Check your authenticator app and try again.'
+    });
+  }
+
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  console.log('[AdminLogin] TOTP enrollment confirmed for user:', session.sub);
+  return jsonResponse(200, {
+    success: true,
+    message: 'Two-factor authentication is ready. Ask the site maintainer to add these fields to your ADMIN_USERS entry.',
+    recoveryCodes: codes,
+    config: {
+      totp_secret: body.secret,
+      recovery_code_hashes: hashes
+    }
+  });
+};
+
+const handleRequest = async (event) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return {
       statusCode: 200,
       headers: {
-        'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
       },
       body: ''
     };
   }
 
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, {
+      success: false,
+      message: 'Method not allowed. Use POST.'
+    }, {
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+  }
+
   try {
     // Parse request body
     const body = JSON.parse(event.body || '{}');
-    const { username, password } = body;
-
-    // Validate input
-    if (!username || !password) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          success: false,
-          message: 'Username and password are required.'
-        })
-      };
-    }
+    const clientIp = getClientIp(event);
 
-    // Get credentials from environment variables
-    const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-    const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'bttc2024';
-
-    // Verify credentials
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-      // Generate a simple session token (in production, use JWT)
-      const sessionToken = crypto.randomBytes(32).toString('hex');
-      const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-
-      console.log('[AdminLogin] Successful login for user:', username);
-
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          success: true,
-          message: 'Login successful.',
-          token: sessionToken,
-          expiresAt: expiresAt
-        })
-      };
+    switch (body.action) {
+      case undefined:
+      case 'login':
+        return handlePasswordLogin(body, clientIp);
+      case 'verify-totp':
+        return await handleVerifyTotp(body, clientIp);
+      case 'totp-setup':
+      case 'totp-confirm': {
+        const session = verifySessionToken(getBearerToken(event));
+        if (!session) {
+          return jsonResponse(401, {
+            success: false,
+            message: 'Your admin session has expired. Please log in again.'
+          });
+        }
+        const reauthError = checkReauthentication(body, session, clientIp);
+        if (reauthError) {
+          return reauthError;
+        }
+        return body.action === 'totp-setup' ? handleTotpSetup(session) : handleTotpConfirm(body, session);
+      }
+      default:
+        return jsonResponse(400, { success: false, message: `Unknown action: ${body.action}` });
     }
 
-    // Invalid credentials
-    console.log('[AdminLogin] Failed login attempt for user:', username);
-    
-    // Add a small delay to prevent brute force attacks
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    return {
-      statusCode: 401,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        success: false,
-        message: 'Invalid username or password.'
-      })
-    };
-
   } catch (error) {
     console.error('[AdminLogin] Error:', error);
 
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        success: false,
-        message: 'An error occurred during authentication. Please try again.'
-      })
-    };
+    return jsonResponse(500, {
+      success: false,
+      message: 'An error occurred during authentication. Please try again.'
+    });
   }
 };
+
+exports.handler = async (event, context) => {
+  // Only our own site may call this (see lib/cors.js)
+  const origin = checkOrigin(event);
+  if (!origin.allowed) {
+    console.warn('[AdminLogin] Rejected request from origin:', event.headers.origin);
+    return originRejectedResponse(origin.headers);
+  }
+
+  const response = await handleRequest(event);
+  response.headers = { ...response.headers, ...origin.headers };
+  return response;
+};
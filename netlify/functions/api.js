@@ -1,46 +1,207 @@
-// Toggle this flag to switch between dev and production API
-// Set to true for PR reviews, false for production
-const USE_DEV_API = false;
-
-// Get API URL and API Key based on flag
-const BTTC_API_URL = USE_DEV_API 
-  ? process.env.BTTC_API_DEV_URL 
-  : process.env.BTTC_API_URL;
-const BTTC_API_KEY = USE_DEV_API
-  ? process.env.BTTC_DEV_API_KEY
-  : process.env.BTTC_API_KEY;
-
-// Validate API URL is set
-if (!BTTC_API_URL) {
-  const missingEnvVar = USE_DEV_API ? 'BTTC_API_DEV_URL' : 'BTTC_API_URL';
-  throw new Error(`Missing required environment variable: ${missingEnvVar}`);
-}
-
-// Validate API Key is set
-if (!BTTC_API_KEY) {
-  const missingEnvVar = USE_DEV_API ? 'BTTC_DEV_API_KEY' : 'BTTC_API_KEY';
-  throw new Error(`Missing required environment variable: ${missingEnvVar}`);
-}
-
-// Log which API is being used (only in non-production for debugging)
-if (USE_DEV_API) {
-  console.log('🔧 Using DEV API:', BTTC_API_URL);
-} else {
-  console.log('🚀 Using PRODUCTION API');
-}
+const { REFRESH_GRACE_SECONDS, issueSession, verifySessionToken, revokeSessionToken, getBearerToken } = require('../lib/session');
+const { findUser, getPermissions, hasPermission } = require('../lib/admin-users');
+const { matchRoute } = require('../lib/routes');
+const { consume } = require('../lib/rate-limit');
+const { getClientIp } = require('../lib/client-ip');
+const responseCache = require('../lib/response-cache');
+const { getRequestId } = require('../lib/request-id');
+const logger = require('../lib/logger');
+const { fetchUpstream, getBreakerState } = require('../lib/upstream');
+const { checkOrigin, originRejectedResponse } = require('../lib/cors');
+const { resolveBackend } = require('../lib/backend');
+const { validateBody } = require('../lib/schemas');
+const { checkRegistrationWindow } = require('../lib/registration-window');
 
-exports.handler = async (event, context) => {
+// Dev or production backend, chosen from the Netlify deploy context (see lib/backend.js)
+const BACKEND = resolveBackend();
+const BTTC_API_URL = BACKEND.url;
+const BTTC_API_KEY = BACKEND.apiKey;
+
+logger.info('API proxy backend selected', { backend: BACKEND.name, context: process.env.CONTEXT || null });
+
+// Backend reachability for /health. Results are shared for HEALTH_CACHE_SECONDS so
+// monitors and the admin System tab can't turn into load on the backend.
+const HEALTH_TIMEOUT_MS = 3000;
+let lastPing = null; // { result, at }
+
+const pingBackend = async (requestId) => {
+  const cacheMs = Number(process.env.HEALTH_CACHE_SECONDS ?? 10) * 1000;
+  if (lastPing && Date.now() - lastPing.at < cacheMs) {
+    return { ...lastPing.result, cached: true };
+  }
+
+  // Any backend route works; only whether and how fast it answers matters
+  const pingPath = process.env.BTTC_HEALTH_PATH || '/health';
+  const startedAt = Date.now();
+  let result;
+  try {
+    const response = await fetch(`${BTTC_API_URL}${pingPath}`, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'BTTC-Web-Client',
+        'Origin': BTTC_API_URL,
+        'X-API-Key': BTTC_API_KEY,
+        'X-Request-Id': requestId,
+      },
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    result = {
+      reachable: response.status < 500,
+      httpStatus: response.status,
+      latencyMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    result = {
+      reachable: false,
+      httpStatus: null,
+      latencyMs: Date.now() - startedAt,
+      error: error.name === 'TimeoutError' ? `No response within ${HEALTH_TIMEOUT_MS}ms` : 'Connection failed',
+    };
+  }
+  result.checkedAt = new Date().toISOString();
+
+  lastPing = { result, at: Date.now() };
+  return { ...result, cached: false };
+};
+
+// Open events with their registration windows, read through the response cache under
+// the registration page's own GET /rr/events key, so checking a registration rarely
+// costs a backend call. Null when the backend doesn't answer with an events list, including
+// a timeout or an open circuit, so the registration is still forwarded.
+const loadOpenEvents = async (requestId) => {
+  const cacheKey = responseCache.buildCacheKey('GET', '/rr/events', null, null);
+  let response;
+  try {
+    ({ response } = await responseCache.fetchThrough(cacheKey, async () => {
+      const { response: upstream } = await fetchUpstream(`${BTTC_API_URL}/rr/events`, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'BTTC-Web-Client',
+          'Origin': BTTC_API_URL,
+          'X-API-Key': BTTC_API_KEY,
+          'X-Request-Id': requestId,
+        },
+      });
+      const body = await upstream.text();
+      return {
+        statusCode: upstream.status,
+        contentType: upstream.headers.get('content-type') || 'application/json',
+        body,
+        etag: responseCache.computeEtag(body),
+      };
+    }));
+  } catch (error) {
+    logger.warn('Open events could not be loaded', { requestId, error: error.message });
+    return null;
+  }
+  if (response.statusCode !== 200) return null;
+  try {
+    const events = JSON.parse(response.body)?.events;
+    return Array.isArray(events) ? events : null;
+  } catch {
+    return null;
+  }
+};
+
+// Routes the proxy answers itself (`local: true` in lib/routes.js), keyed by path.
+// Each gets the event, the log trace and, on admin routes, the verified session
+// claims, and returns { statusCode, body } with a JSON-serializable body.
+const LOCAL_ROUTES = {
+  // Proxy and backend status, for the admin System tab, uptime monitors and the
+  // DEV BACKEND banner (BackendBanner in bttc-utils.js). 503 when the backend is down.
+  '/health': async (event, trace) => {
+    const upstream = await pingBackend(trace.requestId);
+    const circuit = getBreakerState();
+    let status = 'ok';
+    if (!upstream.reachable) {
+      status = 'down';
+    } else if (circuit.state !== 'closed') {
+      status = 'degraded';
+    }
+    return {
+      statusCode: status === 'down' ? 503 : 200,
+      body: {
+        status,
+        backend: BACKEND.name,
+        context: process.env.CONTEXT || null,
+        commit: process.env.COMMIT_REF || null,
+        branch: process.env.BRANCH || null,
+        upstream,
+        circuit,
+      },
+    };
+  },
+
+  // Trades an admin's token for a fresh one while they're active (sliding sessions,
+  // see lib/session.js). The account is looked up again so a removed account or a
+  // changed role takes effect at the next refresh. The old token is revoked after a
+  // short grace period, so each refresh leaves one token in use.
+  '/admin/session/refresh': async (event, trace, session) => {
+    const user = findUser(session.sub);
+    if (!user) {
+      return {
+        statusCode: 401,
+        body: {
+          error: 'Unauthorized',
+          code: 'ADMIN_AUTH_REQUIRED',
+          message: 'Your admin account is no longer active. Please contact the site maintainer.'
+        },
+      };
+    }
+    const { token, expiresAt, absoluteExpiresAt } = issueSession(user, (session.auth_time ?? session.iat) * 1000);
+    revokeSessionToken(session, REFRESH_GRACE_SECONDS);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        token,
+        expiresAt,
+        absoluteExpiresAt,
+        username: user.username,
+        role: user.role,
+        permissions: getPermissions(user.role),
+      },
+    };
+  },
+
+  // Revokes the token the request was made with on this function instance; other
+  // instances accept it until it expires (see lib/session.js)
+  '/admin/session/logout': async (event, trace, session) => {
+    revokeSessionToken(session);
+    return { statusCode: 200, body: { success: true, message: 'Logged out.' } };
+  },
+};
+
+/**
+ * Handles one proxied request.
+ *
+ * @param {object} event - Netlify function event
+ * @param {object} trace - Per-request log fields; requestId is set by the caller,
+ *   and this fills in route, cache and upstream timing as it goes
+ * @returns {Promise<object>} - Netlify function response
+ */
+const proxyRequest = async (event, trace) => {
   
-  // Enable CORS for all origins
+  // CORS for our own site only (see lib/cors.js)
+  const origin = checkOrigin(event);
   const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    ...origin.headers,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag, Retry-After, X-Request-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     // Remove any server information that might leak the backend
     'Server': 'Netlify',
     'X-Powered-By': 'Netlify Functions',
   };
 
+  // Reject other websites before anything reaches the backend
+  if (!origin.allowed) {
+    trace.rejectedOrigin = event.headers.origin;
+    return originRejectedResponse(headers);
+  }
+
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
     return {
@@ -50,22 +211,169 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // Declared outside the try so the catch block can log it
+  let path = '/';
+
   try {
     // Extract the path and query parameters from the request
-    let path = event.path.replace('/.netlify/functions/api', '');
+    path = event.path.replace('/.netlify/functions/api', '');
     // Ensure path starts with / and doesn't create double slashes
     if (!path || path === '') {
       path = '/';
     } else if (!path.startsWith('/')) {
       path = '/' + path;
     }
+
+    // Only routes in the route table (lib/routes.js) are forwarded
+    const match = matchRoute(path);
+    if (!match) {
+      return {
+        statusCode: 404,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Not Found',
+          code: 'ROUTE_NOT_FOUND',
+          message: 'This API route does not exist.'
+        }),
+      };
+    }
+    const { route } = match;
+    trace.route = route.path;
+
+    if (!route.methods.includes(event.httpMethod)) {
+      return {
+        statusCode: 405,
+        headers: { ...headers, 'Content-Type': 'application/json', 'Allow': [...route.methods, 'OPTIONS'].join(', ') },
+        body: JSON.stringify({
+          error: 'Method Not Allowed',
+          code: 'METHOD_NOT_ALLOWED',
+          message: `${event.httpMethod} is not allowed for this route.`
+        }),
+      };
+    }
+
+    const bodyBytes = event.body
+      ? Buffer.byteLength(event.body, event.isBase64Encoded ? 'base64' : 'utf8')
+      : 0;
+    if (bodyBytes > route.maxBodyBytes) {
+      return {
+        statusCode: 413,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Payload Too Large',
+          code: 'PAYLOAD_TOO_LARGE',
+          message: 'The request is too large.'
+        }),
+      };
+    }
+
+    if (route.rateLimit) {
+      const { allowed, retryAfter } = consume(route.rateLimit, getClientIp(event));
+      if (!allowed) {
+        return {
+          statusCode: 429,
+          headers: { ...headers, 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) },
+          body: JSON.stringify({
+            error: 'Too Many Requests',
+            code: 'RATE_LIMITED',
+            message: `Too many requests. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`,
+            retryAfter
+          }),
+        };
+      }
+    }
+
+    // Admin making the request, for admin-only routes. Forwarded upstream so the
+    // audit log can attribute the action to a volunteer.
+    let adminSession = null;
+    if (route.access === 'admin') {
+      const session = verifySessionToken(getBearerToken(event));
+      if (!session) {
+        return {
+          statusCode: 401,
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: 'Unauthorized',
+            code: 'ADMIN_AUTH_REQUIRED',
+            message: 'Your admin session has expired or is invalid. Please log in again.'
+          }),
+        };
+      }
+      if (route.permission && !hasPermission(session.role, route.permission)) {
+        return {
+          statusCode: 403,
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: 'Forbidden',
+            code: 'ADMIN_PERMISSION_DENIED',
+            message: `Your role (${session.role}) is not allowed to do this.`
+          }),
+        };
+      }
+      adminSession = session;
+      trace.admin = session.sub;
+    }
+
+    // Malformed writes are turned away here, with a message per field for the page. Only
+    // after the rate limit and admin checks, so invalid bodies still count against the
+    // budget and only signed-in admins learn what an admin route expects.
+    if (route.schema) {
+      const validation = validateBody(route.schema, event.body, event.isBase64Encoded);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: 'Bad Request',
+            code: 'VALIDATION_ERROR',
+            message: validation.message,
+            fields: validation.fields
+          }),
+        };
+      }
+    }
+
+    // Registrations outside the event's window (lib/registration-window.js). If the
+    // events can't be read, the backend has the final say as before.
+    if (route.registrationWindow) {
+      const events = await loadOpenEvents(trace.requestId);
+      if (!events) {
+        logger.warn('Registration window not checked: open events unavailable', { requestId: trace.requestId });
+      } else {
+        const rawBody = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+        const window = checkRegistrationWindow(events, JSON.parse(rawBody || '{}'));
+        if (!window.open) {
+          return {
+            statusCode: 409,
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              error: 'Conflict',
+              code: 'REGISTRATION_CLOSED',
+              message: window.message,
+              opensAt: window.opensAt,
+              closesAt: window.closesAt
+            }),
+          };
+        }
+      }
+    }
+
+    if (route.local) {
+      const { statusCode, body } = await LOCAL_ROUTES[route.path](event, trace, adminSession);
+      return {
+        statusCode,
+        headers: { ...headers, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify(body),
+      };
+    }
     
     const queryString = event.queryStringParameters 
       ? '?' + new URLSearchParams(event.queryStringParameters).toString()
       : '';
     
-    // Construct the target URL using the hidden endpoint
-    const targetUrl = `${BTTC_API_URL}${path}${queryString}`;
+    // Construct the target URL using the hidden endpoint. The normalized path is the one
+    // the route and cache key were matched on, so what's forwarded can't differ from them.
+    const targetUrl = `${BTTC_API_URL}${match.path}${queryString}`;
     
     // Prepare request options
     const requestOptions = {
@@ -78,30 +386,79 @@ exports.handler = async (event, context) => {
         'Referer': `${BTTC_API_URL}/`,
         // Always include the hidden API token using the correct header name
         'X-API-Key': BTTC_API_KEY,
+        // Correlation ID, so backend logs can be matched to ours
+        'X-Request-Id': trace.requestId,
         // Forward any additional authorization headers if present (for user auth)
         ...(event.headers['x-user-auth'] && { 'X-User-Auth': event.headers['x-user-auth'] }),
         ...(event.headers['content-type'] && { 'Content-Type': event.headers['content-type'] }),
         ...(event.headers['accept'] && { 'Accept': event.headers['accept'] }),
+        // Acting admin, taken only from the verified session token (never from client headers)
+        ...(adminSession && { 'X-Admin-User': adminSession.sub, 'X-Admin-Role': adminSession.role }),
       },
     };
 
-    // Add body for POST/PUT requests
-    if (event.body && (event.httpMethod === 'POST' || event.httpMethod === 'PUT')) {
+    // Add body for POST requests
+    if (event.body && event.httpMethod === 'POST') {
       requestOptions.body = event.body;
     }
 
+    // Responses to a player's own credentials (X-User-Auth) are theirs alone: never
+    // cache them, since the cache key doesn't tell one player from another
+    const cacheable = route.cacheable && !event.headers['x-user-auth'];
+
     // Make the request to the hidden API
-    const response = await fetch(targetUrl, requestOptions);
-    
-    // Get the response data
-    const responseData = await response.text();
+    const forward = async () => {
+      const upstreamStartedAt = Date.now();
+      const { response, attempts } = await fetchUpstream(targetUrl, requestOptions);
+      const responseData = await response.text();
+      trace.upstreamMs = Date.now() - upstreamStartedAt;
+      trace.upstreamStatus = response.status;
+      trace.upstreamAttempts = attempts;
+      return {
+        statusCode: response.status,
+        contentType: response.headers.get('content-type') || 'application/json',
+        body: responseData,
+        etag: cacheable ? responseCache.computeEtag(responseData) : null,
+      };
+    };
+
+    let upstream;
+    let cacheStatus = null;
+    if (cacheable) {
+      const cacheKey = responseCache.buildCacheKey(event.httpMethod, match.path, event.queryStringParameters, event.body);
+      const { response, hit } = await responseCache.fetchThrough(cacheKey, forward);
+      upstream = response;
+      cacheStatus = hit ? 'HIT' : 'MISS';
+      trace.cache = cacheStatus;
+    } else {
+      upstream = await forward();
+      // A write may have changed the roster or capacity
+      if (event.httpMethod !== 'GET' && upstream.statusCode < 400) {
+        responseCache.clear();
+      }
+    }
     
     // Forward the response with sanitized headers (remove any that might leak backend info)
     const sanitizedHeaders = {
       ...headers,
-      'Content-Type': response.headers.get('content-type') || 'application/json',
+      'Content-Type': upstream.contentType,
     };
 
+    // Cacheable responses carry an ETag; browsers must revalidate (no-cache) and get a
+    // body-less 304 when their copy is current
+    if (upstream.etag && upstream.statusCode === 200) {
+      sanitizedHeaders['ETag'] = upstream.etag;
+      sanitizedHeaders['Cache-Control'] = 'no-cache';
+      sanitizedHeaders['X-Cache'] = cacheStatus;
+      if (responseCache.etagMatches(event.headers['if-none-match'], upstream.etag)) {
+        return {
+          statusCode: 304,
+          headers: sanitizedHeaders,
+          body: '',
+        };
+      }
+    }
+
     // Remove any headers that might expose backend information
     const headersToRemove = ['server', 'x-powered-by', 'x-backend', 'x-api-server'];
     headersToRemove.forEach(header => {
@@ -109,27 +466,84 @@ exports.handler = async (event, context) => {
     });
     
     return {
-      statusCode: response.status,
+      statusCode: upstream.statusCode,
       headers: sanitizedHeaders,
-      body: responseData,
+      body: upstream.body,
     };
     
   } catch (error) {
-    console.error('API proxy error:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      targetUrl: targetUrl
+    // Backend marked as down: answer immediately so pages can show a maintenance state
+    if (error.code === 'CIRCUIT_OPEN') {
+      const retryAfter = Math.max(getBreakerState().retryAfter, 1);
+      return {
+        statusCode: 503,
+        headers: { ...headers, 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) },
+        body: JSON.stringify({
+          error: 'Service Unavailable',
+          code: 'MAINTENANCE',
+          message: 'Registration is temporarily unavailable while we fix a problem. Please try again in a few minutes.',
+          retryAfter
+        }),
+      };
+    }
+
+    if (error.code === 'UPSTREAM_TIMEOUT') {
+      logger.warn('Backend timed out', { requestId: trace.requestId, path });
+      return {
+        statusCode: 504,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Gateway Timeout',
+          code: 'UPSTREAM_TIMEOUT',
+          message: 'The server took too long to respond. Please try again.'
+        }),
+      };
+    }
+
+    // Log the path only: the full target URL would reveal the backend and query values
+    logger.error('API proxy error', {
+      requestId: trace.requestId,
+      path,
+      error: error.message,
+      stack: error.stack
     });
-    // Don't expose any backend details in error messages
+    // Don't expose any backend or configuration details (e.g. a missing
+    // ADMIN_SESSION_SECRET) in error messages; the request ID leads to the log entry
     return {
       statusCode: 500,
-      headers,
+      headers: { ...headers, 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
         error: 'Service temporarily unavailable',
         code: 'PROXY_ERROR',
-        message: error.message
+        message: 'Something went wrong on our side. Please try again in a few moments.'
       }),
     };
   }
 };
+
+exports.handler = async (event, context) => {
+  const startedAt = Date.now();
+  const trace = { requestId: getRequestId(event) };
+
+  const response = await proxyRequest(event, trace);
+  response.headers = { ...response.headers, 'X-Request-Id': trace.requestId };
+
+  // Path without the query string: queries carry phone numbers and names
+  const path = event.path.replace('/.netlify/functions/api', '') || '/';
+  logger[response.statusCode >= 500 ? 'error' : 'info']('API request', {
+    requestId: trace.requestId,
+    method: event.httpMethod,
+    path,
+    route: trace.route || null,
+    status: response.statusCode,
+    latencyMs: Date.now() - startedAt,
+    upstreamStatus: trace.upstreamStatus ?? null,
+    upstreamMs: trace.upstreamMs ?? null,
+    upstreamAttempts: trace.upstreamAttempts ?? null,
+    cache: trace.cache || null,
+    admin: trace.admin || null,
+    ...(trace.rejectedOrigin && { rejectedOrigin: trace.rejectedOrigin })
+  });
+
+  return response;
+};
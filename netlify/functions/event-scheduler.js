@@ -0,0 +1,145 @@
+/**
+ * Event Scheduler (Netlify scheduled function)
+ *
+ * Opens and closes events for the recurring series admins define in the Events
+ * panel, the job the retired open-event / close-event GitHub workflows used to do
+ * for the weekly RR. Runs on the schedule in netlify.toml. Each run:
+ * 1. Loads the series (/events/series) and the open and closed events (/events/all,
+ *    once per status)
+ * 2. Works out which series events' registration windows have started or ended
+ *    (planSeriesActions in js/event-series.js, which the panel's preview also uses).
+ *    Events that already exist close at their stored registration_closes_at, so
+ *    window changes made in the Events panel hold
+ * 3. Calls /events/open and /events/close on the backend for them, as the admin
+ *    panel does, with the acting admin recorded as `scheduler`. Opened events carry
+ *    their registration window, which the public pages go by
+ *
+ * An event that already exists for a series date is never opened again, so
+ * closing one early in the Events panel sticks. Only events a series opened are
+ * closed; one an admin opened by hand on the same date is left alone. Opened events record their
+ * series_id and series_date, which the backend keeps with the event, so moving
+ * one to another date doesn't free up its original date either. Holiday
+ * exceptions are skipped.
+ *
+ * Environment Variables:
+ * - BTTC_API_URL / BTTC_API_KEY (and the dev pair, see lib/backend.js)
+ * - CLUB_TIMEZONE (optional): Timezone series times are in (default America/Los_Angeles)
+ */
+
+const { resolveBackend } = require('../lib/backend');
+const { fetchUpstream } = require('../lib/upstream');
+const { getRequestId } = require('../lib/request-id');
+const logger = require('../lib/logger');
+const { planSeriesActions } = require('../../js/event-series');
+
+// Acting admin the backend records in the audit log for scheduled changes
+const SCHEDULER_ADMIN = 'scheduler';
+
+const createBackendClient = (backend, requestId) => async (method, path, body) => {
+  const { response } = await fetchUpstream(`${backend.url}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'BTTC-Event-Scheduler',
+      'Origin': backend.url, // Required by the API for origin validation
+      'X-API-Key': backend.apiKey,
+      'X-Request-Id': requestId,
+      'X-Admin-User': SCHEDULER_ADMIN,
+      'X-Admin-Role': 'admin'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed with HTTP ${response.status}: ${data?.detail || data?.message || text.slice(0, 200)}`);
+  }
+  return data;
+};
+
+/**
+ * Runs the scheduler once.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ opened: Array, closed: Array, failed: Array }>}
+ */
+const runScheduler = async (now = new Date()) => {
+  const requestId = getRequestId({});
+  const call = createBackendClient(resolveBackend(), requestId);
+  const timeZone = process.env.CLUB_TIMEZONE || 'America/Los_Angeles';
+
+  const seriesData = await call('GET', '/events/series');
+  const seriesList = Array.isArray(seriesData) ? seriesData : (seriesData?.series || []);
+  // Closed events matter too: a date whose event was closed early isn't opened again
+  const events = [];
+  for (const status of ['OPEN', 'CLOSED']) {
+    const data = await call('POST', '/events/all', { status });
+    if (Array.isArray(data)) events.push(...data);
+  }
+  const { toOpen, toClose } = planSeriesActions(seriesList, events, now, timeZone);
+
+  const result = { opened: [], closed: [], failed: [] };
+  for (const event of toOpen) {
+    const payload = {
+      event_type: event.event_type,
+      event_date: event.event_date,
+      max_capacity: event.max_capacity,
+      // The registration and roster pages open and close on these
+      registration_opens_at: event.opensAt.toISOString(),
+      registration_closes_at: event.closesAt.toISOString(),
+      // Which series slot this is, even after an admin changes event_date
+      series_id: event.series_id,
+      series_date: event.event_date,
+      ...(event.announcement_notes && { announcement_notes: event.announcement_notes })
+    };
+    try {
+      const data = await call('POST', '/events/open', payload);
+      result.opened.push({ ...payload, event_id: data?.event_id ?? null });
+    } catch (error) {
+      result.failed.push({ action: 'open', event_type: event.event_type, event_date: event.event_date, error: error.message });
+    }
+  }
+  for (const event of toClose) {
+    try {
+      await call('POST', '/events/close', { event_id: event.event_id });
+      result.closed.push({ event_id: event.event_id, event_type: event.event_type, event_date: event.event_date });
+    } catch (error) {
+      result.failed.push({ action: 'close', event_id: event.event_id, error: error.message });
+    }
+  }
+
+  logger[result.failed.length ? 'error' : 'info']('Event scheduler run', {
+    requestId,
+    series: seriesList.length,
+    opened: result.opened,
+    closed: result.closed,
+    failed: result.failed
+  });
+  return result;
+};
+
+exports.handler = async () => {
+  try {
+    const result = await runScheduler();
+    return {
+      statusCode: result.failed.length ? 500 : 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    logger.error('Event scheduler failed', { error: error.message });
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Scheduler Error', message: error.message })
+    };
+  }
+};
+
+exports.runScheduler = runScheduler;
@@ -0,0 +1,152 @@
+/**
+ * Admin User Store
+ *
+ * Named admin accounts with roles. Each role grants a set of permissions, and
+ * both admin-login (what the shell shows) and the API proxy (what it forwards)
+ * read them from ROLE_PERMISSIONS so the two can't drift apart.
+ *
+ * Environment Variables:
+ * - ADMIN_USERS: JSON array of accounts, e.g.
+ *     [{ "username": "alice", "role": "treasurer", "password_hash": "scrypt$<salt>$<hash>" }]
+ *   Generate a hash with: node netlify/lib/admin-users.js hash '<password>'
+ *   Accounts with TOTP enabled also carry "totp_secret" and "recovery_code_hashes"
+ *   (produced by the shell's Two-Factor setup, see lib/totp.js).
+ * - ADMIN_USERNAME / ADMIN_PASSWORD: Legacy single account, used only when
+ *   ADMIN_USERS is not set. It gets the `admin` role.
+ */
+
+const crypto = require('crypto');
+
+// Permission names match the admin shell's tabs.
+// `system` (proxy and backend health) is read-only and open to every role.
+const ROLE_PERMISSIONS = {
+  admin: ['approvals', 'waitlist', 'events', 'audit', 'system'],
+  treasurer: ['approvals', 'waitlist', 'audit', 'system'],   // Confirm payments, manage the waitlist
+  director: ['events', 'audit', 'system'],       // Open, close and review events
+  viewer: ['audit', 'system']                    // Read-only audit access
+};
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random (or given) salt.
+ *
+ * @param {string} password
+ * @param {string} [salt] - Hex salt; a new one is generated if omitted
+ * @returns {string} - Encoded as "scrypt$<salt>$<hash>"
+ */
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const passwordMatches = (password, encoded) => {
+  const [scheme, salt, hash] = String(encoded || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const loadUsers = () => {
+  if (process.env.ADMIN_USERS) {
+    let users;
+    try {
+      users = JSON.parse(process.env.ADMIN_USERS);
+    } catch (err) {
+      throw new Error('ADMIN_USERS is not valid JSON');
+    }
+    if (!Array.isArray(users)) {
+      throw new Error('ADMIN_USERS must be a JSON array');
+    }
+    return users.filter(user => {
+      if (user && user.username && user.password_hash && ROLE_PERMISSIONS[user.role]) return true;
+      console.error('[AdminUsers] Skipping invalid ADMIN_USERS entry:', user && user.username);
+      return false;
+    });
+  }
+
+  if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    return [{
+      username: process.env.ADMIN_USERNAME,
+      role: 'admin',
+      password: process.env.ADMIN_PASSWORD
+    }];
+  }
+
+  return [];
+};
+
+const toAccount = (user) => ({
+  username: user.username,
+  role: user.role,
+  totpSecret: user.totp_secret || null,
+  recoveryCodeHashes: Array.isArray(user.recovery_code_hashes) ? user.recovery_code_hashes : []
+});
+
+// Hash compared against when the username is unknown, so response time doesn't
+// reveal which usernames exist. Built on first use to keep cold starts cheap.
+let dummyHash = null;
+const getDummyHash = () => dummyHash || (dummyHash = hashPassword('not-a-real-password'));
+
+/**
+ * Checks a username/password pair against the user store.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {{ username: string, role: string, totpSecret: string|null, recoveryCodeHashes: string[] }|null}
+ */
+const verifyCredentials = (username, password) => {
+  const user = loadUsers().find(u => u.username === username);
+
+  if (!user) {
+    passwordMatches(password, getDummyHash());
+    return null;
+  }
+
+  let valid;
+  if (user.password_hash) {
+    valid = passwordMatches(password, user.password_hash);
+  } else {
+    // Legacy ADMIN_PASSWORD: compare digests so lengths always match
+    const expected = crypto.createHash('sha256').update(user.password).digest();
+    const actual = crypto.createHash('sha256').update(password).digest();
+    valid = crypto.timingSafeEqual(expected, actual);
+  }
+
+  return valid ? toAccount(user) : null;
+};
+
+/**
+ * Looks up an account by username, e.g. to finish a TOTP login step.
+ *
+ * @param {string} username
+ * @returns {{ username: string, role: string, totpSecret: string|null, recoveryCodeHashes: string[] }|null}
+ */
+const findUser = (username) => {
+  const user = loadUsers().find(u => u.username === username);
+  return user ? toAccount(user) : null;
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hashPassword,
+  verifyCredentials,
+  findUser,
+  getPermissions,
+  hasPermission
+};
+
+// CLI: node netlify/lib/admin-users.js hash '<password>'
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+  if (command !== 'hash' || !password) {
+    console.error("Usage: node netlify/lib/admin-users.js hash '<password>'");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
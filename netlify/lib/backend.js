@@ -0,0 +1,60 @@
+/**
+ * Backend Selection
+ *
+ * Chooses which backend the API proxy talks to from Netlify's deploy context, so
+ * PR previews can use the dev backend without a code change:
+ * - production: the production backend
+ * - deploy-preview, branch-deploy, dev (netlify dev): the dev backend when
+ *   BTTC_API_DEV_URL and BTTC_DEV_API_KEY are set, otherwise production
+ * - no CONTEXT (e.g. tests): production
+ *
+ * Environment Variables:
+ * - BTTC_API_URL / BTTC_API_KEY: Production backend (required)
+ * - BTTC_API_DEV_URL / BTTC_DEV_API_KEY: Dev backend (optional)
+ * - BTTC_BACKEND: 'dev' or 'production' to override the context
+ * - CONTEXT: Set by Netlify
+ */
+
+const BACKENDS = {
+  production: { urlVar: 'BTTC_API_URL', keyVar: 'BTTC_API_KEY' },
+  dev: { urlVar: 'BTTC_API_DEV_URL', keyVar: 'BTTC_DEV_API_KEY' }
+};
+
+const hasDevBackend = () => !!(process.env.BTTC_API_DEV_URL && process.env.BTTC_DEV_API_KEY);
+
+const chooseBackendName = () => {
+  const override = (process.env.BTTC_BACKEND || '').trim().toLowerCase();
+  if (override) {
+    if (!BACKENDS[override]) {
+      throw new Error(`BTTC_BACKEND must be 'dev' or 'production', got '${process.env.BTTC_BACKEND}'`);
+    }
+    return override;
+  }
+
+  const context = process.env.CONTEXT;
+  if (!context || context === 'production') {
+    return 'production';
+  }
+  return hasDevBackend() ? 'dev' : 'production';
+};
+
+/**
+ * Resolves the backend for this deploy. Throws if its variables are missing.
+ *
+ * @returns {{ name: string, url: string, apiKey: string }} - name is 'dev' or 'production'
+ */
+const resolveBackend = () => {
+  const name = chooseBackendName();
+  const { urlVar, keyVar } = BACKENDS[name];
+
+  if (!process.env[urlVar]) {
+    throw new Error(`Missing required environment variable: ${urlVar}`);
+  }
+  if (!process.env[keyVar]) {
+    throw new Error(`Missing required environment variable: ${keyVar}`);
+  }
+
+  return { name, url: process.env[urlVar], apiKey: process.env[keyVar] };
+};
+
+module.exports = { resolveBackend };
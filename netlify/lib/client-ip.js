@@ -0,0 +1,24 @@
+/**
+ * Client IP
+ *
+ * Resolves the caller's IP address from the headers Netlify adds in front of
+ * functions. `x-nf-client-connection-ip` is set by Netlify itself and can't be
+ * spoofed by the client; `x-forwarded-for` is a fallback for `netlify dev`.
+ */
+
+/**
+ * @param {object} event - Netlify function event
+ * @returns {string} - Client IP, or 'unknown' if no header is present
+ */
+const getClientIp = (event) => {
+  const headers = event.headers || {};
+  if (headers['x-nf-client-connection-ip']) {
+    return headers['x-nf-client-connection-ip'];
+  }
+  if (headers['x-forwarded-for']) {
+    return headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return 'unknown';
+};
+
+module.exports = { getClientIp };
@@ -0,0 +1,101 @@
+/**
+ * CORS Origin Allow-List
+ *
+ * Browsers may only call the functions from our own site. Requests whose Origin
+ * isn't allowed are rejected before anything else runs, so another website can't
+ * drive registrations through the proxy (and its API key) from a visitor's browser.
+ * Reads without an Origin header (same-origin GETs, uptime monitors, curl) are let
+ * through and bounded by rate limiting. Writes must carry one: browsers send Origin
+ * with every POST, even to their own site, so a POST without it comes from a script
+ * or tool and is rejected like a foreign origin. (A non-browser client can still send
+ * a forged Origin; the allow-list is about browsers, rate limits cover the rest.)
+ *
+ * Allowed origins:
+ * - URL, DEPLOY_PRIME_URL, DEPLOY_URL: set by Netlify for the site, the branch or
+ *   deploy preview, and the individual deploy
+ * - CORS_ALLOWED_ORIGINS: Comma-separated extra origins, e.g. custom domains.
+ *   `*` matches one hostname label, e.g. https://deploy-preview-*--bttc.netlify.app
+ * - http://localhost:<port> and http://127.0.0.1:<port>, except in production
+ */
+
+const LOCALHOST_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// Methods that may arrive without an Origin header
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toMatcher = (origin) => {
+  const normalized = origin.trim().replace(/\/+$/, '').toLowerCase();
+  if (!normalized.includes('*')) {
+    return candidate => candidate === normalized;
+  }
+  const pattern = new RegExp('^' + normalized.split('*').map(escapeRegExp).join('[a-z0-9-]*') + '$');
+  return candidate => pattern.test(candidate);
+};
+
+const getAllowedOriginMatchers = () => {
+  const origins = [
+    process.env.URL,
+    process.env.DEPLOY_PRIME_URL,
+    process.env.DEPLOY_URL,
+    ...(process.env.CORS_ALLOWED_ORIGINS || '').split(',')
+  ].filter(origin => origin && origin.trim());
+  return origins.map(toMatcher);
+};
+
+/**
+ * @param {string} origin - Value of the Origin request header
+ * @returns {boolean}
+ */
+const isOriginAllowed = (origin) => {
+  const candidate = String(origin).toLowerCase();
+  if (process.env.CONTEXT !== 'production' && LOCALHOST_PATTERN.test(candidate)) {
+    return true;
+  }
+  return getAllowedOriginMatchers().some(matches => matches(candidate));
+};
+
+/**
+ * Checks the request's Origin and builds the CORS headers for the response.
+ *
+ * @param {object} event - Netlify function event
+ * @returns {{ allowed: boolean, headers: object }} - headers reflect the origin when
+ *   it's allowed; they always include `Vary: Origin` so caches keep responses apart.
+ *   Not allowed: a foreign origin, or a write without an Origin header
+ */
+const checkOrigin = (event) => {
+  const origin = (event.headers || {}).origin;
+  if (!origin) {
+    return { allowed: READ_METHODS.includes(event.httpMethod), headers: { 'Vary': 'Origin' } };
+  }
+  if (!isOriginAllowed(origin)) {
+    return { allowed: false, headers: { 'Vary': 'Origin' } };
+  }
+  return {
+    allowed: true,
+    headers: { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+  };
+};
+
+/**
+ * 403 response for a request from an origin that isn't allowed.
+ *
+ * @param {object} headers - Response headers from checkOrigin
+ * @returns {object} - Netlify function response
+ */
+const originRejectedResponse = (headers) => ({
+  statusCode: 403,
+  headers: { ...headers, 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    error: 'Forbidden',
+    code: 'ORIGIN_NOT_ALLOWED',
+    message: 'Requests from this website are not allowed.'
+  })
+});
+
+module.exports = {
+  isOriginAllowed,
+  checkOrigin,
+  originRejectedResponse
+};
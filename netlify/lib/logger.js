@@ -0,0 +1,29 @@
+/**
+ * Structured Logging
+ *
+ * One JSON object per line, so Netlify's function logs (and any log drain) can
+ * be filtered by field, e.g. requestId or status. Never pass query strings,
+ * request bodies or tokens: they hold players' phone numbers and credentials.
+ */
+
+const write = (level, message, fields) => {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...fields
+  });
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
+module.exports = {
+  info: (message, fields = {}) => write('info', message, fields),
+  warn: (message, fields = {}) => write('warn', message, fields),
+  error: (message, fields = {}) => write('error', message, fields)
+};
@@ -0,0 +1,103 @@
+/**
+ * Admin Login Throttle
+ *
+ * Tracks failed login attempts per username and per client IP. After a few free
+ * attempts, each further failure locks the key out for exponentially longer
+ * (30s, 60s, 120s, ... capped at 15 minutes). A successful login clears the
+ * username's record.
+ *
+ * State lives in the function instance's memory, so it resets on cold start and
+ * isn't shared between concurrent instances. That still bounds a single attacker
+ * to a handful of guesses per lockout window on a warm instance.
+ */
+
+// Failures allowed before lockouts start. The IP limit is higher because club
+// volunteers may share one network.
+const FREE_ATTEMPTS = {
+  user: 5,
+  ip: 20
+};
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;
+// A key with no failures for this long starts over
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+const MAX_TRACKED_KEYS = 5000;
+
+const attempts = new Map(); // key -> { failures, lockedUntil, lastFailureAt }
+
+const keysFor = (username, ip) => [
+  { key: `user:${String(username || '').toLowerCase()}`, freeAttempts: FREE_ATTEMPTS.user },
+  { key: `ip:${ip}`, freeAttempts: FREE_ATTEMPTS.ip }
+];
+
+const getRecord = (key, now) => {
+  const record = attempts.get(key);
+  if (record && now - record.lastFailureAt > FORGET_AFTER_MS) {
+    attempts.delete(key);
+    return null;
+  }
+  return record || null;
+};
+
+const prune = (now) => {
+  if (attempts.size < MAX_TRACKED_KEYS) return;
+  for (const [key, record] of attempts) {
+    if (now - record.lastFailureAt > FORGET_AFTER_MS && record.lockedUntil <= now) {
+      attempts.delete(key);
+    }
+  }
+};
+
+/**
+ * Seconds until the username or IP may try again, or 0 if neither is locked out.
+ *
+ * @param {string} username
+ * @param {string} ip
+ * @returns {number}
+ */
+const getLockoutSeconds = (username, ip) => {
+  const now = Date.now();
+  const lockedUntil = Math.max(0, ...keysFor(username, ip).map(({ key }) => {
+    const record = getRecord(key, now);
+    return record ? record.lockedUntil : 0;
+  }));
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+};
+
+/**
+ * Records a failed attempt and returns the resulting lockout in seconds (0 if none).
+ *
+ * @param {string} username
+ * @param {string} ip
+ * @returns {number}
+ */
+const recordFailure = (username, ip) => {
+  const now = Date.now();
+  prune(now);
+  keysFor(username, ip).forEach(({ key, freeAttempts }) => {
+    const record = getRecord(key, now) || { failures: 0, lockedUntil: 0, lastFailureAt: now };
+    record.failures += 1;
+    record.lastFailureAt = now;
+    if (record.failures >= freeAttempts) {
+      const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** (record.failures - freeAttempts), MAX_LOCKOUT_MS);
+      record.lockedUntil = now + lockoutMs;
+    }
+    attempts.set(key, record);
+  });
+  return getLockoutSeconds(username, ip);
+};
+
+/**
+ * Clears the username's failure record after a successful login.
+ *
+ * @param {string} username
+ */
+const recordSuccess = (username) => {
+  attempts.delete(`user:${String(username || '').toLowerCase()}`);
+};
+
+module.exports = {
+  getLockoutSeconds,
+  recordFailure,
+  recordSuccess
+};
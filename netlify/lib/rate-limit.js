@@ -0,0 +1,91 @@
+/**
+ * Per-Client Rate Limiting
+ *
+ * Token buckets keyed by client IP, one set per budget. Each request takes a
+ * token; tokens refill continuously up to the bucket's capacity, so a client can
+ * burst briefly and then settles at the refill rate. Routes opt in with a
+ * `rateLimit` budget name in lib/routes.js.
+ *
+ * The phone/name lookups get the tightest budget because they reveal whether a
+ * number belongs to a club member. Budgets are generous enough for a family
+ * registering several players from one home network.
+ *
+ * Like the login throttle, state is per warm function instance: it resets on
+ * cold start and isn't shared between instances.
+ */
+
+const BUDGETS = {
+  // /rr/search, /player/search: 10 lookups, then one every 6 seconds
+  lookup: { capacity: 10, refillPerSecond: 1 / 6 },
+  // /rr/register, /rr/unregister, /player/signup: 6 submissions, then one every 10 seconds
+  registration: { capacity: 6, refillPerSecond: 1 / 10 },
+  // /rr/roster, /rr/capacity, /health: 30 loads, then one per second
+  roster: { capacity: 30, refillPerSecond: 1 }
+};
+
+const MAX_TRACKED_BUCKETS = 10000;
+// Pruning goes well below the cap, so the full scan runs once per ~1,000 new clients
+// rather than on every request once the map is full
+const PRUNE_TARGET = MAX_TRACKED_BUCKETS * 0.9;
+
+// `${budget}:${ip}` -> { tokens, updatedAt }, least recently used first
+const buckets = new Map();
+
+const refill = (bucket, budget, now) => {
+  const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(budget.capacity, bucket.tokens + elapsedSeconds * budget.refillPerSecond);
+  bucket.updatedAt = now;
+};
+
+// Once the map is full, drop buckets that have refilled completely (they're equivalent
+// to new ones), then the least recently used until PRUNE_TARGET are left
+const prune = (now) => {
+  if (buckets.size < MAX_TRACKED_BUCKETS) return;
+  for (const [key, bucket] of buckets) {
+    const budget = BUDGETS[key.slice(0, key.indexOf(':'))];
+    refill(bucket, budget, now);
+    if (bucket.tokens >= budget.capacity) {
+      buckets.delete(key);
+    }
+  }
+  for (const key of buckets.keys()) {
+    if (buckets.size <= PRUNE_TARGET) break;
+    buckets.delete(key);
+  }
+};
+
+/**
+ * Takes a token from the client's bucket for a budget.
+ *
+ * @param {string} budgetName - Key of BUDGETS
+ * @param {string} ip - Client IP (see lib/client-ip.js)
+ * @returns {{ allowed: boolean, retryAfter: number }} - retryAfter is in seconds (0 when allowed)
+ */
+const consume = (budgetName, ip) => {
+  const budget = BUDGETS[budgetName];
+  if (!budget) {
+    throw new Error(`Unknown rate limit budget: ${budgetName}`);
+  }
+
+  const now = Date.now();
+  prune(now);
+
+  const key = `${budgetName}:${ip}`;
+  const bucket = buckets.get(key) || { tokens: budget.capacity, updatedAt: now };
+  refill(bucket, budget, now);
+  // Re-inserted so the map stays in least recently used order
+  buckets.delete(key);
+  buckets.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / budget.refillPerSecond) };
+};
+
+module.exports = {
+  BUDGETS,
+  consume
+};
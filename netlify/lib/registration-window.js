@@ -0,0 +1,68 @@
+/**
+ * Registration Window Enforcement
+ *
+ * Each open event carries registration_opens_at / registration_closes_at (set when
+ * it's opened in the admin Events panel or by the event scheduler). The registration
+ * page hides the Register button outside the window, and routes with
+ * `registrationWindow: true` in lib/routes.js have the proxy turn away submissions
+ * outside it too, so a player can't register early by calling the API directly.
+ *
+ * The window comes from the open events list (/rr/events), the same list the
+ * registration page loads. Only events with a window are restricted; an event the
+ * list doesn't include, or a body without event_id while several events are open,
+ * is left to the backend.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const toTime = (value) => {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+// "Wednesday, November 4 at 10:00 AM PST", in the club's timezone
+const formatTime = (time) => new Date(time).toLocaleString('en-US', {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZone: process.env.CLUB_TIMEZONE || DEFAULT_TIMEZONE,
+  timeZoneName: 'short'
+});
+
+/**
+ * Checks a registration against the window of the event it's for.
+ *
+ * @param {Array} events - Open events, as /rr/events returns them
+ * @param {object} body - Parsed request body (event_id optional)
+ * @param {number} [now] - Current time in ms
+ * @returns {{ open: boolean, message?: string, opensAt?: string, closesAt?: string }}
+ */
+const checkRegistrationWindow = (events, body, now = Date.now()) => {
+  const eventId = body?.event_id;
+  const event = eventId != null
+    ? events.find(candidate => String(candidate.event_id) === String(eventId))
+    : (events.length === 1 ? events[0] : null);
+  if (!event) {
+    return { open: true };
+  }
+
+  const opensAt = toTime(event.registration_opens_at);
+  const closesAt = toTime(event.registration_closes_at);
+  const window = {
+    opensAt: opensAt == null ? null : new Date(opensAt).toISOString(),
+    closesAt: closesAt == null ? null : new Date(closesAt).toISOString()
+  };
+  if (opensAt != null && now < opensAt) {
+    return { open: false, ...window, message: `Registration for this event opens ${formatTime(opensAt)}.` };
+  }
+  if (closesAt != null && now >= closesAt) {
+    return { open: false, ...window, message: `Registration for this event closed ${formatTime(closesAt)}.` };
+  }
+  return { open: true };
+};
+
+module.exports = {
+  checkRegistrationWindow
+};
@@ -0,0 +1,28 @@
+/**
+ * Request IDs
+ *
+ * Correlation ID for a proxied request. It's returned to the browser as
+ * `X-Request-Id`, forwarded to the backend, and included in every log line, so
+ * the reference a player texts to support leads straight to the logs.
+ *
+ * Short enough to read out over the phone. A well-formed `X-Request-Id` sent by
+ * the caller (e.g. a test script) is kept so traces can span systems.
+ */
+
+const crypto = require('crypto');
+
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * @param {object} event - Netlify function event
+ * @returns {string}
+ */
+const getRequestId = (event) => {
+  const incoming = (event.headers || {})['x-request-id'];
+  if (incoming && INCOMING_ID_PATTERN.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomBytes(6).toString('hex');
+};
+
+module.exports = { getRequestId };
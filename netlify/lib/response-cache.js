@@ -0,0 +1,136 @@
+/**
+ * Proxy Response Cache
+ *
+ * Keeps successful responses for cacheable routes (see `cacheable` in
+ * lib/routes.js) for a few seconds, so a burst of visitors when registration
+ * opens costs the backend one request per instance rather than one per visitor.
+ * Concurrent misses for the same request share a single backend call.
+ * Requests carrying a player's credentials (X-User-Auth) bypass the cache, since
+ * the key is the same for every caller.
+ *
+ * Any write through the proxy (register, confirm, open event, ...) clears the
+ * cache on that instance. Other warm instances may serve the old roster for at
+ * most the TTL.
+ *
+ * Environment Variables:
+ * - PROXY_CACHE_TTL_SECONDS: Seconds to keep responses (default 5, 0 disables)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 5;
+const MAX_ENTRIES = 200;
+
+const entries = new Map(); // key -> { response, expiresAt }
+const pending = new Map(); // key -> Promise<response>
+// Bumped on every clear() so a fetch that started before a write isn't cached after it
+let generation = 0;
+
+const getTtlMs = () => {
+  const seconds = Number(process.env.PROXY_CACHE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+};
+
+const prune = (now) => {
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+  // Still full: drop the oldest (Maps iterate in insertion order)
+  while (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Cache key for a request. Query parameters are sorted so their order doesn't matter.
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {Object|null} query - event.queryStringParameters
+ * @param {string|null} body
+ * @returns {string}
+ */
+const buildCacheKey = (method, path, query, body) => {
+  const sortedQuery = Object.entries(query || {}).sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify([method, path, sortedQuery, body || '']);
+};
+
+/**
+ * Strong ETag for a response body.
+ *
+ * @param {string} body
+ * @returns {string}
+ */
+const computeEtag = (body) => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+/**
+ * Whether an If-None-Match request header matches the ETag.
+ *
+ * @param {string|undefined} ifNoneMatch
+ * @param {string} etag
+ * @returns {boolean}
+ */
+const etagMatches = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch || !etag) return false;
+  return ifNoneMatch.split(',').some(candidate => {
+    const tag = candidate.trim().replace(/^W\//, '');
+    return tag === '*' || tag === etag;
+  });
+};
+
+/**
+ * Returns the cached response for the key, or calls fetcher and caches its
+ * result when it's a 200.
+ *
+ * @param {string} key - From buildCacheKey
+ * @param {Function} fetcher - Async function returning { statusCode, ... }
+ * @returns {Promise<{ response: Object, hit: boolean }>}
+ */
+const fetchThrough = async (key, fetcher) => {
+  const ttlMs = getTtlMs();
+  if (!ttlMs) {
+    return { response: await fetcher(), hit: false };
+  }
+
+  const cached = entries.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { response: cached.response, hit: true };
+  }
+  if (pending.has(key)) {
+    return { response: await pending.get(key), hit: true };
+  }
+
+  const startedGeneration = generation;
+  const request = fetcher()
+    .then(response => {
+      if (response.statusCode === 200 && generation === startedGeneration) {
+        const now = Date.now();
+        prune(now);
+        entries.set(key, { response, expiresAt: now + ttlMs });
+      }
+      return response;
+    })
+    .finally(() => {
+      if (pending.get(key) === request) pending.delete(key);
+    });
+  pending.set(key, request);
+
+  return { response: await request, hit: false };
+};
+
+/**
+ * Drops every cached response, e.g. after a write.
+ */
+const clear = () => {
+  generation += 1;
+  entries.clear();
+  pending.clear();
+};
+
+module.exports = {
+  buildCacheKey,
+  computeEtag,
+  etagMatches,
+  fetchThrough,
+  clear
+};
@@ -0,0 +1,104 @@
+/**
+ * API Proxy Route Table
+ *
+ * Every backend route the site uses, and the only ones the proxy (api.js) will
+ * forward. Anything else gets a 404 (unknown path) or 405 (wrong method) from
+ * the proxy itself, without touching the backend or its API key.
+ *
+ * Route fields:
+ * - path: Path pattern; `:name` matches a single path segment
+ * - methods: Allowed HTTP methods
+ * - access: 'public', or 'admin' (requires an admin session token)
+ * - permission: Role permission an admin route needs (see lib/admin-users.js);
+ *   without one, any signed-in admin may use it
+ * - maxBodyBytes: Largest request body accepted (defaults to DEFAULT_MAX_BODY_BYTES)
+ * - schema: Request body schema the body must match (see lib/schemas.js)
+ * - rateLimit: Per-client budget the route draws from (see lib/rate-limit.js)
+ * - cacheable: Successful responses may be cached briefly (see lib/response-cache.js).
+ *   Only for reads, including read-only POSTs like /rr/capacity.
+ * - local: Answered by the proxy itself (LOCAL_ROUTES in api.js), never forwarded
+ * - registrationWindow: Rejected with a 409 outside the event's registration window
+ *   (see lib/registration-window.js)
+ */
+
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+const ROUTES = [
+  // Player lookup and registration (registration/registration.js)
+  { path: '/rr/search', methods: ['GET'], access: 'public', rateLimit: 'lookup' },
+  { path: '/rr/capacity', methods: ['POST'], access: 'public', maxBodyBytes: 1024, rateLimit: 'roster', cacheable: true },
+  { path: '/rr/events', methods: ['GET'], access: 'public', rateLimit: 'roster', cacheable: true },
+  { path: '/rr/register', methods: ['POST'], access: 'public', maxBodyBytes: 4 * 1024, schema: 'register', rateLimit: 'registration', registrationWindow: true },
+  { path: '/rr/unregister', methods: ['POST'], access: 'public', maxBodyBytes: 4 * 1024, schema: 'unregister', rateLimit: 'registration' },
+
+  // Roster (roster/roster.js and the admin Approvals panel)
+  { path: '/rr/roster', methods: ['GET'], access: 'public', rateLimit: 'roster', cacheable: true },
+
+  // Player account activation (signup/signup.js)
+  { path: '/player/search', methods: ['GET'], access: 'public', rateLimit: 'lookup' },
+  { path: '/player/signup', methods: ['POST'], access: 'public', maxBodyBytes: 8 * 1024, schema: 'signup', rateLimit: 'registration' },
+
+  // Proxy status (BackendBanner in js/bttc-utils.js)
+  { path: '/health', methods: ['GET'], access: 'public', rateLimit: 'roster', local: true },
+
+  // Admin session refresh and logout (admin/shell.js)
+  { path: '/admin/session/refresh', methods: ['POST'], access: 'admin', maxBodyBytes: 1024, local: true },
+  { path: '/admin/session/logout', methods: ['POST'], access: 'admin', maxBodyBytes: 1024, local: true },
+
+  // Admin tools (admin/)
+  { path: '/rr/registration/confirm', methods: ['POST'], access: 'admin', permission: 'approvals', maxBodyBytes: 1024 },
+  { path: '/rr/registration/reject', methods: ['POST'], access: 'admin', permission: 'approvals', maxBodyBytes: 4 * 1024, schema: 'registrationReject' },
+  { path: '/rr/registration/refund', methods: ['POST'], access: 'admin', permission: 'approvals', maxBodyBytes: 4 * 1024, schema: 'registrationAction' },
+  { path: '/rr/registration/waitlist', methods: ['POST'], access: 'admin', permission: 'approvals', maxBodyBytes: 4 * 1024, schema: 'registrationAction' },
+  { path: '/rr/registration/promote', methods: ['POST'], access: 'admin', permission: 'waitlist', maxBodyBytes: 4 * 1024, schema: 'registrationPromote' },
+  // Waitlist with players' phone numbers and emails, so admin-only and never cached
+  { path: '/rr/waitlist', methods: ['GET'], access: 'admin', permission: 'waitlist' },
+  { path: '/rr/waitlist/reorder', methods: ['POST'], access: 'admin', permission: 'waitlist', maxBodyBytes: 4 * 1024, schema: 'waitlistReorder' },
+  { path: '/rr/registration-audit', methods: ['GET'], access: 'admin', permission: 'audit' },
+  { path: '/events/all', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 1024 },
+  { path: '/events/open', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 4 * 1024 },
+  { path: '/events/close', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 1024 },
+  { path: '/events/update', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 4 * 1024, schema: 'eventUpdate' },
+  { path: '/events/past', methods: ['GET'], access: 'admin', permission: 'events' },
+  { path: '/events/:event_id/report', methods: ['GET'], access: 'admin', permission: 'events' },
+  // Same counts as /rr/capacity, fresh from the backend rather than the public cache
+  { path: '/events/:event_id/capacity', methods: ['GET'], access: 'admin', permission: 'events' },
+  { path: '/events/series', methods: ['GET'], access: 'admin', permission: 'events' },
+  { path: '/events/series/save', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 8 * 1024, schema: 'eventSeries' },
+  { path: '/events/series/delete', methods: ['POST'], access: 'admin', permission: 'events', maxBodyBytes: 1024, schema: 'eventSeriesDelete' }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compilePattern = (pattern) => new RegExp('^' + pattern
+  .split('/')
+  .map(segment => (segment.startsWith(':') ? `(?<${segment.slice(1)}>[^/]+)` : escapeRegExp(segment)))
+  .join('/') + '$');
+
+const COMPILED_ROUTES = ROUTES.map(route => ({
+  ...route,
+  maxBodyBytes: route.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES,
+  regex: compilePattern(route.path)
+}));
+
+/**
+ * Finds the route for a request path (trailing slashes ignored).
+ *
+ * @param {string} path - Path below the function, e.g. '/rr/roster'
+ * @returns {{ route: object, params: object, path: string }|null} - path is the normalized path
+ */
+const matchRoute = (path) => {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  for (const route of COMPILED_ROUTES) {
+    const match = route.regex.exec(normalized);
+    if (match) {
+      return { route, params: { ...match.groups }, path: normalized };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  ROUTES,
+  matchRoute
+};
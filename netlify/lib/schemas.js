@@ -0,0 +1,315 @@
+/**
+ * Request Body Schemas
+ *
+ * The shapes of the bodies the public pages send, so the proxy can turn away
+ * malformed writes before they reach the backend. Routes opt in with a `schema`
+ * name in lib/routes.js; a body that doesn't match gets a 400 with one message per
+ * field, keyed by the payload field name, so the page can show each message next
+ * to the matching input.
+ *
+ * The schemas mirror the payloads built by:
+ * - register / unregister: confirmRegistration and confirmUnregistration
+ *   (registration/registration.js)
+ * - signup: handleDialogSubmit and handleNewPlayerSubmit (signup/signup.js)
+ * - registrationAction / registrationReject: submitAction in the Approvals panel
+ *   (admin/admin.js)
+ * - registrationPromote: submitAction in the Approvals and Waitlist panels
+ *   (admin/admin.js, admin/waitlist.js)
+ * - waitlistReorder: submitAction in the Waitlist panel (admin/waitlist.js)
+ * - eventUpdate: saveEdit in the Events panel (admin/events.js)
+ * - eventSeries / eventSeriesDelete: saveSeries and deleteSeries in the Events panel's
+ *   series editor (admin/series.js)
+ *
+ * Fields that aren't in the schema are rejected, so keep these in step with the pages.
+ *
+ * Field rules:
+ * - type: 'string', 'integer', 'boolean', 'id' (non-empty string or integer), 'object'
+ *   or 'array'
+ * - label: Name used in messages
+ * - required: Must be present and non-empty
+ * - maxLength: Longest value, in characters after trimming
+ * - pattern / patternMessage: Regex a non-empty string must match, and the message if it doesn't
+ * - enum: Allowed values
+ * - min / max: Integer bounds
+ * - fields: Rules for an 'object' field's own fields
+ * - items / maxItems: Rule for each entry of an 'array' field, and the most entries allowed
+ */
+
+// Longest comment a player can type; the textareas read the same limit
+const { COMMENT_MAX_LENGTH } = require('../../js/form-limits');
+// The registration dialog prepends "Waiver accepted: <waiver file>. " to the comment
+const WAIVER_NOTE_ALLOWANCE = 100;
+
+const NAME_RULE = { type: 'string', required: true, maxLength: 50 };
+const ID_RULE = { type: 'id', label: 'Player ID', required: true, maxLength: 32 };
+const INTERNAL_ID_RULE = { type: 'integer', label: 'Player record', required: true, min: 1 };
+// Admin's note on a registration action, kept in the audit log
+const NOTE_RULE = { type: 'string', label: 'Note', maxLength: COMMENT_MAX_LENGTH };
+
+const DATE_RULE = {
+  type: 'string',
+  pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  patternMessage: 'Dates must be in YYYY-MM-DD format.'
+};
+const TIME_RULE = {
+  type: 'string',
+  required: true,
+  pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+  patternMessage: 'Times must be in 24-hour HH:MM format.'
+};
+// An instant with its offset, as Date.prototype.toISOString() writes it
+const TIMESTAMP_RULE = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/,
+  patternMessage: 'Times must be ISO 8601 timestamps with a timezone.'
+};
+const SERIES_ID_RULE = { type: 'id', label: 'Series', maxLength: 64 };
+const EVENT_ID_RULE = { type: 'id', label: 'Event', maxLength: 64 };
+
+const surveyAnswer = (question) => ({
+  type: 'string',
+  label: `Survey question ${question.toUpperCase()}`,
+  required: true,
+  enum: [0, 1, 2, 3].map(level => `${question.toUpperCase()}${level}`)
+});
+
+const SCHEMAS = {
+  register: {
+    bttc_id: ID_RULE,
+    internal_user_id: INTERNAL_ID_RULE,
+    first_name: { ...NAME_RULE, label: 'First name' },
+    last_name: { ...NAME_RULE, label: 'Last name' },
+    payment_method: { type: 'string', label: 'Payment method', required: true, enum: ['zelle_venmo'] },
+    comments: { type: 'string', label: 'Comments', maxLength: COMMENT_MAX_LENGTH + WAIVER_NOTE_ALLOWANCE },
+    // Which open event; without it the backend uses the current event
+    event_id: EVENT_ID_RULE
+  },
+
+  unregister: {
+    bttc_id: ID_RULE,
+    internal_user_id: INTERNAL_ID_RULE,
+    first_name: { ...NAME_RULE, label: 'First name' },
+    last_name: { ...NAME_RULE, label: 'Last name' },
+    comments: { type: 'string', label: 'Comments', maxLength: COMMENT_MAX_LENGTH },
+    event_id: EVENT_ID_RULE
+  },
+
+  // Refund and move to waitlist (admin); the note is optional
+  registrationAction: {
+    internal_user_id: INTERNAL_ID_RULE,
+    note: NOTE_RULE
+  },
+
+  // Rejecting a registration needs a reason
+  registrationReject: {
+    internal_user_id: INTERNAL_ID_RULE,
+    note: { ...NOTE_RULE, label: 'Reason', required: true }
+  },
+
+  // Promoting from the waitlist can ask the backend to text/email the player
+  registrationPromote: {
+    internal_user_id: INTERNAL_ID_RULE,
+    note: NOTE_RULE,
+    notify: { type: 'boolean', label: 'Notify player' }
+  },
+
+  // Moving a player to another waitlist position needs a reason
+  waitlistReorder: {
+    internal_user_id: INTERNAL_ID_RULE,
+    position: { type: 'integer', label: 'Position', required: true, min: 1, max: 1000 },
+    note: { ...NOTE_RULE, label: 'Reason', required: true }
+  },
+
+  // Changes to an open event; fields left out stay as they are, and empty notes clear them
+  eventUpdate: {
+    event_id: { ...EVENT_ID_RULE, required: true },
+    max_capacity: { type: 'integer', label: 'Max capacity', min: 1, max: 500 },
+    announcement_notes: { type: 'string', label: 'Announcement notes', maxLength: COMMENT_MAX_LENGTH },
+    event_date: { ...DATE_RULE, label: 'Event date' },
+    registration_opens_at: { ...TIMESTAMP_RULE, label: 'Registration opens' },
+    registration_closes_at: { ...TIMESTAMP_RULE, label: 'Registration closes' }
+  },
+
+  // Recurring event series (see js/event-series.js); no series_id creates a new one
+  eventSeries: {
+    series_id: SERIES_ID_RULE,
+    name: { type: 'string', label: 'Series name', required: true, maxLength: 80 },
+    event_type: { type: 'string', label: 'Event type', required: true, enum: ['rr', 'group_training', 'tournament'] },
+    weekday: { type: 'integer', label: 'Event day', required: true, min: 0, max: 6 },
+    max_capacity: { type: 'integer', label: 'Max capacity', required: true, min: 1, max: 500 },
+    announcement_notes: { type: 'string', label: 'Announcement notes', maxLength: COMMENT_MAX_LENGTH },
+    opens_days_before: { type: 'integer', label: 'Opening day', required: true, min: 0, max: 13 },
+    opens_at: { ...TIME_RULE, label: 'Opening time' },
+    closes_days_before: { type: 'integer', label: 'Closing day', required: true, min: 0, max: 13 },
+    closes_at: { ...TIME_RULE, label: 'Closing time' },
+    starts_on: { ...DATE_RULE, label: 'Start date' },
+    ends_on: { ...DATE_RULE, label: 'End date' },
+    exceptions: { type: 'array', label: 'Holiday exceptions', maxItems: 100, items: { ...DATE_RULE, label: 'Holiday exception' } },
+    active: { type: 'boolean', label: 'Active' }
+  },
+
+  eventSeriesDelete: {
+    series_id: { ...SERIES_ID_RULE, required: true }
+  },
+
+  // Returning players send their bttc_id; new players send a rating or a survey instead
+  signup: {
+    bttc_id: { ...ID_RULE, required: false },
+    first_name: { ...NAME_RULE, label: 'First name' },
+    last_name: { ...NAME_RULE, label: 'Last name' },
+    phone_number: {
+      type: 'string',
+      label: 'Phone number',
+      required: true,
+      // Digits only, same rules as validatePhone in js/bttc-utils.js, which also allows
+      // a leading country code 1
+      pattern: /^1?[2-9]\d{2}[2-9]\d{6}$/,
+      patternMessage: 'Please enter a valid 10-digit phone number.'
+    },
+    email: {
+      type: 'string',
+      label: 'Email',
+      maxLength: 254,
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      patternMessage: 'Please enter a valid email address.'
+    },
+    rating: { type: 'integer', label: 'Rating', min: 100, max: 2500 },
+    rating_survey: {
+      type: 'object',
+      label: 'Skill survey',
+      fields: {
+        a: surveyAnswer('a'),
+        b: surveyAnswer('b'),
+        c: surveyAnswer('c'),
+        d: surveyAnswer('d'),
+        e: surveyAnswer('e'),
+        f: { type: 'boolean', label: 'Survey question F' },
+        g: { type: 'boolean', label: 'Survey question G' },
+        h: { type: 'boolean', label: 'Survey question H' },
+        i: { type: 'boolean', label: 'Survey question I' }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  id: value => (typeof value === 'string' && value.trim() !== '') || (Number.isInteger(value) && value >= 0),
+  object: isPlainObject,
+  array: Array.isArray
+};
+
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  id: 'an ID',
+  object: 'an object',
+  array: 'a list'
+};
+
+// Returns the problem with one value, or null if it follows the rule
+const checkValue = (value, rule) => {
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return `${rule.label} must be ${TYPE_NAMES[rule.type]}.`;
+  }
+
+  const text = typeof value === 'string' ? value.trim() : null;
+  if (rule.maxLength && String(value).trim().length > rule.maxLength) {
+    return `${rule.label} must be ${rule.maxLength} characters or fewer.`;
+  }
+  if (text && rule.pattern && !rule.pattern.test(text)) {
+    return rule.patternMessage || `${rule.label} is not in the right format.`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${rule.label} must be one of: ${rule.enum.join(', ')}.`;
+  }
+  if (rule.type === 'integer' && rule.min !== undefined && value < rule.min) {
+    return `${rule.label} must be at least ${rule.min}.`;
+  }
+  if (rule.type === 'integer' && rule.max !== undefined && value > rule.max) {
+    return `${rule.label} must be at most ${rule.max}.`;
+  }
+  if (rule.type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `${rule.label} can have at most ${rule.maxItems} entries.`;
+    }
+    for (const item of value) {
+      const problem = isEmpty(item) ? `${rule.items.label} is required.` : checkValue(item, rule.items);
+      if (problem) return problem;
+    }
+  }
+  return null;
+};
+
+// Adds a message per failing field to `errors`, keyed by its dotted path
+const checkFields = (data, fields, errors, prefix = '') => {
+  for (const key of Object.keys(data)) {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      errors[prefix + key] = `Unexpected field: ${prefix + key}.`;
+    }
+  }
+
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = data[key];
+    if (isEmpty(value)) {
+      if (rule.required) {
+        errors[prefix + key] = `${rule.label} is required.`;
+      }
+      continue;
+    }
+
+    const problem = checkValue(value, rule);
+    if (problem) {
+      errors[prefix + key] = problem;
+    } else if (rule.type === 'object') {
+      checkFields(value, rule.fields, errors, `${prefix}${key}.`);
+    }
+  }
+};
+
+/**
+ * Checks a request body against a schema.
+ *
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {string} body - Raw request body
+ * @param {boolean} [isBase64Encoded] - Whether Netlify base64-encoded the body
+ * @returns {{ valid: boolean, message?: string, fields?: object }} - fields maps each
+ *   failing payload field (e.g. 'first_name', 'rating_survey.a') to a message
+ */
+const validateBody = (schemaName, body, isBase64Encoded = false) => {
+  const schema = SCHEMAS[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown request schema: ${schemaName}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(isBase64Encoded ? Buffer.from(body || '', 'base64').toString('utf8') : body || '');
+  } catch {
+    data = undefined;
+  }
+  if (!isPlainObject(data)) {
+    return { valid: false, message: 'The request body must be a JSON object.', fields: {} };
+  }
+
+  const errors = {};
+  checkFields(data, schema, errors);
+  const messages = Object.values(errors);
+  if (messages.length === 0) {
+    return { valid: true };
+  }
+  return { valid: false, message: messages[0], fields: errors };
+};
+
+module.exports = {
+  COMMENT_MAX_LENGTH,
+  SCHEMAS,
+  validateBody
+};
@@ -0,0 +1,174 @@
+/**
+ * Admin Session Tokens
+ *
+ * Issues and verifies signed, expiring admin session tokens. Tokens use the
+ * compact JWT layout (header.payload.signature, base64url) signed with
+ * HMAC-SHA256, so they can be checked by any function that knows the secret
+ * without a shared session store.
+ *
+ * The `use` claim separates full sessions from short-lived login challenges
+ * (issued after the password step when TOTP is enabled), so a challenge can
+ * never be presented as a session.
+ *
+ * Sessions slide: a token lasts for the idle timeout, and the admin shell trades
+ * it for a fresh one (issueSession) while the admin is active. `auth_time` keeps
+ * the original login time, so refreshing can't extend a session past the
+ * absolute limit.
+ *
+ * Logging out revokes the token's `jti`, and refreshing revokes the token it
+ * replaces (after REFRESH_GRACE_SECONDS, for requests already in flight). Like the
+ * login throttle, the revocation list is per warm function instance and is lost on
+ * a cold start: a revoked token is refused by the instance that revoked it, but
+ * other instances accept it until it expires (at most the idle timeout). Logout is
+ * therefore not a guaranteed invalidation; keep ADMIN_SESSION_IDLE_MINUTES short.
+ *
+ * Environment Variables Required:
+ * - ADMIN_SESSION_SECRET: Server-side signing secret (at least 32 characters)
+ *
+ * Optional:
+ * - ADMIN_SESSION_IDLE_MINUTES: Inactivity before a session expires (default 30)
+ * - ADMIN_SESSION_MAX_HOURS: Longest a session lasts from login, however active (default 12)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_IDLE_MINUTES = 30;
+const DEFAULT_MAX_HOURS = 12;
+const MIN_SECRET_LENGTH = 32;
+
+// Seconds a refreshed token keeps working, so requests sent just before the refresh
+// don't end the session
+const REFRESH_GRACE_SECONDS = 30;
+
+// jti -> { exp, from } (seconds) of revoked tokens: refused from `from` on, kept until
+// they'd expire anyway
+const revokedTokens = new Map();
+
+const getIdleTimeoutMs = () => Number(process.env.ADMIN_SESSION_IDLE_MINUTES || DEFAULT_IDLE_MINUTES) * 60 * 1000;
+
+const getMaxSessionMs = () => Number(process.env.ADMIN_SESSION_MAX_HOURS || DEFAULT_MAX_HOURS) * 60 * 60 * 1000;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const getSecret = () => {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`ADMIN_SESSION_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return secret;
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+/**
+ * Creates a signed session token for an authenticated admin.
+ *
+ * @param {{ username: string, role: string }} user - Admin the token is issued to
+ *   (username becomes the `sub` claim)
+ * @param {number} [ttlMs] - Lifetime in milliseconds (defaults to the idle timeout)
+ * @param {string} [use] - 'session' or 'totp-challenge'
+ * @param {number} [authTime] - When the admin logged in, ms since epoch (defaults to now)
+ * @returns {{ token: string, expiresAt: number }}
+ */
+const createSessionToken = (user, ttlMs = getIdleTimeoutMs(), use = 'session', authTime = Date.now()) => {
+  const now = Date.now();
+  const expiresAt = now + ttlMs;
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.username,
+    role: user.role,
+    use: use,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(expiresAt / 1000),
+    auth_time: Math.floor(authTime / 1000),
+    jti: crypto.randomBytes(16).toString('hex')
+  }));
+  const signature = sign(`${header}.${payload}`);
+  return { token: `${header}.${payload}.${signature}`, expiresAt };
+};
+
+/**
+ * Issues a session token that lasts for the idle timeout, but never past the
+ * absolute limit counted from the admin's login.
+ *
+ * @param {{ username: string, role: string }} user - Admin the session is for
+ * @param {number} [authTime] - Original login time, ms since epoch (defaults to now,
+ *   i.e. a new login; pass the old token's `auth_time` when refreshing)
+ * @returns {{ token: string, expiresAt: number, absoluteExpiresAt: number }}
+ */
+const issueSession = (user, authTime = Date.now()) => {
+  const absoluteExpiresAt = authTime + getMaxSessionMs();
+  const ttlMs = Math.min(getIdleTimeoutMs(), absoluteExpiresAt - Date.now());
+  const { token, expiresAt } = createSessionToken(user, ttlMs, 'session', authTime);
+  return { token, expiresAt, absoluteExpiresAt };
+};
+
+/**
+ * Verifies a session token's signature, expiry, intended use and revocation.
+ *
+ * @param {string} token - Token as issued by createSessionToken
+ * @param {string} [use] - Expected `use` claim
+ * @returns {object|null} - Decoded claims, or null if the token is malformed, forged,
+ *   expired, revoked or issued for a different use
+ */
+const verifySessionToken = (token, use = 'session') => {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || typeof claims.exp !== 'number' || claims.use !== use) return null;
+    if (Date.now() >= claims.exp * 1000) return null;
+    const revoked = claims.jti && revokedTokens.get(claims.jti);
+    if (revoked && Date.now() >= revoked.from * 1000) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Revokes a verified token on this function instance, so it's refused until it expires.
+ *
+ * @param {object} claims - Claims returned by verifySessionToken
+ * @param {number} [graceSeconds] - How long the token keeps working (0 on logout,
+ *   REFRESH_GRACE_SECONDS when it's replaced by a refresh)
+ */
+const revokeSessionToken = (claims, graceSeconds = 0) => {
+  const nowSeconds = Date.now() / 1000;
+  for (const [jti, revoked] of revokedTokens) {
+    if (revoked.exp <= nowSeconds) revokedTokens.delete(jti);
+  }
+  revokedTokens.set(claims.jti, { exp: claims.exp, from: nowSeconds + graceSeconds });
+};
+
+/**
+ * Reads a bearer token from a Netlify function event's Authorization header.
+ *
+ * @param {object} event - Netlify function event
+ * @returns {string|null}
+ */
+const getBearerToken = (event) => {
+  const header = (event.headers && (event.headers.authorization || event.headers.Authorization)) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+module.exports = {
+  REFRESH_GRACE_SECONDS,
+  createSessionToken,
+  issueSession,
+  verifySessionToken,
+  revokeSessionToken,
+  getBearerToken
+};
@@ -0,0 +1,166 @@
+/**
+ * Time-Based One-Time Passwords (RFC 6238)
+ *
+ * Second-factor codes for admin logins, compatible with Google Authenticator,
+ * 1Password, Authy, etc. (HMAC-SHA1, 6 digits, 30-second steps). Verified
+ * entirely server-side with no external service.
+ *
+ * Recovery codes are random one-off codes shown once at enrollment; only their
+ * SHA-256 hashes are stored in ADMIN_USERS.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step to tolerate phone clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = 'BTTC Admin';
+// RFC 4226 asks for at least 128-bit secrets; generateSecret makes 160-bit ones
+const MIN_SECRET_BYTES = 16;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in TOTP secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @returns {string} - New 160-bit secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Whether a secret is base32 and long enough to use, e.g. one posted back at enrollment.
+ *
+ * @param {*} secret
+ * @returns {boolean}
+ */
+const isValidSecret = (secret) => {
+  if (typeof secret !== 'string' || !/^[A-Z2-7]+=*$/.test(secret.toUpperCase())) return false;
+  return base32Decode(secret).length >= MIN_SECRET_BYTES;
+};
+
+/**
+ * HOTP value (RFC 4226) for a counter.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const currentCounter = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Checks a 6-digit code against the secret.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the admin
+ * @returns {number|null} - Time-step counter the code matched (for replay checks), or null
+ */
+const verifyCode = (secret, code) => {
+  const cleaned = String(code || '').replace(/\D/g, '');
+  if (cleaned.length !== DIGITS) return null;
+  const counter = currentCounter();
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(generateCode(secret, counter + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(cleaned))) {
+      return counter + drift;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (as a QR code or pasted link).
+ *
+ * @param {string} username
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+const getOtpauthUrl = (username, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generates recovery codes formatted as "xxxxx-xxxxx".
+ *
+ * @param {number} [count]
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateRecoveryCodes = (count = 8) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * @param {string} code - Recovery code entered by the admin
+ * @param {string[]} hashes - Stored recovery code hashes
+ * @returns {string|null} - Matching hash, or null
+ */
+const matchRecoveryCode = (code, hashes) => {
+  if (!normalizeRecoveryCode(code) || !Array.isArray(hashes)) return null;
+  const hash = Buffer.from(hashRecoveryCode(code));
+  return hashes.find(stored => {
+    const candidate = Buffer.from(String(stored));
+    return candidate.length === hash.length && crypto.timingSafeEqual(candidate, hash);
+  }) || null;
+};
+
+module.exports = {
+  generateSecret,
+  isValidSecret,
+  generateCode,
+  verifyCode,
+  getOtpauthUrl,
+  generateRecoveryCodes,
+  matchRecoveryCode
+};
@@ -0,0 +1,178 @@
+/**
+ * Upstream Requests
+ *
+ * Calls the backend with a per-attempt timeout, retries idempotent requests
+ * (GET) a bounded number of times with jittered backoff, and trips a circuit
+ * breaker when the backend keeps failing. While the breaker is open, requests
+ * fail immediately with a CIRCUIT_OPEN error instead of each waiting out a
+ * timeout, and the proxy answers 503 with a maintenance payload.
+ *
+ * Breaker states: closed (normal) → open after FAILURE_THRESHOLD consecutive
+ * failures → half-open after OPEN_SECONDS, when one probe request is let
+ * through → closed again if it succeeds, open again if it fails. State is per
+ * warm function instance.
+ *
+ * Environment Variables (all optional):
+ * - UPSTREAM_TIMEOUT_MS: Per-attempt timeout (default 4000)
+ * - UPSTREAM_RETRIES: Extra attempts for GETs (default 2)
+ * - CIRCUIT_FAILURE_THRESHOLD: Consecutive failures that open the breaker (default 5)
+ * - CIRCUIT_OPEN_SECONDS: How long the breaker stays open (default 30)
+ */
+
+const logger = require('./logger');
+
+// Netlify stops synchronous functions after 10 seconds; leave room to respond
+const TOTAL_BUDGET_MS = 9000;
+const BACKOFF_BASE_MS = 200;
+// Backend statuses that count as failures (and are worth retrying)
+const FAILURE_STATUSES = [500, 502, 503, 504];
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const breaker = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: 0,
+  probeInFlight: false
+};
+
+const createError = (code, message) => Object.assign(new Error(message), { code });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Current breaker state, e.g. for health checks.
+ *
+ * @returns {{ state: string, consecutiveFailures: number, retryAfter: number }} - retryAfter
+ *   is the seconds until an open breaker lets a probe through
+ */
+const getBreakerState = () => {
+  const openMs = envNumber('CIRCUIT_OPEN_SECONDS', 30) * 1000;
+  const remainingMs = breaker.state === 'open' ? breaker.openedAt + openMs - Date.now() : 0;
+  return {
+    state: breaker.state === 'open' && remainingMs <= 0 ? 'half-open' : breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    retryAfter: Math.max(0, Math.ceil(remainingMs / 1000))
+  };
+};
+
+// Whether a request may go to the backend now. Claims the probe slot when half-open.
+const allowRequest = () => {
+  const { state } = getBreakerState();
+  if (state === 'closed') return true;
+  if (state === 'half-open' && !breaker.probeInFlight) {
+    breaker.state = 'half-open';
+    breaker.probeInFlight = true;
+    return true;
+  }
+  return false;
+};
+
+const recordSuccess = () => {
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.probeInFlight = false;
+};
+
+const recordFailure = () => {
+  breaker.consecutiveFailures += 1;
+  breaker.probeInFlight = false;
+  const threshold = envNumber('CIRCUIT_FAILURE_THRESHOLD', 5);
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= threshold) {
+    if (breaker.state !== 'open') {
+      logger.error('Circuit breaker opened', { consecutiveFailures: breaker.consecutiveFailures });
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+};
+
+const attempt = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createError('UPSTREAM_TIMEOUT', `Backend did not respond within ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * fetch() with timeout, retries and the circuit breaker.
+ *
+ * Resolves with the backend's response (including 5xx responses once retries are
+ * used up). Rejects with code CIRCUIT_OPEN when the breaker is open, code
+ * UPSTREAM_TIMEOUT when the last attempt timed out, or the fetch error.
+ *
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @returns {Promise<{ response: Response, attempts: number }>}
+ */
+const fetchUpstream = async (url, options) => {
+  if (!allowRequest()) {
+    throw createError('CIRCUIT_OPEN', 'Backend circuit breaker is open');
+  }
+
+  const timeoutMs = envNumber('UPSTREAM_TIMEOUT_MS', 4000);
+  const retryable = (options.method || 'GET') === 'GET';
+  const maxAttempts = retryable ? 1 + envNumber('UPSTREAM_RETRIES', 2) : 1;
+  const deadline = Date.now() + TOTAL_BUDGET_MS;
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    const remainingMs = deadline - Date.now();
+    let response = null;
+    let error = null;
+    try {
+      response = await attempt(url, options, Math.min(timeoutMs, remainingMs));
+    } catch (err) {
+      error = err;
+    }
+
+    const failed = error || FAILURE_STATUSES.includes(response.status);
+    if (!failed) {
+      recordSuccess();
+      return { response, attempts: attemptNumber };
+    }
+
+    // Full jitter: wait a random time up to the exponential backoff
+    const backoffMs = Math.random() * BACKOFF_BASE_MS * 2 ** (attemptNumber - 1);
+    const canRetry = attemptNumber < maxAttempts &&
+      breaker.state === 'closed' &&
+      deadline - Date.now() > backoffMs + 500;
+    if (!canRetry) {
+      recordFailure();
+      if (error) throw error;
+      return { response, attempts: attemptNumber };
+    }
+
+    // Each failed attempt counts toward the breaker, so a dead backend trips it sooner
+    breaker.consecutiveFailures += 1;
+    if (response) {
+      // Release the connection held by the discarded response
+      await response.body?.cancel().catch(() => {});
+    }
+    await sleep(backoffMs);
+  }
+};
+
+/**
+ * Resets the breaker to closed (for tests).
+ */
+const resetBreaker = () => {
+  recordSuccess();
+  breaker.openedAt = 0;
+};
+
+module.exports = {
+  fetchUpstream,
+  getBreakerState,
+  resetBreaker
+};
@@ -0,0 +1,199 @@
+/**
+ * Local Development Server
+ *
+ * Serves the static site and runs the Netlify function handlers in
+ * netlify/functions/ (api, admin-login) on one port, the way Netlify does, so
+ * local development uses the same login and proxy code as production without
+ * installing the Netlify CLI.
+ *
+ * The event-scheduler function opens and closes real events on the configured
+ * backend, and on Netlify it can't be called over HTTP at all. Here it's only
+ * served when LOCAL_SCHEDULER=true, so a stray local request can't trigger it.
+ *
+ * Usage:
+ *   node netlify/local-server.js [port]      (default 8888, or PORT)
+ *
+ * Reads secrets from `.env` in the repository root (see LOCAL_DEVELOPMENT.md);
+ * variables already set in the shell win. Handlers are loaded on their first
+ * request, so the site and admin login work even before BTTC_API_URL is set.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const FUNCTIONS_DIR = path.join(__dirname, 'functions');
+const FUNCTIONS_PREFIX = '/.netlify/functions/';
+const DEFAULT_PORT = 8888;
+// Functions served only when their variable is 'true'
+const GATED_FUNCTIONS = { 'event-scheduler': 'LOCAL_SCHEDULER' };
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Loads KEY=value lines from a .env file into process.env, without overriding
+ * variables that are already set.
+ *
+ * @param {string} file - Path to the .env file (missing files are ignored)
+ */
+const loadEnvFile = (file) => {
+  if (!fs.existsSync(file)) return;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match || process.env[match[1]] !== undefined) continue;
+    let value = match[2].trim();
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    process.env[match[1]] = value;
+  }
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+// Builds the event Netlify passes to a function handler
+const toFunctionEvent = async (req, url) => {
+  const body = await readBody(req);
+  const query = Object.fromEntries(url.searchParams);
+  return {
+    httpMethod: req.method,
+    path: url.pathname,
+    queryStringParameters: Object.keys(query).length ? query : null,
+    // Netlify adds the caller's IP (see lib/client-ip.js)
+    headers: { ...req.headers, 'x-nf-client-connection-ip': req.socket.remoteAddress },
+    body: body || null,
+    isBase64Encoded: false
+  };
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handleFunction = async (req, res, url) => {
+  const name = url.pathname.slice(FUNCTIONS_PREFIX.length).split('/')[0];
+  const file = path.join(FUNCTIONS_DIR, `${name}.js`);
+  if (!/^[a-z0-9-]+$/.test(name) || !fs.existsSync(file)) {
+    sendJson(res, 404, { error: 'Not Found', message: `No function named '${name}'.` });
+    return;
+  }
+  const flag = GATED_FUNCTIONS[name];
+  if (flag && process.env[flag] !== 'true') {
+    sendJson(res, 404, { error: 'Not Found', message: `'${name}' runs locally only with ${flag}=true.` });
+    return;
+  }
+
+  let response;
+  try {
+    const { handler } = require(file);
+    response = await handler(await toFunctionEvent(req, url), {});
+  } catch (error) {
+    console.error(`[LocalServer] ${name} failed:`, error);
+    sendJson(res, 500, { error: 'Function Error', message: error.message });
+    return;
+  }
+
+  const body = response.isBase64Encoded ? Buffer.from(response.body || '', 'base64') : response.body || '';
+  res.writeHead(response.statusCode, response.headers || {});
+  res.end(body);
+};
+
+// Resolves a URL path to a file under the site root: directories serve their
+// index.html, and dotfiles (.env, .git) and paths outside the root are refused.
+const resolveStaticFile = (pathname) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  const file = path.resolve(ROOT_DIR, '.' + decoded);
+  if (file !== ROOT_DIR && !file.startsWith(ROOT_DIR + path.sep)) return null;
+  if (path.relative(ROOT_DIR, file).split(path.sep).some(part => part.startsWith('.'))) return null;
+  if (!fs.existsSync(file)) return null;
+
+  if (fs.statSync(file).isDirectory()) {
+    const index = path.join(file, 'index.html');
+    return fs.existsSync(index) ? index : null;
+  }
+  return file;
+};
+
+const handleStatic = (req, res, url) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  // Directory URLs need a trailing slash so relative links (../js/...) resolve
+  const file = resolveStaticFile(url.pathname);
+  if (file && file.endsWith('index.html') && !url.pathname.endsWith('/') && !url.pathname.endsWith('.html')) {
+    res.writeHead(301, { 'Location': `${url.pathname}/${url.search}` });
+    res.end();
+    return;
+  }
+  if (!file) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file).pipe(res);
+};
+
+/**
+ * Creates the local server (not yet listening).
+ *
+ * @returns {http.Server}
+ */
+const createServer = () => http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname.startsWith(FUNCTIONS_PREFIX)) {
+    handleFunction(req, res, url);
+  } else {
+    handleStatic(req, res, url);
+  }
+});
+
+module.exports = { createServer, loadEnvFile };
+
+if (require.main === module) {
+  loadEnvFile(path.join(ROOT_DIR, '.env'));
+  // Same deploy context as `netlify dev`: localhost origins allowed, dev backend preferred
+  process.env.CONTEXT = process.env.CONTEXT || 'dev';
+
+  const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  createServer().listen(port, () => {
+    console.log(`[LocalServer] Site and functions at http://localhost:${port}`);
+    console.log(`[LocalServer] Admin: http://localhost:${port}/admin/`);
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Admin Login Tests
+ *
+ * Runs the admin-login handler's two-factor step against a stub backend that
+ * records used TOTP time steps the way the real one does (409 for a step no later
+ * than the last one), so replays are refused on every function instance.
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const PASSWORD = 'correct horse battery staple';
+
+let backend;
+let backendDown = false;
+const lastCounters = new Map();
+const received = [];
+
+before(async () => {
+  backend = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body || '{}');
+      received.push({ url: req.url, body: payload });
+      let status = 200;
+      if (backendDown) {
+        status = 500;
+      } else if (req.url === '/admin/totp/consume') {
+        if (payload.counter <= (lastCounters.get(payload.username) ?? -1)) {
+          status = 409;
+        } else {
+          lastCounters.set(payload.username, payload.counter);
+        }
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+  const { hashPassword } = require('../lib/admin-users');
+  const { generateSecret } = require('../lib/totp');
+  process.env.ADMIN_USERS = JSON.stringify([{
+    username: 'bob',
+    role: 'admin',
+    password_hash: hashPassword(PASSWORD),
+    totp_secret: generateSecret()
+  }]);
+  process.env.ADMIN_SESSION_SECRET = 'test-secret-that-is-at-least-32-characters';
+  process.env.BTTC_API_URL = `http://127.0.0.1:${backend.address().port}`;
+  process.env.BTTC_API_KEY = 'test-api-key';
+  process.env.UPSTREAM_RETRIES = '0';
+});
+
+after(() => new Promise(resolve => backend.close(resolve)));
+
+beforeEach(() => {
+  backendDown = false;
+  lastCounters.clear();
+  received.length = 0;
+});
+
+// A fresh copy of the function, as on another (or a cold-started) instance
+const loadInstance = () => {
+  delete require.cache[require.resolve('../functions/admin-login')];
+  return require('../functions/admin-login').handler;
+};
+
+const post = (handler, body) => handler({
+  httpMethod: 'POST',
+  headers: { origin: 'http://localhost:8888' },
+  body: JSON.stringify(body)
+});
+
+const currentCode = () => {
+  const { generateCode } = require('../lib/totp');
+  const secret = JSON.parse(process.env.ADMIN_USERS)[0].totp_secret;
+  return generateCode(secret, Math.floor(Date.now() / 30000));
+};
+
+const verify = async (handler, code) => {
+  const login = await post(handler, { username: 'bob', password: PASSWORD });
+  const { challenge } = JSON.parse(login.body);
+  return post(handler, { action: 'verify-totp', challenge, code });
+};
+
+test('refuses a TOTP code replayed on another function instance', async () => {
+  const code = currentCode();
+  const first = await verify(loadInstance(), code);
+  assert.equal(first.statusCode, 200);
+  assert.ok(JSON.parse(first.body).token);
+  assert.equal(received[0].url, '/admin/totp/consume');
+  assert.equal(received[0].body.username, 'bob');
+  assert.equal(typeof received[0].body.counter, 'number');
+
+  const replay = await verify(loadInstance(), code);
+  assert.equal(replay.statusCode, 401);
+  assert.equal(JSON.parse(replay.body).message, 'Invalid or expired code.');
+});
+
+test('refuses TOTP logins while the backend cannot record the code', async () => {
+  backendDown = true;
+  const response = await verify(loadInstance(), currentCode());
+  assert.equal(response.statusCode, 503);
+  assert.equal(JSON.parse(response.body).success, false);
+});
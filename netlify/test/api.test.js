@@ -0,0 +1,975 @@
+/**
+ * API Proxy Tests
+ *
+ * Runs the api.js handler against a local stub backend that records what it
+ * receives. No network access or real backend needed.
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Requests the stub backend received, most recent last
+const received = [];
+// Statuses the stub returns for its next requests (then 200), and an optional delay
+let queuedStatuses = [];
+let responseDelayMs = 0;
+// Events the stub lists at /rr/events, when set
+let openEvents = null;
+// Paths the stub answers only after a delay, for timeouts on one route
+let slowPaths = [];
+let backend;
+let handler;
+let createSessionToken;
+let responseCache;
+let upstream;
+
+const startStubBackend = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const status = queuedStatuses.length ? queuedStatuses.shift() : 200;
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Server': 'stub-backend' });
+        res.end(JSON.stringify(openEvents && req.url === '/rr/events'
+          ? { events: openEvents }
+          : { ok: status === 200, path: req.url }));
+      }, slowPaths.includes(req.url) ? 300 : responseDelayMs);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Writes carry an Origin like the browser sends (the proxy rejects writes without one)
+const makeEvent = ({ method = 'GET', path, query = null, body = null, headers = {} }) => ({
+  httpMethod: method,
+  path: `/.netlify/functions/api${path}`,
+  queryStringParameters: query,
+  headers: ['GET', 'OPTIONS'].includes(method) ? headers : { origin: 'http://localhost:8888', ...headers },
+  body,
+  isBase64Encoded: false
+});
+
+const adminHeaders = (role) => {
+  const { token } = createSessionToken({ username: `test-${role}`, role });
+  return { authorization: `Bearer ${token}` };
+};
+
+before(async () => {
+  backend = await startStubBackend();
+  // api.js reads its configuration at load time
+  process.env.BTTC_API_URL = `http://127.0.0.1:${backend.address().port}`;
+  process.env.BTTC_API_KEY = 'test-api-key';
+  process.env.ADMIN_SESSION_SECRET = 'test-secret-that-is-at-least-32-characters';
+  ({ handler } = require('../functions/api'));
+  ({ createSessionToken } = require('../lib/session'));
+  responseCache = require('../lib/response-cache');
+  upstream = require('../lib/upstream');
+});
+
+after(() => new Promise(resolve => backend.close(resolve)));
+
+beforeEach(() => {
+  received.length = 0;
+  responseCache.clear();
+  upstream.resetBreaker();
+  queuedStatuses = [];
+  responseDelayMs = 0;
+  openEvents = null;
+  slowPaths = [];
+});
+
+// Bodies matching the schemas in lib/schemas.js, as the pages send them
+const registrationBody = (overrides = {}) => JSON.stringify({
+  bttc_id: '123',
+  internal_user_id: 45,
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  payment_method: 'zelle_venmo',
+  comments: 'Waiver accepted: ../liability_waiver_2025-11-03-v1.html',
+  ...overrides
+});
+
+const unregistrationBody = (overrides = {}) => JSON.stringify({
+  bttc_id: '123',
+  internal_user_id: 45,
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  comments: '',
+  ...overrides
+});
+
+// Sets environment variables for one test
+const withEnv = (t, vars) => {
+  Object.assign(process.env, vars);
+  t.after(() => Object.keys(vars).forEach(name => delete process.env[name]));
+};
+
+test('forwards a public GET with its query string and the API key', async () => {
+  const response = await handler(makeEvent({ path: '/rr/search', query: { phone: '5551234567' } }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].method, 'GET');
+  assert.equal(received[0].url, '/rr/search?phone=5551234567');
+  assert.equal(received[0].headers['x-api-key'], 'test-api-key');
+});
+
+test('forwards a public POST body', async () => {
+  const body = registrationBody();
+  const response = await handler(makeEvent({ method: 'POST', path: '/rr/register', body }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.at(-1).url, '/rr/register');
+  assert.equal(received.at(-1).body, body);
+});
+
+test('ignores a trailing slash', async () => {
+  const response = await handler(makeEvent({ path: '/rr/roster/' }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, '/rr/roster');
+});
+
+test('does not leak backend response headers', async () => {
+  const response = await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(response.headers.Server, 'Netlify');
+  assert.equal(response.headers.server, undefined);
+});
+
+test('answers CORS preflight without calling the backend', async () => {
+  const response = await handler(makeEvent({ method: 'OPTIONS', path: '/rr/register' }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.length, 0);
+});
+
+test('returns 404 for unknown routes without calling the backend', async () => {
+  for (const path of ['/', '/admin/users', '/rr/search/extra', '/rr/../secret']) {
+    const response = await handler(makeEvent({ path }));
+    assert.equal(response.statusCode, 404, path);
+    assert.equal(JSON.parse(response.body).code, 'ROUTE_NOT_FOUND');
+  }
+  assert.equal(received.length, 0);
+});
+
+test('returns 405 with an Allow header for methods a route does not accept', async () => {
+  for (const method of ['POST', 'PUT', 'DELETE', 'PATCH']) {
+    const response = await handler(makeEvent({ method, path: '/rr/roster' }));
+    assert.equal(response.statusCode, 405, method);
+    assert.equal(response.headers.Allow, 'GET, OPTIONS');
+    assert.equal(JSON.parse(response.body).code, 'METHOD_NOT_ALLOWED');
+  }
+  assert.equal(received.length, 0);
+});
+
+test('returns 413 for bodies over the route limit', async () => {
+  const body = registrationBody({ comments: 'x'.repeat(5000) });
+  const response = await handler(makeEvent({ method: 'POST', path: '/rr/register', body }));
+
+  assert.equal(response.statusCode, 413);
+  assert.equal(JSON.parse(response.body).code, 'PAYLOAD_TOO_LARGE');
+  assert.equal(received.length, 0);
+});
+
+test('returns 400 with field errors for a registration that does not match its schema', async () => {
+  const body = registrationBody({ first_name: '', internal_user_id: 'abc', comments: 'x'.repeat(700), extra: true });
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.42' };
+  const response = await handler(makeEvent({ method: 'POST', path: '/rr/register', body, headers }));
+
+  assert.equal(response.statusCode, 400);
+  const result = JSON.parse(response.body);
+  assert.equal(result.code, 'VALIDATION_ERROR');
+  assert.deepEqual(Object.keys(result.fields).sort(), ['comments', 'extra', 'first_name', 'internal_user_id']);
+  assert.equal(result.fields.first_name, 'First name is required.');
+  assert.equal(result.message, Object.values(result.fields)[0]);
+  assert.equal(received.length, 0);
+});
+
+test('turns away registrations outside the event\'s registration window', async () => {
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.45' };
+  const hour = 60 * 60 * 1000;
+  const register = () => handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 812 }),
+    headers
+  }));
+  const registrations = () => received.filter(request => request.url === '/rr/register').length;
+
+  openEvents = [{
+    event_id: 812,
+    registration_opens_at: new Date(Date.now() + hour).toISOString(),
+    registration_closes_at: new Date(Date.now() + 2 * hour).toISOString()
+  }];
+  const early = await register();
+  assert.equal(early.statusCode, 409);
+  const earlyBody = JSON.parse(early.body);
+  assert.equal(earlyBody.code, 'REGISTRATION_CLOSED');
+  assert.match(earlyBody.message, /opens/);
+  assert.equal(earlyBody.opensAt, openEvents[0].registration_opens_at);
+  assert.equal(registrations(), 0);
+
+  responseCache.clear();
+  openEvents = [{ event_id: 812, registration_closes_at: new Date(Date.now() - hour).toISOString() }];
+  const late = await register();
+  assert.equal(late.statusCode, 409);
+  assert.match(JSON.parse(late.body).message, /closed/);
+  assert.equal(registrations(), 0);
+
+  // Inside the window, or for an event without one, the registration goes through
+  responseCache.clear();
+  openEvents = [
+    { event_id: 812, registration_opens_at: new Date(Date.now() - hour).toISOString() },
+    { event_id: 813 }
+  ];
+  assert.equal((await register()).statusCode, 200);
+  assert.equal((await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 813 }),
+    headers
+  }))).statusCode, 200);
+  assert.equal(registrations(), 2);
+});
+
+test('checks registrations against the events list the registration page reads', async () => {
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.46' };
+  openEvents = [{ event_id: 812, registration_closes_at: new Date(Date.now() - 60 * 1000).toISOString() }];
+  const list = await handler(makeEvent({ path: '/rr/events', headers }));
+  assert.equal(list.headers['X-Cache'], 'MISS');
+
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 812 }),
+    headers
+  }));
+  assert.equal(response.statusCode, 409);
+  assert.deepEqual(received.map(request => request.url), ['/rr/events']);
+});
+
+test('forwards a registration when the open events cannot be loaded in time', async (t) => {
+  withEnv(t, { UPSTREAM_TIMEOUT_MS: '50', UPSTREAM_RETRIES: '0' });
+  slowPaths = ['/rr/events'];
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 812 }),
+    headers: { 'x-nf-client-connection-ip': '203.0.113.47' }
+  }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.filter(request => request.url === '/rr/register').length, 1);
+});
+
+test('lists open events and registers for a chosen one', async () => {
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.40' };
+  const list = await handler(makeEvent({ path: '/rr/events', headers }));
+  assert.equal(list.statusCode, 200);
+  assert.equal(received[0].url, '/rr/events');
+
+  const invalid = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 'x'.repeat(65) }),
+    headers
+  }));
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(Object.keys(JSON.parse(invalid.body).fields), ['event_id']);
+
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/register',
+    body: registrationBody({ event_id: 812 }),
+    headers
+  }));
+  assert.equal(response.statusCode, 200);
+  assert.equal(JSON.parse(received[1].body).event_id, 812);
+
+  const unregister = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/unregister',
+    body: unregistrationBody({ event_id: 812 }),
+    headers
+  }));
+  assert.equal(unregister.statusCode, 200);
+});
+
+test('returns 400 for a body that is not a JSON object', async () => {
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.43' };
+  for (const body of ['not json', '[]', '', null]) {
+    const response = await handler(makeEvent({ method: 'POST', path: '/rr/unregister', body, headers }));
+    assert.equal(response.statusCode, 400, String(body));
+    assert.equal(JSON.parse(response.body).code, 'VALIDATION_ERROR');
+  }
+  assert.equal(received.length, 0);
+});
+
+test('counts invalid bodies against the rate limit and checks admin access before the schema', async () => {
+  const headers = { 'x-nf-client-connection-ip': '203.0.113.44' };
+  const invalid = registrationBody({ first_name: '' });
+  for (let i = 0; i < 6; i++) {
+    const response = await handler(makeEvent({ method: 'POST', path: '/rr/register', body: invalid, headers }));
+    assert.equal(response.statusCode, 400);
+  }
+  const limited = await handler(makeEvent({ method: 'POST', path: '/rr/register', body: registrationBody(), headers }));
+  assert.equal(limited.statusCode, 429);
+
+  const anonymous = await handler(makeEvent({ method: 'POST', path: '/events/update', body: JSON.stringify({ event_id: 1, max_capacity: 0 }) }));
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(JSON.parse(anonymous.body).fields, undefined);
+  assert.equal(received.length, 0);
+});
+
+test('validates signups from returning and new players', async () => {
+  const signup = (payload) => handler(makeEvent({
+    method: 'POST',
+    path: '/player/signup',
+    body: JSON.stringify(payload),
+    headers: { 'x-nf-client-connection-ip': '203.0.113.20' }
+  }));
+  const player = { first_name: 'Ada', last_name: 'Lovelace', phone_number: '5105550123', email: '' };
+
+  assert.equal((await signup({ ...player, bttc_id: '123' })).statusCode, 200);
+  assert.equal((await signup({ ...player, rating: 1450 })).statusCode, 200);
+  const survey = { a: 'A1', b: 'B2', c: 'C0', d: 'D3', e: 'E1', f: true, g: false, h: false, i: false };
+  assert.equal((await signup({ ...player, rating_survey: survey })).statusCode, 200);
+  // "+1 (510) 555-0123" passes validatePhone on the page
+  assert.equal((await signup({ ...player, phone_number: '15105550123' })).statusCode, 200);
+  assert.equal(received.length, 4);
+
+  const invalid = await signup({
+    ...player,
+    phone_number: '510-555-0123',
+    email: 'ada@',
+    rating_survey: { ...survey, a: 'A9' }
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(Object.keys(JSON.parse(invalid.body).fields).sort(), ['email', 'phone_number', 'rating_survey.a']);
+  assert.equal(received.length, 4);
+
+  const badAreaCode = await signup({ ...player, phone_number: '11105550123' });
+  assert.equal(badAreaCode.statusCode, 400);
+  assert.equal(received.length, 4);
+});
+
+test('requires an admin session for admin routes', async () => {
+  const response = await handler(makeEvent({ path: '/rr/registration-audit' }));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(JSON.parse(response.body).code, 'ADMIN_AUTH_REQUIRED');
+  assert.equal(received.length, 0);
+});
+
+test('rejects a forged admin token', async () => {
+  const { authorization } = adminHeaders('admin');
+  const forged = authorization.slice(0, -2) + (authorization.endsWith('AA') ? 'BB' : 'AA');
+  const response = await handler(makeEvent({ path: '/rr/registration-audit', headers: { authorization: forged } }));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(received.length, 0);
+});
+
+test('returns 403 when the role lacks the route permission', async () => {
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/registration/confirm',
+    body: '{}',
+    headers: adminHeaders('viewer')
+  }));
+
+  assert.equal(response.statusCode, 403);
+  assert.equal(JSON.parse(response.body).code, 'ADMIN_PERMISSION_DENIED');
+  assert.equal(received.length, 0);
+});
+
+test('forwards admin routes with the acting admin from the token', async () => {
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/events/open',
+    body: '{}',
+    headers: { ...adminHeaders('director'), 'x-admin-user': 'someone-else' }
+  }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received[0].headers['x-admin-user'], 'test-director');
+  assert.equal(received[0].headers['x-admin-role'], 'director');
+});
+
+test('requires a reason to reject a registration', async () => {
+  const reject = (body) => handler(makeEvent({
+    method: 'POST',
+    path: '/rr/registration/reject',
+    body: JSON.stringify(body),
+    headers: adminHeaders('treasurer')
+  }));
+
+  const missing = await reject({ internal_user_id: 42, note: ' ' });
+  assert.equal(missing.statusCode, 400);
+  assert.deepEqual(Object.keys(JSON.parse(missing.body).fields), ['note']);
+  assert.equal(received.length, 0);
+
+  const response = await reject({ internal_user_id: 42, note: 'Duplicate registration' });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(JSON.parse(received[0].body), { internal_user_id: 42, note: 'Duplicate registration' });
+  assert.equal(received[0].headers['x-admin-user'], 'test-treasurer');
+});
+
+test('forwards refund, waitlist and promote actions for approvers only', async () => {
+  for (const action of ['refund', 'waitlist', 'promote']) {
+    const response = await handler(makeEvent({
+      method: 'POST',
+      path: `/rr/registration/${action}`,
+      body: JSON.stringify({ internal_user_id: 7 }),
+      headers: adminHeaders('treasurer')
+    }));
+    assert.equal(response.statusCode, 200, action);
+  }
+  assert.deepEqual(received.map(request => request.url), [
+    '/rr/registration/refund',
+    '/rr/registration/waitlist',
+    '/rr/registration/promote'
+  ]);
+
+  const denied = await handler(makeEvent({
+    method: 'POST',
+    path: '/rr/registration/refund',
+    body: JSON.stringify({ internal_user_id: 7 }),
+    headers: adminHeaders('viewer')
+  }));
+  assert.equal(denied.statusCode, 403);
+});
+
+test('serves the waitlist with contact details to waitlist managers only, uncached', async () => {
+  const anonymous = await handler(makeEvent({ path: '/rr/waitlist' }));
+  assert.equal(anonymous.statusCode, 401);
+  const director = await handler(makeEvent({ path: '/rr/waitlist', headers: adminHeaders('director') }));
+  assert.equal(director.statusCode, 403);
+  assert.equal(received.length, 0);
+
+  await handler(makeEvent({ path: '/rr/waitlist', headers: adminHeaders('treasurer') }));
+  const second = await handler(makeEvent({ path: '/rr/waitlist', headers: adminHeaders('treasurer') }));
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['X-Cache'], undefined);
+  assert.equal(received.length, 2);
+  assert.equal(received[0].url, '/rr/waitlist');
+  assert.equal(received[0].headers['x-admin-user'], 'test-treasurer');
+});
+
+test('validates waitlist reorders and promotions', async () => {
+  const post = (path, body) => handler(makeEvent({
+    method: 'POST',
+    path,
+    body: JSON.stringify(body),
+    headers: adminHeaders('treasurer')
+  }));
+
+  const invalid = await post('/rr/waitlist/reorder', { internal_user_id: 7, position: 0 });
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(Object.keys(JSON.parse(invalid.body).fields).sort(), ['note', 'position']);
+
+  const badNotify = await post('/rr/registration/promote', { internal_user_id: 7, notify: 'yes' });
+  assert.equal(badNotify.statusCode, 400);
+  assert.equal(received.length, 0);
+
+  const reorder = await post('/rr/waitlist/reorder', { internal_user_id: 7, position: 1, note: 'Paid before the cutoff' });
+  assert.equal(reorder.statusCode, 200);
+  const promote = await post('/rr/registration/promote', { internal_user_id: 7, notify: true });
+  assert.equal(promote.statusCode, 200);
+  assert.deepEqual(JSON.parse(received[1].body), { internal_user_id: 7, notify: true });
+});
+
+test('validates recurring event series', async () => {
+  const series = {
+    name: 'Friday RR',
+    event_type: 'rr',
+    weekday: 5,
+    max_capacity: 66,
+    opens_days_before: 2,
+    opens_at: '10:00',
+    closes_days_before: 0,
+    closes_at: '18:00',
+    exceptions: ['2026-11-27'],
+    active: true
+  };
+  const save = (body) => handler(makeEvent({
+    method: 'POST',
+    path: '/events/series/save',
+    body: JSON.stringify(body),
+    headers: adminHeaders('director')
+  }));
+
+  const invalid = await save({ ...series, closes_at: '6pm', exceptions: ['2026-11-27', 'Thanksgiving'] });
+  assert.equal(invalid.statusCode, 400);
+  const { fields } = JSON.parse(invalid.body);
+  assert.deepEqual(Object.keys(fields).sort(), ['closes_at', 'exceptions']);
+  assert.equal(fields.exceptions, 'Dates must be in YYYY-MM-DD format.');
+  assert.equal(received.length, 0);
+
+  const response = await save(series);
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(JSON.parse(received[0].body), series);
+});
+
+test('forwards past event history and reports to event admins only', async () => {
+  const list = await handler(makeEvent({
+    path: '/events/past',
+    query: { event_type: 'rr', from: '2026-04-01' },
+    headers: adminHeaders('director')
+  }));
+  assert.equal(list.statusCode, 200);
+  assert.equal(received[0].url, '/events/past?event_type=rr&from=2026-04-01');
+
+  const report = await handler(makeEvent({ path: '/events/812/report', headers: adminHeaders('director') }));
+  assert.equal(report.statusCode, 200);
+  assert.equal(received[1].url, '/events/812/report');
+
+  const denied = await handler(makeEvent({ path: '/events/812/report', headers: adminHeaders('treasurer') }));
+  assert.equal(denied.statusCode, 403);
+
+  const unknown = await handler(makeEvent({ path: '/events/812/report/extra', headers: adminHeaders('director') }));
+  assert.equal(unknown.statusCode, 404);
+  assert.equal(received.length, 2);
+});
+
+test('refreshes an admin session without extending it past the absolute limit', async (t) => {
+  withEnv(t, {
+    ADMIN_USERS: JSON.stringify([{ username: 'test-director', role: 'director', password_hash: 'unused' }]),
+    ADMIN_SESSION_IDLE_MINUTES: '30',
+    ADMIN_SESSION_MAX_HOURS: '12'
+  });
+  // 10 minutes before the limit, in whole seconds like the auth_time claim
+  const loggedInAt = Math.floor(Date.now() / 1000) * 1000 - (12 * 60 - 10) * 60 * 1000;
+  const { token } = createSessionToken({ username: 'test-director', role: 'director' }, 60 * 1000, 'session', loggedInAt);
+
+  const response = await handler(makeEvent({
+    method: 'POST',
+    path: '/admin/session/refresh',
+    headers: { authorization: `Bearer ${token}` }
+  }));
+
+  assert.equal(response.statusCode, 200);
+  const session = JSON.parse(response.body);
+  assert.notEqual(session.token, token);
+  assert.equal(session.role, 'director');
+  assert.ok(session.permissions.includes('events'));
+  assert.equal(session.absoluteExpiresAt, loggedInAt + 12 * 60 * 60 * 1000);
+  assert.ok(Math.abs(session.absoluteExpiresAt - session.expiresAt) < 1000, 'capped at the absolute limit');
+  assert.equal(received.length, 0);
+
+  const withNewToken = await handler(makeEvent({
+    method: 'POST',
+    path: '/events/close',
+    body: '{}',
+    headers: { authorization: `Bearer ${session.token}` }
+  }));
+  assert.equal(withNewToken.statusCode, 200);
+
+  // The replaced token keeps working for requests already in flight, then is refused
+  const oldToken = { authorization: `Bearer ${token}` };
+  assert.equal((await handler(makeEvent({ method: 'POST', path: '/events/close', body: '{}', headers: oldToken }))).statusCode, 200);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 31 * 1000);
+  assert.equal((await handler(makeEvent({ method: 'POST', path: '/events/close', body: '{}', headers: oldToken }))).statusCode, 401);
+});
+
+test('refuses to refresh a session for a removed account', async (t) => {
+  withEnv(t, { ADMIN_USERS: '[]' });
+  const response = await handler(makeEvent({ method: 'POST', path: '/admin/session/refresh', headers: adminHeaders('admin') }));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(JSON.parse(response.body).code, 'ADMIN_AUTH_REQUIRED');
+});
+
+test('logout revokes the session token', async () => {
+  const headers = adminHeaders('viewer');
+  const logout = await handler(makeEvent({ method: 'POST', path: '/admin/session/logout', headers }));
+  assert.equal(logout.statusCode, 200);
+
+  const afterLogout = await handler(makeEvent({ path: '/rr/registration-audit', headers }));
+  assert.equal(afterLogout.statusCode, 401);
+  const refresh = await handler(makeEvent({ method: 'POST', path: '/admin/session/refresh', headers }));
+  assert.equal(refresh.statusCode, 401);
+  assert.equal(received.length, 0);
+});
+
+test('rate limits lookups per client IP', async () => {
+  const lookup = (ip) => handler(makeEvent({
+    path: '/player/search',
+    query: { type: 'lastname', value: 'Smith' },
+    headers: { 'x-nf-client-connection-ip': ip }
+  }));
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await lookup('203.0.113.7')).statusCode, 200);
+  }
+  const limited = await lookup('203.0.113.7');
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+  const body = JSON.parse(limited.body);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.equal(body.retryAfter, Number(limited.headers['Retry-After']));
+  assert.equal(received.length, 10);
+
+  // Other clients and other budgets are unaffected
+  assert.equal((await lookup('203.0.113.8')).statusCode, 200);
+  const roster = await handler(makeEvent({ path: '/rr/roster', headers: { 'x-nf-client-connection-ip': '203.0.113.7' } }));
+  assert.equal(roster.statusCode, 200);
+});
+
+test('serves repeat roster requests from the cache', async () => {
+  const first = await handler(makeEvent({ path: '/rr/roster' }));
+  const second = await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(first.headers['X-Cache'], 'MISS');
+  assert.equal(second.headers['X-Cache'], 'HIT');
+  assert.equal(second.body, first.body);
+  assert.equal(second.headers.ETag, first.headers.ETag);
+  assert.equal(second.headers['Cache-Control'], 'no-cache');
+  assert.equal(received.length, 1);
+});
+
+test('shares one backend call between concurrent cache misses', async () => {
+  const responses = await Promise.all(
+    Array.from({ length: 5 }, () => handler(makeEvent({ method: 'POST', path: '/rr/capacity', body: '{}' })))
+  );
+
+  responses.forEach(response => assert.equal(response.statusCode, 200));
+  assert.equal(received.length, 1);
+});
+
+test('caches different queries separately', async () => {
+  await handler(makeEvent({ path: '/rr/roster' }));
+  await handler(makeEvent({ path: '/rr/roster', query: { include_id: 'true' } }));
+
+  assert.equal(received.length, 2);
+});
+
+test('does not cache responses to requests with player credentials', async () => {
+  const ip = { 'x-nf-client-connection-ip': '203.0.113.41' };
+  const headers = { ...ip, 'x-user-auth': 'player-token' };
+  await handler(makeEvent({ path: '/rr/roster', headers }));
+  const second = await handler(makeEvent({ path: '/rr/roster', headers }));
+  const anonymous = await handler(makeEvent({ path: '/rr/roster', headers: ip }));
+
+  assert.equal(received.length, 3);
+  assert.equal(received[0].headers['x-user-auth'], 'player-token');
+  assert.equal(second.headers['X-Cache'], undefined);
+  assert.equal(anonymous.headers['X-Cache'], 'MISS');
+});
+
+test('answers a matching If-None-Match with 304', async () => {
+  const first = await handler(makeEvent({ path: '/rr/roster' }));
+  const revalidated = await handler(makeEvent({ path: '/rr/roster', headers: { 'if-none-match': first.headers.ETag } }));
+
+  assert.equal(revalidated.statusCode, 304);
+  assert.equal(revalidated.body, '');
+  assert.equal(revalidated.headers.ETag, first.headers.ETag);
+
+  const stale = await handler(makeEvent({ path: '/rr/roster', headers: { 'if-none-match': '"old"' } }));
+  assert.equal(stale.statusCode, 200);
+});
+
+test('clears the cache after a write', async () => {
+  await handler(makeEvent({ path: '/rr/roster' }));
+  await handler(makeEvent({ method: 'POST', path: '/rr/unregister', body: unregistrationBody() }));
+  const afterWrite = await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(afterWrite.headers['X-Cache'], 'MISS');
+  assert.equal(received.length, 3);
+});
+
+test('validates event edits and serves fresh capacity after one', async () => {
+  const update = (body) => handler(makeEvent({
+    method: 'POST',
+    path: '/events/update',
+    body: JSON.stringify(body),
+    headers: adminHeaders('director')
+  }));
+
+  const invalid = await update({ event_id: 12, max_capacity: 0, event_date: '11/07/2025' });
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(Object.keys(JSON.parse(invalid.body).fields).sort(), ['event_date', 'max_capacity']);
+
+  // Own client IP, so these reads don't use up the shared test client's roster budget
+  const readCapacity = () => handler(makeEvent({
+    method: 'POST',
+    path: '/rr/capacity',
+    body: '{}',
+    headers: { 'x-nf-client-connection-ip': '203.0.113.30' }
+  }));
+  await readCapacity();
+  const response = await update({ event_id: 12, max_capacity: 72, announcement_notes: '' });
+  assert.equal(response.statusCode, 200);
+  const capacity = await readCapacity();
+  assert.equal(capacity.headers['X-Cache'], 'MISS');
+  assert.equal(received.length, 3);
+});
+
+test('serves an event\'s capacity to event admins without caching it', async () => {
+  const anonymous = await handler(makeEvent({ path: '/events/12/capacity' }));
+  assert.equal(anonymous.statusCode, 401);
+
+  await handler(makeEvent({ path: '/events/12/capacity', headers: adminHeaders('director') }));
+  const second = await handler(makeEvent({ path: '/events/12/capacity', headers: adminHeaders('director') }));
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['X-Cache'], undefined);
+  assert.deepEqual(received.map(request => request.url), ['/events/12/capacity', '/events/12/capacity']);
+});
+
+test('validates registration window changes', async () => {
+  const update = (body) => handler(makeEvent({
+    method: 'POST',
+    path: '/events/update',
+    body: JSON.stringify(body),
+    headers: adminHeaders('director')
+  }));
+
+  const invalid = await update({ event_id: 12, registration_opens_at: '2026-11-04 10:00', registration_closes_at: '2026-11-06T18:00' });
+  assert.equal(invalid.statusCode, 400);
+  const { fields } = JSON.parse(invalid.body);
+  assert.deepEqual(Object.keys(fields).sort(), ['registration_closes_at', 'registration_opens_at']);
+  assert.equal(fields.registration_opens_at, 'Times must be ISO 8601 timestamps with a timezone.');
+  assert.equal(received.length, 0);
+
+  const body = { event_id: 12, registration_opens_at: '2026-11-04T18:00:00.000Z', registration_closes_at: '2026-11-06T18:00-08:00' };
+  const response = await update(body);
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(JSON.parse(received[0].body), body);
+});
+
+test('does not cache when PROXY_CACHE_TTL_SECONDS is 0', async (t) => {
+  withEnv(t, { PROXY_CACHE_TTL_SECONDS: '0' });
+
+  await handler(makeEvent({ path: '/rr/roster' }));
+  await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(received.length, 2);
+});
+
+test('returns a request ID and forwards it upstream', async () => {
+  const response = await handler(makeEvent({ path: '/rr/search', query: { phone: '5550001111' } }));
+
+  assert.match(response.headers['X-Request-Id'], /^[0-9a-f]{12}$/);
+  assert.equal(received[0].headers['x-request-id'], response.headers['X-Request-Id']);
+});
+
+test('keeps a well-formed incoming request ID and replaces a malformed one', async () => {
+  const kept = await handler(makeEvent({ path: '/rr/roster', headers: { 'x-request-id': 'trace-1234abcd' } }));
+  assert.equal(kept.headers['X-Request-Id'], 'trace-1234abcd');
+
+  const replaced = await handler(makeEvent({ path: '/rr/roster', headers: { 'x-request-id': 'bad id\n' } }));
+  assert.match(replaced.headers['X-Request-Id'], /^[0-9a-f]{12}$/);
+});
+
+test('tags proxy-generated errors with a request ID', async () => {
+  const response = await handler(makeEvent({ path: '/nope' }));
+
+  assert.equal(response.statusCode, 404);
+  assert.ok(response.headers['X-Request-Id']);
+});
+
+test('logs unexpected errors with the request ID and keeps their details from the client', async (t) => {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  process.env.ADMIN_SESSION_SECRET = 'too-short';
+  t.after(() => { process.env.ADMIN_SESSION_SECRET = secret; });
+  const logError = t.mock.method(console, 'error', () => {});
+
+  const response = await handler(makeEvent({ path: '/rr/registration-audit', headers: { authorization: 'Bearer x.y.z' } }));
+
+  assert.equal(response.statusCode, 500);
+  const body = JSON.parse(response.body);
+  assert.equal(body.code, 'PROXY_ERROR');
+  assert.doesNotMatch(body.message, /ADMIN_SESSION_SECRET/);
+  const entry = JSON.parse(logError.mock.calls[0].arguments[0]);
+  assert.equal(entry.requestId, response.headers['X-Request-Id']);
+  assert.match(entry.error, /ADMIN_SESSION_SECRET/);
+  assert.equal(received.length, 0);
+});
+
+test('logs one JSON line per request without the query string', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const response = await handler(makeEvent({ path: '/rr/search', query: { phone: '5550002222' } }));
+
+  assert.equal(log.mock.callCount(), 1);
+  const line = log.mock.calls[0].arguments[0];
+  assert.doesNotMatch(line, /5550002222/);
+  const entry = JSON.parse(line);
+  assert.equal(entry.requestId, response.headers['X-Request-Id']);
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.path, '/rr/search');
+  assert.equal(entry.status, 200);
+  assert.equal(entry.upstreamStatus, 200);
+  assert.equal(typeof entry.latencyMs, 'number');
+  assert.equal(typeof entry.upstreamMs, 'number');
+});
+
+test('retries a GET after a backend failure', async () => {
+  queuedStatuses = [503];
+  const response = await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(received.length, 2);
+});
+
+test('does not retry a POST', async () => {
+  // The registration window check's /rr/events load succeeds, the registration doesn't
+  queuedStatuses = [200, 503];
+  const response = await handler(makeEvent({ method: 'POST', path: '/rr/register', body: registrationBody() }));
+
+  assert.equal(response.statusCode, 503);
+  assert.equal(received.filter(request => request.url === '/rr/register').length, 1);
+});
+
+test('returns 504 when the backend does not answer in time', async (t) => {
+  withEnv(t, { UPSTREAM_TIMEOUT_MS: '50', UPSTREAM_RETRIES: '0' });
+  responseDelayMs = 300;
+  const response = await handler(makeEvent({ path: '/rr/roster' }));
+
+  assert.equal(response.statusCode, 504);
+  assert.equal(JSON.parse(response.body).code, 'UPSTREAM_TIMEOUT');
+});
+
+test('opens the circuit after repeated failures and recovers after a probe', async (t) => {
+  withEnv(t, { CIRCUIT_FAILURE_THRESHOLD: '3', CIRCUIT_OPEN_SECONDS: '0.2', UPSTREAM_RETRIES: '0' });
+  queuedStatuses = [500, 500, 500];
+
+  for (let i = 0; i < 3; i++) {
+    const response = await handler(makeEvent({ method: 'POST', path: '/rr/unregister', body: unregistrationBody() }));
+    assert.equal(response.statusCode, 500);
+  }
+
+  const shortCircuited = await handler(makeEvent({ path: '/rr/search', query: { phone: '5550003333' } }));
+  assert.equal(shortCircuited.statusCode, 503);
+  assert.ok(Number(shortCircuited.headers['Retry-After']) >= 1);
+  assert.equal(JSON.parse(shortCircuited.body).code, 'MAINTENANCE');
+  assert.equal(received.length, 3);
+
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const probe = await handler(makeEvent({ path: '/rr/roster' }));
+  assert.equal(probe.statusCode, 200);
+  assert.equal(upstream.getBreakerState().state, 'closed');
+});
+
+test('reflects an allowed origin with Vary: Origin', async (t) => {
+  withEnv(t, { URL: 'https://bttc.example.org', CONTEXT: 'production' });
+  const response = await handler(makeEvent({ path: '/rr/roster', headers: { origin: 'https://bttc.example.org' } }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Access-Control-Allow-Origin'], 'https://bttc.example.org');
+  assert.equal(response.headers.Vary, 'Origin');
+});
+
+test('matches wildcard origins from CORS_ALLOWED_ORIGINS', async (t) => {
+  withEnv(t, { CORS_ALLOWED_ORIGINS: 'https://deploy-preview-*--bttc.netlify.app', CONTEXT: 'deploy-preview' });
+
+  const preview = await handler(makeEvent({ path: '/rr/roster', headers: { origin: 'https://deploy-preview-42--bttc.netlify.app' } }));
+  assert.equal(preview.statusCode, 200);
+
+  const lookalike = await handler(makeEvent({ path: '/rr/roster', headers: { origin: 'https://deploy-preview-42--bttc.netlify.app.evil.test' } }));
+  assert.equal(lookalike.statusCode, 403);
+});
+
+test('rejects other origins before calling the backend', async (t) => {
+  withEnv(t, { URL: 'https://bttc.example.org', CONTEXT: 'production' });
+
+  for (const method of ['OPTIONS', 'POST']) {
+    const response = await handler(makeEvent({ method, path: '/rr/register', body: '{}', headers: { origin: 'https://evil.test' } }));
+    assert.equal(response.statusCode, 403, method);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+    assert.equal(JSON.parse(response.body).code, 'ORIGIN_NOT_ALLOWED');
+  }
+  assert.equal(received.length, 0);
+});
+
+test('rejects writes without an Origin header but serves reads', async () => {
+  const write = await handler({ ...makeEvent({ method: 'POST', path: '/rr/register', body: registrationBody() }), headers: {} });
+  assert.equal(write.statusCode, 403);
+  assert.equal(JSON.parse(write.body).code, 'ORIGIN_NOT_ALLOWED');
+
+  const login = await require('../functions/admin-login').handler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ username: 'someone', password: 'guess' })
+  });
+  assert.equal(login.statusCode, 403);
+  assert.equal(received.length, 0);
+
+  // Uptime monitors and curl read without one
+  const read = await handler(makeEvent({ path: '/rr/roster', headers: { 'x-nf-client-connection-ip': '203.0.113.48' } }));
+  assert.equal(read.statusCode, 200);
+});
+
+test('allows localhost outside production only', async (t) => {
+  withEnv(t, { CONTEXT: 'dev' });
+  const local = await handler(makeEvent({ path: '/rr/roster', headers: { origin: 'http://localhost:8888' } }));
+  assert.equal(local.statusCode, 200);
+
+  process.env.CONTEXT = 'production';
+  const fromProduction = await handler(makeEvent({ path: '/rr/roster', headers: { origin: 'http://localhost:8888' } }));
+  assert.equal(fromProduction.statusCode, 403);
+});
+
+test('admin-login rejects other origins', async (t) => {
+  withEnv(t, { URL: 'https://bttc.example.org', CONTEXT: 'production' });
+  const { handler: loginHandler } = require('../functions/admin-login');
+
+  const response = await loginHandler({
+    httpMethod: 'POST',
+    headers: { origin: 'https://evil.test' },
+    body: JSON.stringify({ username: 'someone', password: 'guess' })
+  });
+  assert.equal(response.statusCode, 403);
+
+  const preflight = await loginHandler({ httpMethod: 'OPTIONS', headers: { origin: 'https://bttc.example.org' } });
+  assert.equal(preflight.statusCode, 200);
+  assert.equal(preflight.headers['Access-Control-Allow-Origin'], 'https://bttc.example.org');
+});
+
+test('answers /health with backend status and deploy details', async (t) => {
+  withEnv(t, { HEALTH_CACHE_SECONDS: '0', COMMIT_REF: 'abc1234' });
+  const response = await handler(makeEvent({ path: '/health' }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Cache-Control'], 'no-store');
+  const body = JSON.parse(response.body);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.backend, 'production');
+  assert.equal(body.commit, 'abc1234');
+  assert.equal(body.upstream.reachable, true);
+  assert.equal(typeof body.upstream.latencyMs, 'number');
+  assert.equal(body.circuit.state, 'closed');
+
+  // The ping goes to the backend with the API key; the proxy route itself is not forwarded
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, '/health');
+  assert.equal(received[0].headers['x-api-key'], 'test-api-key');
+});
+
+test('reports the backend as down with a 503', async (t) => {
+  withEnv(t, { HEALTH_CACHE_SECONDS: '0' });
+  queuedStatuses = [502];
+  const response = await handler(makeEvent({ path: '/health' }));
+
+  assert.equal(response.statusCode, 503);
+  const body = JSON.parse(response.body);
+  assert.equal(body.status, 'down');
+  assert.equal(body.backend, 'production');
+  assert.equal(body.upstream.httpStatus, 502);
+});
+
+test('shares a recent backend ping between /health requests', async (t) => {
+  withEnv(t, { HEALTH_CACHE_SECONDS: '60' });
+  await handler(makeEvent({ path: '/health' }));
+  const second = await handler(makeEvent({ path: '/health' }));
+
+  assert.equal(JSON.parse(second.body).upstream.cached, true);
+  assert.ok(received.length <= 1);
+});
@@ -0,0 +1,68 @@
+/**
+ * Backend Selection Tests
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveBackend } = require('../lib/backend');
+
+const VARS = ['CONTEXT', 'BTTC_BACKEND', 'BTTC_API_URL', 'BTTC_API_KEY', 'BTTC_API_DEV_URL', 'BTTC_DEV_API_KEY'];
+const saved = Object.fromEntries(VARS.map(name => [name, process.env[name]]));
+
+const setEnv = (vars) => {
+  VARS.forEach(name => { delete process.env[name]; });
+  Object.assign(process.env, {
+    BTTC_API_URL: 'https://api.example.org',
+    BTTC_API_KEY: 'prod-key',
+    ...vars
+  });
+};
+
+beforeEach(() => {
+  VARS.forEach(name => {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  });
+});
+
+const devVars = { BTTC_API_DEV_URL: 'https://dev-api.example.org', BTTC_DEV_API_KEY: 'dev-key' };
+
+test('uses production in the production context', () => {
+  setEnv({ CONTEXT: 'production', ...devVars });
+  assert.deepEqual(resolveBackend(), { name: 'production', url: 'https://api.example.org', apiKey: 'prod-key' });
+});
+
+test('uses production when no context is set', () => {
+  setEnv(devVars);
+  assert.equal(resolveBackend().name, 'production');
+});
+
+test('uses dev for previews and branch deploys when dev variables are set', () => {
+  for (const context of ['deploy-preview', 'branch-deploy', 'dev']) {
+    setEnv({ CONTEXT: context, ...devVars });
+    assert.deepEqual(resolveBackend(), { name: 'dev', url: 'https://dev-api.example.org', apiKey: 'dev-key' });
+  }
+});
+
+test('falls back to production for previews without dev variables', () => {
+  setEnv({ CONTEXT: 'deploy-preview' });
+  assert.equal(resolveBackend().name, 'production');
+});
+
+test('BTTC_BACKEND overrides the context', () => {
+  setEnv({ CONTEXT: 'deploy-preview', BTTC_BACKEND: 'production', ...devVars });
+  assert.equal(resolveBackend().name, 'production');
+
+  setEnv({ CONTEXT: 'production', BTTC_BACKEND: 'dev', ...devVars });
+  assert.equal(resolveBackend().name, 'dev');
+});
+
+test('rejects an unknown override and missing variables', () => {
+  setEnv({ BTTC_BACKEND: 'staging' });
+  assert.throws(() => resolveBackend(), /BTTC_BACKEND/);
+
+  setEnv({ BTTC_BACKEND: 'dev' });
+  assert.throws(() => resolveBackend(), /BTTC_API_DEV_URL/);
+});
@@ -0,0 +1,177 @@
+/**
+ * Event Scheduler Tests
+ *
+ * Generates series events (js/event-series.js) and runs the scheduled function
+ * against a stub backend that serves the series and events and records the open
+ * and close calls.
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { generateSeriesEvents, validateSeries } = require('../../js/event-series');
+
+// RR every Friday, opens Wednesday 10:00 and closes Friday 18:00 (Pacific)
+const FRIDAY_RR = {
+  series_id: 's1',
+  name: 'Friday RR',
+  event_type: 'rr',
+  weekday: 5,
+  max_capacity: 66,
+  opens_days_before: 2,
+  opens_at: '10:00',
+  closes_days_before: 0,
+  closes_at: '18:00',
+  exceptions: ['2026-11-27'],
+  active: true
+};
+
+let backend;
+let runScheduler;
+let series = [];
+let events = [];
+const received = [];
+
+before(async () => {
+  backend = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: parsed });
+      const responses = {
+        '/events/series': series,
+        '/events/all': events.filter(event => !parsed?.status || event.status === parsed.status),
+        '/events/open': { event_id: 101, event_name: 'RR' },
+        '/events/close': { event_id: 100 }
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responses[req.url] ?? {}));
+    });
+  });
+  await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+  process.env.BTTC_API_URL = `http://127.0.0.1:${backend.address().port}`;
+  process.env.BTTC_API_KEY = 'test-api-key';
+  ({ runScheduler } = require('../functions/event-scheduler'));
+});
+
+after(() => new Promise(resolve => backend.close(resolve)));
+
+beforeEach(() => {
+  series = [FRIDAY_RR];
+  events = [];
+  received.length = 0;
+});
+
+const calls = (path) => received.filter(request => request.url === path);
+
+test('generates weekly events with windows in club time across a DST change', () => {
+  const generated = generateSeriesEvents(FRIDAY_RR, '2026-10-28', 6);
+
+  assert.deepEqual(generated.map(event => event.event_date), [
+    '2026-10-30', '2026-11-06', '2026-11-13', '2026-11-20', '2026-11-27', '2026-12-04'
+  ]);
+  // Daylight time ends on November 1
+  assert.equal(generated[0].opensAt.toISOString(), '2026-10-28T17:00:00.000Z');
+  assert.equal(generated[1].opensAt.toISOString(), '2026-11-04T18:00:00.000Z');
+  assert.equal(generated[1].closesAt.toISOString(), '2026-11-07T02:00:00.000Z');
+  assert.deepEqual(generated.filter(event => event.skipped).map(event => event.event_date), ['2026-11-27']);
+});
+
+test('respects the series start and end dates', () => {
+  const generated = generateSeriesEvents({ ...FRIDAY_RR, starts_on: '2026-11-10', ends_on: '2026-11-21' }, '2026-10-01', 10);
+  assert.deepEqual(generated.map(event => event.event_date), ['2026-11-13', '2026-11-20']);
+});
+
+test('flags a window that closes before it opens', () => {
+  assert.deepEqual(validateSeries(FRIDAY_RR), []);
+  assert.equal(validateSeries({ ...FRIDAY_RR, opens_days_before: 0, opens_at: '19:00' }).length, 1);
+});
+
+test('opens an event once its registration window starts', async () => {
+  const result = await runScheduler(new Date('2026-11-04T18:05:00Z'));
+
+  assert.equal(result.opened.length, 1);
+  assert.deepEqual(calls('/events/open').map(request => request.body), [
+    {
+      event_type: 'rr',
+      event_date: '2026-11-06',
+      max_capacity: 66,
+      registration_opens_at: '2026-11-04T18:00:00.000Z',
+      registration_closes_at: '2026-11-07T02:00:00.000Z',
+      series_id: 's1',
+      series_date: '2026-11-06'
+    }
+  ]);
+  assert.equal(calls('/events/open')[0].headers['x-api-key'], 'test-api-key');
+  assert.equal(calls('/events/open')[0].headers['x-admin-user'], 'scheduler');
+  assert.equal(calls('/events/close').length, 0);
+});
+
+test('does nothing before the window opens', async () => {
+  const result = await runScheduler(new Date('2026-11-04T17:55:00Z'));
+  assert.deepEqual(result, { opened: [], closed: [], failed: [] });
+  assert.equal(calls('/events/open').length, 0);
+});
+
+test('closes the open event when its window ends', async () => {
+  events = [{ event_id: 100, event_type: 'rr', event_date: '2026-11-06', status: 'OPEN', series_id: 's1', series_date: '2026-11-06' }];
+  const result = await runScheduler(new Date('2026-11-07T02:10:00Z'));
+
+  assert.deepEqual(result.closed, [{ event_id: 100, event_type: 'rr', event_date: '2026-11-06' }]);
+  assert.deepEqual(calls('/events/close').map(request => request.body), [{ event_id: 100 }]);
+  assert.equal(calls('/events/open').length, 0);
+  assert.deepEqual(calls('/events/all').map(request => request.body), [{ status: 'OPEN' }, { status: 'CLOSED' }]);
+});
+
+test('leaves an event an admin opened by hand on a series date alone', async () => {
+  events = [{ event_id: 200, event_type: 'rr', event_date: '2026-11-06', status: 'OPEN' }];
+  await runScheduler(new Date('2026-11-05T12:00:00Z'));
+  await runScheduler(new Date('2026-11-07T02:10:00Z'));
+
+  assert.equal(calls('/events/open').length, 0);
+  assert.equal(calls('/events/close').length, 0);
+});
+
+test('closes an open event at its stored window rather than the series time', async () => {
+  // An admin extended registration to Friday 19:00 Pacific
+  events = [{
+    event_id: 100, event_type: 'rr', event_date: '2026-11-06', status: 'OPEN', series_id: 's1', series_date: '2026-11-06',
+    registration_opens_at: '2026-11-04T18:00:00.000Z', registration_closes_at: '2026-11-07T03:00:00.000Z'
+  }];
+  await runScheduler(new Date('2026-11-07T02:10:00Z'));
+  assert.equal(calls('/events/close').length, 0);
+
+  await runScheduler(new Date('2026-11-07T03:05:00Z'));
+  assert.deepEqual(calls('/events/close').map(request => request.body), [{ event_id: 100 }]);
+
+  // ...or cut it short to Thursday noon
+  received.length = 0;
+  events = [{ ...events[0], registration_closes_at: '2026-11-05T20:00:00.000Z' }];
+  await runScheduler(new Date('2026-11-05T20:10:00Z'));
+  assert.deepEqual(calls('/events/close').map(request => request.body), [{ event_id: 100 }]);
+});
+
+test('does not reopen an event an admin closed early', async () => {
+  events = [{ event_id: 100, event_type: 'rr', event_date: '2026-11-06', status: 'CLOSED' }];
+  await runScheduler(new Date('2026-11-05T12:00:00Z'));
+  assert.equal(calls('/events/open').length, 0);
+  assert.equal(calls('/events/close').length, 0);
+});
+
+test('does not reopen a series date after an admin moves its event', async () => {
+  events = [{ event_id: 100, event_type: 'rr', event_date: '2026-11-07', status: 'OPEN', series_id: 's1', series_date: '2026-11-06' }];
+  await runScheduler(new Date('2026-11-05T12:00:00Z'));
+  assert.equal(calls('/events/open').length, 0);
+});
+
+test('skips holiday exceptions and inactive series', async () => {
+  await runScheduler(new Date('2026-11-26T12:00:00Z'));
+  assert.equal(calls('/events/open').length, 0);
+
+  series = [{ ...FRIDAY_RR, active: false }];
+  await runScheduler(new Date('2026-11-04T18:05:00Z'));
+  assert.equal(calls('/events/open').length, 0);
+});
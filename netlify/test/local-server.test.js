@@ -0,0 +1,123 @@
+/**
+ * Local Server Tests
+ *
+ * Runs the local development server (netlify/local-server.js) and logs in
+ * through it end to end: admin-login issues a real session token, and the API
+ * proxy accepts, refreshes and revokes it. The proxy's session routes are
+ * answered locally, so no backend is needed.
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PASSWORD = 'correct horse battery staple';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const { hashPassword } = require('../lib/admin-users');
+  process.env.ADMIN_USERS = JSON.stringify([{ username: 'alice', role: 'treasurer', password_hash: hashPassword(PASSWORD) }]);
+  process.env.ADMIN_SESSION_SECRET = 'test-secret-that-is-at-least-32-characters';
+  // Required by api.js at load time; nothing in these tests reaches it
+  process.env.BTTC_API_URL = 'http://127.0.0.1:9';
+  process.env.BTTC_API_KEY = 'test-api-key';
+
+  const { createServer } = require('../local-server');
+  server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Origin': 'http://localhost:8888', ...headers },
+  body: JSON.stringify(body)
+});
+
+test('serves the static site with directory index pages', async () => {
+  const response = await fetch(`${baseUrl}/admin/`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/html/);
+  assert.match(await response.text(), /vue-admin-app/);
+
+  const redirect = await fetch(`${baseUrl}/admin`, { redirect: 'manual' });
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.get('location'), '/admin/');
+});
+
+test('does not serve dotfiles or files outside the site', async () => {
+  for (const path of ['/.gitignore', '/.git/config', '/%2e%2e/%2e%2e/etc/passwd']) {
+    const response = await fetch(`${baseUrl}${path}`);
+    assert.equal(response.status, 404, path);
+  }
+});
+
+test('returns 404 for unknown functions', async () => {
+  const response = await post('/.netlify/functions/nope', {});
+  assert.equal(response.status, 404);
+});
+
+test('rejects a wrong password through admin-login', async () => {
+  const response = await post('/.netlify/functions/admin-login', { username: 'alice', password: 'wrong' });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).success, false);
+});
+
+test('logs in, refreshes and logs out with a real session token', async () => {
+  const login = await post('/.netlify/functions/admin-login', { username: 'alice', password: PASSWORD });
+  assert.equal(login.status, 200);
+  assert.equal(login.headers.get('access-control-allow-origin'), 'http://localhost:8888');
+  const session = await login.json();
+  assert.equal(session.role, 'treasurer');
+  assert.equal(session.token.split('.').length, 3);
+  assert.ok(session.expiresAt > Date.now());
+  assert.ok(session.absoluteExpiresAt >= session.expiresAt);
+
+  const auth = { Authorization: `Bearer ${session.token}` };
+  const refresh = await post('/.netlify/functions/api/admin/session/refresh', {}, auth);
+  assert.equal(refresh.status, 200);
+  const refreshed = await refresh.json();
+  assert.equal(refreshed.username, 'alice');
+  assert.deepEqual(refreshed.permissions, session.permissions);
+
+  const logout = await post('/.netlify/functions/api/admin/session/logout', {}, auth);
+  assert.equal(logout.status, 200);
+
+  const afterLogout = await post('/.netlify/functions/api/admin/session/refresh', {}, auth);
+  assert.equal(afterLogout.status, 401);
+});
+
+test('asks for the password again before two-factor setup and checks the secret', async () => {
+  const login = await post('/.netlify/functions/admin-login', { username: 'alice', password: PASSWORD });
+  const auth = { Authorization: `Bearer ${(await login.json()).token}` };
+
+  const withoutPassword = await post('/.netlify/functions/admin-login', { action: 'totp-setup' }, auth);
+  assert.equal(withoutPassword.status, 400);
+  const wrongPassword = await post('/.netlify/functions/admin-login', { action: 'totp-setup', password: 'wrong' }, auth);
+  assert.equal(wrongPassword.status, 401);
+
+  const setup = await post('/.netlify/functions/admin-login', { action: 'totp-setup', password: PASSWORD }, auth);
+  assert.equal(setup.status, 200);
+  const { secret } = await setup.json();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const { generateCode } = require('../lib/totp');
+  const code = generateCode(secret, Math.floor(Date.now() / 30000));
+  const badSecret = await post('/.netlify/functions/admin-login', { action: 'totp-confirm', password: PASSWORD, secret: 'not base32!', code }, auth);
+  assert.equal(badSecret.status, 400);
+
+  const confirm = await post('/.netlify/functions/admin-login', { action: 'totp-confirm', password: PASSWORD, secret, code }, auth);
+  assert.equal(confirm.status, 200);
+  assert.equal((await confirm.json()).config.totp_secret, secret);
+});
+
+test('serves the event scheduler only when LOCAL_SCHEDULER is set', async () => {
+  const response = await post('/.netlify/functions/event-scheduler', {});
+  assert.equal(response.status, 404);
+  assert.match((await response.json()).message, /LOCAL_SCHEDULER=true/);
+});
@@ -0,0 +1,30 @@
+/**
+ * Rate Limit Tests
+ *
+ * Fills the bucket map past its cap with distinct clients, as a flood from many
+ * addresses would, and checks what pruning keeps.
+ *
+ * Run with: node --test netlify/test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BUDGETS, consume } = require('../lib/rate-limit');
+
+test('keeps recently active clients limited when it prunes a full bucket map', () => {
+  for (let i = 0; i < BUDGETS.lookup.capacity; i++) {
+    assert.equal(consume('lookup', '203.0.113.9').allowed, true);
+  }
+
+  for (let i = 0; i < 5000; i++) {
+    consume('lookup', `flood-${i}`);
+  }
+  // Still active, so no longer among the least recently used
+  assert.equal(consume('lookup', '203.0.113.9').allowed, false);
+
+  // Past the cap, several times over; the oldest flood buckets go first
+  for (let i = 5000; i < 12000; i++) {
+    consume('lookup', `flood-${i}`);
+  }
+  assert.equal(consume('lookup', '203.0.113.9').allowed, false);
+});
@@ -1,9 +1,10 @@
 // BTTC Round Robin Registration
-// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse, validatePhone, validateToken, formatPhoneNumber
+// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse, isMaintenanceError, BackendBanner, validatePhone, validateToken, formatPhoneNumber,
+// getRegistrationWindow, isWithinRegistrationWindow, formatRegistrationTime
+// Limits loaded from form-limits.js: COMMENT_MAX_LENGTH
 
 const { createApp, ref, computed, onMounted, watch } = Vue;
 
-
 const RegistrationStatus = {
   props: {
     isOpen: Boolean,
@@ -21,10 +22,10 @@ const RegistrationStatus = {
         🔴 Registration is CLOSED
       </div>
       <div class="status-details">
-        <span v-if="isOpen && !devMode">Closes on closing day at {{ closingTime }} PST</span>
+        <span v-if="isOpen && !devMode">Closes {{ closingTime }}</span>
         <span v-else-if="isOpen && devMode">Developer override active</span>
-        <span v-else-if="registrationClosed">Registration is currently closed. Please review this month's schedule on our homepage.</span>
-        <span v-else>Next opening: {{ nextOpening }} PST</span>
+        <span v-else-if="registrationClosed || !nextOpening">Registration is currently closed. Please review this month's schedule on our homepage.</span>
+        <span v-else>Next opening: {{ nextOpening }}</span>
       </div>
     </div>
   `,
@@ -41,6 +42,9 @@ const CapacityBanner = {
     lastUpdated: Number  // Timestamp in milliseconds, optional
   },
   methods: {
+    isAcceptingRegistrations(capacity) {
+      return isAcceptingRegistrations(capacity);
+    },
     formatLastUpdated(timestamp) {
       if (!timestamp) return '';
       
@@ -73,7 +77,7 @@ const CapacityBanner = {
   computed: {
     capacityClass() {
       // Event closed takes highest priority
-      if (!this.capacity.eventOpen) {
+      if (!isAcceptingRegistrations(this.capacity)) {
         return 'capacity-closed';
       }
       return this.capacity.isAtCapacity ? 'capacity-full' : 'capacity-available';
@@ -87,7 +91,7 @@ const CapacityBanner = {
   },
   template: `
     <div class="capacity-banner" :class="capacityClass">
-      <div v-if="!capacity.eventOpen">
+      <div v-if="!isAcceptingRegistrations(capacity)">
         🔴 Event registrations are CLOSED
       </div>
       <div v-else-if="capacity.isAtCapacity">
@@ -110,7 +114,8 @@ const CapacityBanner = {
 const PHONE_HISTORY_KEY = 'bttc_phone_history';
 const MAX_HISTORY_ITEMS = 10;
 const EVENT_METADATA_CACHE_KEY = 'bttc_event_metadata';
-const EVENT_METADATA_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours (event date never changes)
+// Short, because admins can change an open event's date from the Events panel (default 5 minutes)
+const EVENT_METADATA_CACHE_TTL = (typeof ENV !== 'undefined' && ENV.CACHE_TTL_EVENT_METADATA ? ENV.CACHE_TTL_EVENT_METADATA : 300) * 1000;
 const ROSTER_CACHE_KEY = 'bttc_roster_cache'; // Same cache key as roster-vue.js
 const PHONE_COOKIE_KEY = 'bttc_signed_in_phone'; // Cookie key for storing signed-in phone number
 
@@ -124,7 +129,7 @@ const getPhoneHistory = () => {
   }
 };
 
-// Cache for event metadata (event_date, event_type)
+// Cache for event metadata: each open event's ID, name, date, type and registration window
 const getEventMetadataCache = () => {
   try {
     const cached = sessionStorage.getItem(EVENT_METADATA_CACHE_KEY);
@@ -134,8 +139,8 @@ const getEventMetadataCache = () => {
     const now = Date.now();
     const age = now - timestamp;
     
-    // Check if cache is still valid (24 hours TTL)
-    if (age < EVENT_METADATA_CACHE_TTL) {
+    // Check if cache is still valid (entries from before multi-event support hold one object)
+    if (age < EVENT_METADATA_CACHE_TTL && Array.isArray(data)) {
       return data;
     }
     
@@ -147,10 +152,12 @@ const getEventMetadataCache = () => {
   }
 };
 
-const setEventMetadataCache = (eventDate, eventType) => {
+const setEventMetadataCache = (events) => {
   try {
     const cacheEntry = {
-      data: { eventDate, eventType },
+      data: events.map(({ eventId, eventName, eventDate, eventType, opensAt, closesAt }) => ({
+        eventId, eventName, eventDate, eventType, opensAt, closesAt
+      })),
       timestamp: Date.now()
     };
     sessionStorage.setItem(EVENT_METADATA_CACHE_KEY, JSON.stringify(cacheEntry));
@@ -184,6 +191,49 @@ const clearRosterCache = () => {
   }
 };
 
+const EVENT_TYPE_LABELS = {
+  rr: 'Round Robin',
+  group_training: 'Group Training',
+  tournament: 'Tournament'
+};
+
+// Key for an event in a player's per-event registrations. With one event open the
+// backend may leave event_id out, so that event is 'current'.
+const getEventKey = (event) => String(event.eventId ?? 'current');
+
+const getEventLabel = (event) => event.eventName || EVENT_TYPE_LABELS[event.eventType] || 'Event';
+
+/**
+ * Formats an ISO event date (YYYY-MM-DD) as "Fri, Nov 2, 2025"
+ * Returns empty string if the date is missing or invalid
+ */
+const formatEventDay = (eventDate) => {
+  if (!eventDate) return '';
+  try {
+    const date = new Date(eventDate + 'T00:00:00'); // Add time to avoid timezone issues
+    if (isNaN(date.getTime())) {
+      return '';
+    }
+    return date.toLocaleDateString("en-US", {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  } catch (err) {
+    return '';
+  }
+};
+
+// Whether an event takes registrations now: open on the backend and inside its window
+const isAcceptingRegistrations = (event) => !!event.eventOpen && isWithinRegistrationWindow(event);
+
+// "Group Training · Sat, Nov 7, 2026", to tell open events apart
+const describeEvent = (event) => {
+  const day = formatEventDay(event.eventDate);
+  return day ? `${getEventLabel(event)} · ${day}` : getEventLabel(event);
+};
+
 const savePhoneToHistory = (phone) => {
   try {
     // Format phone for display in history using shared utility (xxx-xxx-xxxx)
@@ -289,7 +339,7 @@ const PlayerLookup = {
       } catch (error) {
         // Error: Convert to user-friendly message and notify parent
         const friendlyMessage = getErrorMessage(error, 'player lookup');
-        emit('lookup-error', friendlyMessage);
+        emit('lookup-error', friendlyMessage, error);
       } finally {
         // Always reset loading state (even on error)
         isLookingUp.value = false;
@@ -461,37 +511,39 @@ const PlayerLookup = {
 const PlayerList = {
   props: {
     players: Array,        // Array of player objects from search
-    capacity: Object,      // Capacity info: { isAtCapacity, confirmedCount, playerCap, spotsAvailable, waitlistCount }
+    events: Array,         // Open events, each with its capacity: { eventId, isAtCapacity, confirmedCount, playerCap, spotsAvailable, waitlistCount, ... }
     capacityLastUpdated: Number,  // Timestamp when capacity was last fetched (optional)
     devOverride: Boolean  // If true, bypasses all day/time constraints
   },
   emits: ['register-player', 'unregister-player'],
   setup(props, { emit }) {
-    const registerPlayer = (index) => {
-      emit('register-player', index);
+    const registerPlayer = (index, event) => {
+      emit('register-player', index, event);
     };
 
-    const unregisterPlayer = (index) => {
-      emit('unregister-player', index);
+    const unregisterPlayer = (index, event) => {
+      emit('unregister-player', index, event);
     };
 
-    // Computed: Whether event is effectively open (devOverride bypasses all constraints)
-    const isEventOpen = computed(() => {
-      return props.devOverride || props.capacity.eventOpen;
-    });
-
-    // Computed: Whether registration is effectively available (devOverride bypasses capacity)
+    // Whether an event is effectively open (devOverride bypasses all constraints)
     // Note: With waitlist feature, users can always register even when full
-    const canRegister = computed(() => {
-      return props.devOverride || props.capacity.eventOpen;
-    });
+    const isEventOpen = (event) => {
+      return props.devOverride || isAcceptingRegistrations(event);
+    };
+
+    // A player's status for one event (not registered if the search didn't mention it)
+    const registrationFor = (player, event) => {
+      return (player.registrations && player.registrations[getEventKey(event)]) || {};
+    };
 
     return {
       registerPlayer,
       unregisterPlayer,
       capacityLastUpdated: props.capacityLastUpdated,  // Expose prop to template
       isEventOpen,
-      canRegister
+      registrationFor,
+      getEventKey,
+      describeEvent
     };
   },
   template: `
@@ -500,82 +552,89 @@ const PlayerList = {
         <p class="success">Players Found</p>
         <p class="result-subtitle">Select an action below for each player</p>
       </div>
-      <capacity-banner :capacity="capacity" :last-updated="capacityLastUpdated" />
+      <div v-for="event in events" :key="getEventKey(event)" class="event-capacity">
+        <h4 v-if="events.length > 1" class="event-capacity-title">{{ describeEvent(event) }}</h4>
+        <capacity-banner :capacity="event" :last-updated="capacityLastUpdated" />
+      </div>
       
       <div v-for="(player, index) in players" :key="player.bttc_id || index" class="entry">
         <div class="entry-header">
           <h4 class="player-name-heading">{{ player.first_name }} {{ player.last_name }}</h4>
         </div>
         
-        <!-- On Roster: is_registered === true AND is_on_waitlist === false -->
-        <div v-if="player.is_registered && !player.is_on_waitlist" class="entry-content">
-          <p class="player-registered-status">
-            <span class="status-icon">✓</span>
-            <span class="player-registered-label">Already registered</span>
-          </p>
-          <div v-if="!isEventOpen" class="unregister-form">
-            <p class="registration-full-message">
-              <span class="status-icon">🔒</span>
-              Event registrations are currently closed
-            </p>
-            <p class="full-message-hint">You cannot unregister at this time. Please contact BTTC support if needed.</p>
-          </div>
-          <div v-else class="unregister-form">
-            <button 
-              type="button"
-              class="confirm-btn unregister-btn" 
-              @click="unregisterPlayer(index)"
-            >
-              Unregister
-            </button>
-            <span class="token-error" v-if="player.unregisterError">{{ player.unregisterError }}</span>
-          </div>
-        </div>
-        
-        <!-- On Waitlist: is_registered === true AND is_on_waitlist === true -->
-        <div v-else-if="player.is_registered && player.is_on_waitlist" class="entry-content">
-          <p class="player-waitlist-status">
-            <span class="status-icon">⏳</span>
-            <span class="player-waitlist-label">You're on the waitlist</span>
-            <span v-if="player.waitlist_position" class="waitlist-position">Position #{{ player.waitlist_position }}</span>
-          </p>
-          <div v-if="!isEventOpen" class="unregister-form">
-            <p class="registration-full-message">
-              <span class="status-icon">🔒</span>
-              Event registrations are currently closed
+        <div v-for="event in events" :key="getEventKey(event)" class="entry-event">
+          <p v-if="events.length > 1" class="entry-event-title">{{ describeEvent(event) }}</p>
+
+          <!-- On Roster: is_registered === true AND is_on_waitlist === false -->
+          <div v-if="registrationFor(player, event).is_registered && !registrationFor(player, event).is_on_waitlist" class="entry-content">
+            <p class="player-registered-status">
+              <span class="status-icon">✓</span>
+              <span class="player-registered-label">Already registered</span>
             </p>
-            <p class="full-message-hint">You cannot unregister at this time. Please contact BTTC support if needed.</p>
-          </div>
-          <div v-else class="unregister-form">
-            <button 
-              type="button"
-              class="confirm-btn unregister-btn" 
-              @click="unregisterPlayer(index)"
-            >
-              Remove from Waitlist
-            </button>
-            <span class="token-error" v-if="player.unregisterError">{{ player.unregisterError }}</span>
+            <div v-if="!isEventOpen(event)" class="unregister-form">
+              <p class="registration-full-message">
+                <span class="status-icon">🔒</span>
+                Event registrations are currently closed
+              </p>
+              <p class="full-message-hint">You cannot unregister at this time. Please contact BTTC support if needed.</p>
+            </div>
+            <div v-else class="unregister-form">
+              <button 
+                type="button"
+                class="confirm-btn unregister-btn" 
+                @click="unregisterPlayer(index, event)"
+              >
+                Unregister
+              </button>
+              <span class="token-error" v-if="registrationFor(player, event).unregisterError">{{ registrationFor(player, event).unregisterError }}</span>
+            </div>
           </div>
-        </div>
-        
-        <!-- Not Registered: is_registered === false -->
-        <div v-else class="entry-content">
-          <div v-if="!isEventOpen" class="register-form full-message">
-            <p class="registration-full-message">
-              <span class="status-icon">🔒</span>
-              Event registrations are currently closed
+          
+          <!-- On Waitlist: is_registered === true AND is_on_waitlist === true -->
+          <div v-else-if="registrationFor(player, event).is_registered && registrationFor(player, event).is_on_waitlist" class="entry-content">
+            <p class="player-waitlist-status">
+              <span class="status-icon">⏳</span>
+              <span class="player-waitlist-label">You're on the waitlist</span>
+              <span v-if="registrationFor(player, event).waitlist_position" class="waitlist-position">Position #{{ registrationFor(player, event).waitlist_position }}</span>
             </p>
-            <p class="full-message-hint">Please check back later or contact BTTC support for more information.</p>
+            <div v-if="!isEventOpen(event)" class="unregister-form">
+              <p class="registration-full-message">
+                <span class="status-icon">🔒</span>
+                Event registrations are currently closed
+              </p>
+              <p class="full-message-hint">You cannot unregister at this time. Please contact BTTC support if needed.</p>
+            </div>
+            <div v-else class="unregister-form">
+              <button 
+                type="button"
+                class="confirm-btn unregister-btn" 
+                @click="unregisterPlayer(index, event)"
+              >
+                Remove from Waitlist
+              </button>
+              <span class="token-error" v-if="registrationFor(player, event).unregisterError">{{ registrationFor(player, event).unregisterError }}</span>
+            </div>
           </div>
-          <div v-else class="register-form">
-            <button 
-              type="button"
-              class="confirm-btn" 
-              @click="registerPlayer(index)"
-            >
-              {{ capacity.isAtCapacity ? 'Join Waitlist' : 'Register' }}
-            </button>
-            <span class="token-error" v-if="player.registerError">{{ player.registerError }}</span>
+          
+          <!-- Not Registered: is_registered === false -->
+          <div v-else class="entry-content">
+            <div v-if="!isEventOpen(event)" class="register-form full-message">
+              <p class="registration-full-message">
+                <span class="status-icon">🔒</span>
+                Event registrations are currently closed
+              </p>
+              <p class="full-message-hint">Please check back later or contact BTTC support for more information.</p>
+            </div>
+            <div v-else class="register-form">
+              <button 
+                type="button"
+                class="confirm-btn" 
+                @click="registerPlayer(index, event)"
+              >
+                {{ event.isAtCapacity ? 'Join Waitlist' : 'Register' }}
+              </button>
+              <span class="token-error" v-if="registrationFor(player, event).registerError">{{ registrationFor(player, event).registerError }}</span>
+            </div>
           </div>
         </div>
       </div>
@@ -591,8 +650,10 @@ const RegistrationDialog = {
     show: Boolean,    // Controls dialog visibility
     player: Object,   // Player object being registered
     capacity: Object, // Capacity info to determine if full
+    eventTitle: String,      // Which event, shown when several are open (optional)
     successMessage: String,  // Success message to display inline
-    errorMessage: String     // Error message to display inline
+    errorMessage: String,    // Error message to display inline
+    fieldErrors: Object      // Per-field messages from the API ({ comments: '...' })
   },
   emits: ['close', 'confirm'],
   setup(props, { emit }) {
@@ -690,6 +751,7 @@ const RegistrationDialog = {
       comments,
       waiverAccepted,
       validationError,
+      COMMENT_MAX_LENGTH,
       WAIVER_FILE,
       supportPhone,
       // venmoUrlEncoded,
@@ -702,6 +764,7 @@ const RegistrationDialog = {
     <div v-if="show" class="dialog-overlay" @click="handleClose">
       <div class="dialog-box" @click.stop>
         <div class="dialog-title">{{ capacity && capacity.isAtCapacity ? 'Join Waitlist' : 'Complete Registration' }}</div>
+        <div v-if="eventTitle" class="dialog-subtitle">{{ eventTitle }}</div>
 
         <!-- Success Message -->
         <div v-if="successMessage" class="dialog-message dialog-message-success">
@@ -778,8 +841,10 @@ const RegistrationDialog = {
             <h4>Comments (optional):</h4>
             <textarea 
               v-model="comments"
+              :maxlength="COMMENT_MAX_LENGTH"
               placeholder="Enter any comments or special requests. Let us know if you are arriving late..."
             ></textarea>
+            <div v-if="fieldErrors && fieldErrors.comments" class="validation-error">{{ fieldErrors.comments }}</div>
           </div>
 
           <div class="waiver-section">
@@ -821,8 +886,10 @@ const UnregistrationDialog = {
   props: {
     show: Boolean,    // Controls dialog visibility
     player: Object,   // Player object being unregistered
+    eventTitle: String,      // Which event, shown when several are open (optional)
     successMessage: String,  // Success message to display inline
-    errorMessage: String     // Error message to display inline
+    errorMessage: String,    // Error message to display inline
+    fieldErrors: Object      // Per-field messages from the API ({ comments: '...' })
   },
   emits: ['close', 'confirm'],
   setup(props, { emit }) {
@@ -870,6 +937,7 @@ const UnregistrationDialog = {
 
     return {
       comments,
+      COMMENT_MAX_LENGTH,
       handleConfirm,
       handleClose
     };
@@ -878,6 +946,7 @@ const UnregistrationDialog = {
     <div v-if="show" class="dialog-overlay" @click="handleClose">
       <div class="dialog-box" @click.stop>
         <div class="dialog-title">Confirm Unregistration</div>
+        <div v-if="eventTitle" class="dialog-subtitle">{{ eventTitle }}</div>
 
         <!-- Success Message -->
         <div v-if="successMessage" class="dialog-message dialog-message-success">
@@ -897,8 +966,10 @@ const UnregistrationDialog = {
             <h4>Reason for unregistering (optional):</h4>
             <textarea 
               v-model="comments"
+              :maxlength="COMMENT_MAX_LENGTH"
               placeholder="Please let us know why you're unregistering..."
             ></textarea>
+            <div v-if="fieldErrors && fieldErrors.comments" class="validation-error">{{ fieldErrors.comments }}</div>
           </div>
         </div>
 
@@ -918,7 +989,8 @@ const RegistrationApp = {
     PlayerLookup,          // Phone input and lookup
     PlayerList,            // Player list with actions
     RegistrationDialog,    // Registration confirmation modal
-    UnregistrationDialog   // Unregistration confirmation modal
+    UnregistrationDialog,  // Unregistration confirmation modal
+    BackendBanner          // DEV BACKEND banner (bttc-utils.js)
   },
   setup() {
     // Load configuration constants from ENV (or use defaults)
@@ -927,16 +999,7 @@ const RegistrationApp = {
     console.log('DEV_OVERRIDE mode:', devOverride ? 'ENABLED' : 'DISABLED');
     console.log('REGISTRATION_CLOSED mode:', registrationClosed ? 'ENABLED' : 'DISABLED');
     
-    // Opening configuration (default: Wednesday at 10:00)
-    const openingDay = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_DAY : 3;  // Wednesday = 3
-    const openingHour = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_HOUR : 10;  // 10:00 (10 AM)
-    const openingMinute = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_MINUTE : 0;
-    
-    // Closing configuration (default: Friday at 18:45)
-    const closingDay = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_DAY : 5;  // Friday = 5
-    const closingHour = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_HOUR : 18;  // 18:00 (6 PM)
-    const closingMinute = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_MINUTE : 45;  // 45 minutes
-    
+    // Registration opens and closes per event (registration_opens_at / registration_closes_at)
     const timezone = typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles';
     const defaultPlayerCap = typeof ENV !== 'undefined' ? ENV.DEFAULT_PLAYER_CAP : 64;
     const fallbackPlayerCap = typeof ENV !== 'undefined' ? ENV.FALLBACK_PLAYER_CAP : 64;
@@ -947,318 +1010,280 @@ const RegistrationApp = {
     // Application state
     const players = ref([]);                    // Players found by phone number
     const registrationOpen = ref(false);        // Whether registration is currently open
-    const capacity = ref({
-      isAtCapacity: false,                       // Whether event is at capacity
-      confirmedCount: 0,                        // Number of confirmed registrations
-      playerCap: fallbackPlayerCap,             // Maximum capacity
-      spotsAvailable: 0,                        // Available spots
-      waitlistCount: 0,                         // Number of people on waitlist
-      eventOpen: true,                          // Whether event is accepting registrations
-      eventDate: null,                          // Event date (ISO format YYYY-MM-DD)
-      eventType: null                           // Event type (e.g., "rr", "tournament", "group_training")
-    });
+    const events = ref([]);                     // Open events with their capacity (see normalizeCapacity)
+    const eventsLoaded = ref(false);            // Whether the events (and so the registration status) are known
     const capacityLastUpdated = ref(null);       // Timestamp when capacity was last fetched
     const showRegistrationDialog = ref(false);    // Controls registration dialog visibility
     const showUnregistrationDialog = ref(false); // Controls unregistration dialog visibility
-    const currentRegistrationData = ref(null);  // Player being registered (for dialog)
-    const currentUnregistrationData = ref(null); // Player being unregistered (for dialog)
+    const currentRegistrationData = ref(null);  // Player and event being registered for (for dialog)
+    const currentUnregistrationData = ref(null); // Player and event being unregistered from (for dialog)
     const registrationSuccessMessage = ref('');  // Success message for registration dialog
     const registrationErrorMessage = ref('');    // Error message for registration dialog
+    const registrationFieldErrors = ref({});     // Per-field API validation messages for registration dialog
     const unregistrationSuccessMessage = ref(''); // Success message for unregistration dialog
     const unregistrationErrorMessage = ref('');   // Error message for unregistration dialog
+    const unregistrationFieldErrors = ref({});    // Per-field API validation messages for unregistration dialog
     const error = ref('');                      // Error message to display
+    const eventsLoadError = ref('');            // Open events couldn't be loaded at all
+    const maintenance = ref(false);             // Backend is down (proxy answered MAINTENANCE)
 
     // Computed properties
-    
-    /**
-     * Computed: Formatted event date in user-friendly format
-     * Converts ISO date (YYYY-MM-DD) to "Month Day, Year" format (e.g., "Nov 2, 2025")
-     * Returns empty string if no event date available
-     */
-    const formattedEventDate = computed(() => {
-      if (!capacity.value.eventDate) return '';
-      
-      try {
-        const date = new Date(capacity.value.eventDate + 'T00:00:00'); // Add time to avoid timezone issues
-        
-        // Check if date is valid
-        if (isNaN(date.getTime())) {
-          return '';
-        }
-        
-        // Format date as "Month Day, Year" (e.g., "Nov 2, 2025")
-        const formatted = date.toLocaleDateString("en-US", {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        });
-        
-        return formatted;
-      } catch (err) {
-        return '';
-      }
-    });
-    
-    /**
-     * Computed property to get the day of the week from the event date
-     * Returns abbreviated day name (e.g., "Fri", "Mon", "Sun")
-     */
-    const eventDayOfWeek = computed(() => {
-      if (!capacity.value.eventDate) return '';
-      
-      try {
-        const date = new Date(capacity.value.eventDate + 'T00:00:00'); // Add time to avoid timezone issues
-        
-        // Check if date is valid
-        if (isNaN(date.getTime())) {
-          return '';
-        }
-        
-        // Format day as abbreviated day name (e.g., "Fri", "Mon", "Sun")
-        const dayOfWeek = date.toLocaleDateString("en-US", {
-          weekday: 'short'
-        });
-        
-        return dayOfWeek;
-      } catch (err) {
-        return '';
-      }
+
+    // Page title: the event type when one event is open, generic when several are
+    const pageTitle = computed(() => {
+      if (events.value.length > 1) return 'Event Registration';
+      const eventType = events.value.length === 1 ? events.value[0].eventType : null;
+      return `${EVENT_TYPE_LABELS[eventType || 'rr'] || 'Event'} Registration`;
     });
+
+    // Title for the registration and unregistration dialogs (only needed when several events are open)
+    const dialogEventTitle = (data) => (data && events.value.length > 1 ? describeEvent(data.event) : '');
     
     /**
      * Computed: Whether to show the roster section
-     * Roster is ONLY open from Wednesday 00:00 to Saturday 00:00
-     * AND if REGISTRATION_CLOSED = false
+     * The roster is open once an event's registration has opened, through the end of the
+     * event day, AND if REGISTRATION_CLOSED = false
      * DEV_OVERRIDE = true unlocks the roster (bypasses all constraints)
-     * Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > normal schedule
+     * Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > event windows
      */
     const showRosterSection = computed(() => {
-      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > normal schedule
+      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > event windows
       if (devOverride) return true;  // DEV_OVERRIDE unlocks roster
       if (registrationClosed) return false;  // REGISTRATION_CLOSED hides roster
 
-      const now = new Date();
-      const pstNow = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-      const dayOfWeek = pstNow.getDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
-      const hours = pstNow.getHours();
-      const minutes = pstNow.getMinutes();
-      
-      // Opening day: show only at or after opening time
-      if (dayOfWeek === openingDay) {
-        return hours > openingHour || (hours === openingHour && minutes >= openingMinute);
-      }
-      
-      // Days strictly between opening day and closing day (inclusive): always show
-      if (openingDay < closingDay) {
-        if (dayOfWeek > openingDay && dayOfWeek <= closingDay) return true;
-      } else {
-        // Handles week wrap-around (e.g., Friday to Wednesday)
-        if (dayOfWeek > openingDay || dayOfWeek <= closingDay) return true;
-      }
-      
-      // All other days (before opening or after closing): hide
-      return false;
+      const now = Date.now();
+      const today = new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(now);  // YYYY-MM-DD
+      return events.value.some(event => (event.opensAt == null || now >= event.opensAt) &&
+        (!event.eventDate || event.eventDate >= today));
     });
     
-    // Closing time: Shows closing day and time (default: Friday 6:45 PM)
+    // Closing time: when the soonest-closing open event stops taking registrations
     const closingTime = computed(() => {
-      const now = new Date();
-      const pstNow = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-      const dayOfWeek = pstNow.getDay();
-      
-      // Calculate the current or next closing day
-      let closingDate = new Date(pstNow);
-      const daysUntilClosingDay = (closingDay - dayOfWeek + 7) % 7;
-      
-      // If it's the closing day but past closing time, use next week's closing day
-      if (daysUntilClosingDay === 0 && (pstNow.getHours() > closingHour || (pstNow.getHours() === closingHour && pstNow.getMinutes() >= closingMinute))) {
-        // Past closing time, use next week's closing day
-        closingDate.setDate(closingDate.getDate() + 7);
-      } else {
-        closingDate.setDate(closingDate.getDate() + daysUntilClosingDay);
-      }
-      
-      closingDate.setHours(closingHour, closingMinute, 0, 0);
-      return closingDate.toLocaleString("en-US", {
-        timeZone: timezone,
-        hour: 'numeric',
-        minute: '2-digit'
-      });
+      const closing = events.value
+        .filter(event => isAcceptingRegistrations(event) && event.closesAt != null)
+        .map(event => event.closesAt);
+      return closing.length ? formatRegistrationTime(Math.min(...closing), { weekday: 'long' }) : '';
     });
 
-    // Next opening: Shows next opening day and time (default: Wednesday at 12:00 AM)
-    const nextOpening = ref('Calculating...');
+    // Next opening: when the next event's registration window opens ('' if none is known)
+    const nextOpening = ref('');
 
     /**
-     * Calculates the next opening date
+     * Calculates the next opening from the events' windows
      */
     const calculateNextOpening = () => {
-      const now = new Date();
-      const pstNow = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-      const dayOfWeek = pstNow.getDay();
-      const hours = pstNow.getHours();
-      const minutes = pstNow.getMinutes();
-
-      const isOpeningDay = dayOfWeek === openingDay;
-      const isPastOpeningTime = hours > openingHour || (hours === openingHour && minutes >= openingMinute);
-
-      let daysUntil;
-      if (isOpeningDay && !isPastOpeningTime) {
-        daysUntil = 0; // Opens later today
-      } else if (isOpeningDay && isPastOpeningTime) {
-        daysUntil = 7; // Already opened today, next is next week
-      } else if (dayOfWeek < openingDay) {
-        daysUntil = openingDay - dayOfWeek; // Earlier in the week
-      } else {
-        daysUntil = 7 - (dayOfWeek - openingDay); // Later in the week, wrap to next
-      }
-
-      const nextOpeningDate = new Date(pstNow);
-      nextOpeningDate.setDate(nextOpeningDate.getDate() + daysUntil);
-      nextOpeningDate.setHours(openingHour, openingMinute, 0, 0);
+      const now = Date.now();
+      const upcoming = events.value
+        .filter(event => event.opensAt != null && event.opensAt > now)
+        .map(event => event.opensAt);
 
-      nextOpening.value = nextOpeningDate.toLocaleString("en-US", {
-        timeZone: timezone,
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit'
-      });
+      nextOpening.value = upcoming.length
+        ? formatRegistrationTime(Math.min(...upcoming), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+        : '';
     };
 
     // Methods
     const isRegistrationOpen = () => {
-      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > normal schedule
+      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > event windows
       if (devOverride) return true;
       if (registrationClosed) return false;
 
-      const now = new Date();
-      const pstNow = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-      const dayOfWeek = pstNow.getDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
-      const hours = pstNow.getHours();
-      const minutes = pstNow.getMinutes();
-
-      // Check if we're on the opening day
-      if (dayOfWeek === openingDay) {
-        // Opening day: check if we're past opening time
-        if (hours > openingHour || (hours === openingHour && minutes >= openingMinute)) {
-          // Past opening time on opening day → OPEN
-          return true;
-        }
-        // Before opening time on opening day → CLOSED
-        return false;
-      }
-      
-      // Check if we're on the closing day
-      if (dayOfWeek === closingDay) {
-        // Closing day: check if we're before closing time
-        if (hours < closingHour || (hours === closingHour && minutes < closingMinute)) {
-          // Before closing time on closing day → OPEN
-          return true;
-        }
-        // At or after closing time on closing day → CLOSED
-        return false;
-      }
-      
-      // Check if we're between opening day and closing day
-      // Handle week wrap-around (e.g., opening on Wednesday, closing on Friday)
-      let isBetweenDays;
-      if (openingDay < closingDay) {
-        // Opening and closing are in the same week (e.g., Wed to Fri)
-        isBetweenDays = dayOfWeek > openingDay && dayOfWeek < closingDay;
-      } else {
-        // Opening and closing wrap around the week (e.g., Fri to Wed)
-        isBetweenDays = dayOfWeek > openingDay || dayOfWeek < closingDay;
-      }
-      
-      if (isBetweenDays) {
-        // We're between opening and closing days → OPEN
-        return true;
-      }
-      
-      // Otherwise, we're outside the registration window → CLOSED
-      return false;
+      // Open while any event takes registrations
+      return events.value.some(isAcceptingRegistrations);
+    };
+
+    // Re-checks when the next window opens or closes, so an open page flips without a reload
+    let statusTimer = null;
+    const scheduleStatusCheck = () => {
+      clearTimeout(statusTimer);
+      const now = Date.now();
+      const edges = events.value
+        .flatMap(event => [event.opensAt, event.closesAt])
+        .filter(time => time != null && time > now);
+      if (edges.length === 0) return;
+      // setTimeout can't wait longer than about 24 days
+      statusTimer = setTimeout(checkRegistrationStatus, Math.min(Math.min(...edges) - now + 1000, 2 ** 31 - 1));
     };
 
     const checkRegistrationStatus = () => {
       registrationOpen.value = isRegistrationOpen();
+      calculateNextOpening();
+      scheduleStatusCheck();
     };
 
     // NOTE: Capacity is now included in all API responses (search, register, unregister)
     // No need for separate /rr/capacity calls anymore
 
     /**
-     * Helper function to update capacity state from API response
-     * Also caches event metadata (event_date, event_type) for future use
+     * Converts an API capacity object (one event) to the shape the components use
+     * eventId falls back to the event the request was for, for responses that leave it out
      */
-    const updateCapacityFromResponse = (capacityData) => {
-      if (!capacityData) return;
-      
-      const updatedCapacity = {
-        isAtCapacity: !!capacityData.roster_full,
-        confirmedCount: Number(capacityData.confirmed_count || 0),
-        playerCap: Number(capacityData.player_cap || defaultPlayerCap),
-        spotsAvailable: Number(capacityData.spots_available || 0),
-        waitlistCount: Number(capacityData.waitlist_count || 0),
-        eventOpen: !!capacityData.event_open,
-        eventDate: capacityData.event_date || null,
-        eventType: capacityData.event_type || null
-      };
-      
-      capacity.value = updatedCapacity;
+    const normalizeCapacity = (capacityData, eventId = null) => ({
+      eventId: capacityData.event_id ?? eventId,            // Event ID (null if the backend only has one event)
+      eventName: capacityData.event_name || null,           // Event name, if the backend names it
+      isAtCapacity: !!capacityData.roster_full,             // Whether event is at capacity
+      confirmedCount: Number(capacityData.confirmed_count || 0),  // Number of confirmed registrations
+      playerCap: Number(capacityData.player_cap || defaultPlayerCap),  // Maximum capacity
+      spotsAvailable: Number(capacityData.spots_available || 0),  // Available spots
+      waitlistCount: Number(capacityData.waitlist_count || 0),  // Number of people on waitlist
+      eventOpen: !!capacityData.event_open,                 // Whether event is accepting registrations
+      eventDate: capacityData.event_date || null,           // Event date (ISO format YYYY-MM-DD)
+      eventType: capacityData.event_type || null,           // Event type (e.g., "rr", "tournament", "group_training")
+      ...getRegistrationWindow(capacityData)                // opensAt / closesAt (ms, null if not set)
+    });
+
+    // Bookkeeping after any capacity update: timestamp, event metadata cache, stale errors
+    const capacityUpdated = () => {
       capacityLastUpdated.value = Date.now();
       
-      // Cache event metadata separately (long TTL since event date never changes)
-      if (capacityData.event_date || capacityData.event_type) {
-        setEventMetadataCache(capacityData.event_date, capacityData.event_type);
+      // Cache event metadata separately so the page header can show the events on reload
+      if (events.value.some(event => event.eventDate || event.eventType)) {
+        setEventMetadataCache(events.value);
       }
       
       // Clear any previous capacity errors on success
       if (error.value && error.value.includes('capacity')) {
         error.value = '';
       }
+
+      // The backend is answering again
+      maintenance.value = false;
+
+      checkRegistrationStatus();
     };
 
     /**
-     * Fetches event metadata (event_date, event_type) from cache or API
-     * Called on mount to display event date without waiting for user action
-     * Uses the capacity endpoint for lightweight fetch (no roster data needed)
+     * Replaces the open events with a list of API capacity objects
+     * (search and /rr/events responses list every open event)
+     */
+    const updateEventsFromResponse = (eventList) => {
+      events.value = eventList.map(capacityData => normalizeCapacity(capacityData));
+      capacityUpdated();
+    };
+
+    /**
+     * Updates one event's capacity from an API response (register and unregister
+     * responses carry the capacity of the event they were for)
+     */
+    const updateCapacityFromResponse = (capacityData, eventId = null) => {
+      if (!capacityData) return;
+
+      const updated = normalizeCapacity(capacityData, eventId);
+      const index = events.value.findIndex(event => getEventKey(event) === getEventKey(updated));
+      if (index >= 0) {
+        events.value[index] = updated;
+      } else {
+        events.value.push(updated);
+      }
+      capacityUpdated();
+    };
+
+    /**
+     * Fetches the open events (id, name, date, type, window and capacity) from cache or API
+     * Called on mount: the events' windows decide whether registration is open
      */
     const fetchEventMetadata = async () => {
-      // Check cache first
+      // Check cache first (capacity comes with the player lookup)
       const cached = getEventMetadataCache();
       if (cached) {
-        capacity.value.eventDate = cached.eventDate;
-        capacity.value.eventType = cached.eventType;
+        events.value = cached.map(({ eventId, eventName, eventDate, eventType, opensAt, closesAt }) => ({
+          ...normalizeCapacity({ event_open: true, player_cap: fallbackPlayerCap }, eventId),
+          eventName,
+          eventDate,
+          eventType,
+          opensAt,
+          closesAt
+        }));
+        eventsLoaded.value = true;
+        checkRegistrationStatus();
         return;
       }
       
-      // Not cached, fetch from API (use capacity endpoint - lightweight, just event metadata)
+      // Not cached, fetch from API
+      const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : 'http://0.0.0.0:8080';
       try {
-        const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : 'http://0.0.0.0:8080';
-        const url = `${apiUrl}/rr/capacity`;
+        const response = await fetch(`${apiUrl}/rr/events`, getFetchOptions());
+        const data = await handleApiResponse(response);
         
-        const fetchOptions = getFetchOptions({
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
+        // Events endpoint returns { events: [capacity, ...] }
+        if (data && Array.isArray(data.events)) {
+          updateEventsFromResponse(data.events);
+        }
+      } catch (err) {
+        // A maintenance response is shown right away, so players don't try to register
+        // while the backend is down
+        if (isMaintenanceError(err)) {
+          maintenance.value = true;
+        } else {
+          await fetchCurrentEventCapacity(apiUrl, err);
+        }
+      } finally {
+        eventsLoaded.value = true;
+      }
+    };
+
+    // Fallback when /rr/events fails (or the backend predates it): the capacity endpoint
+    // still describes the current event. If that fails too, the page says it couldn't
+    // load rather than reporting registration as closed.
+    const fetchCurrentEventCapacity = async (apiUrl, eventsError) => {
+      console.warn('Could not load open events, falling back to the current event:', eventsError.message);
+      try {
+        const response = await fetch(`${apiUrl}/rr/capacity`, getFetchOptions({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({})
-        });
-        const response = await fetch(url, fetchOptions);
+        }));
         const data = await handleApiResponse(response);
-        
-        // Capacity endpoint returns capacity data directly
         if (data) {
           updateCapacityFromResponse(data);
         }
       } catch (err) {
-        // Silently fail - event date is nice-to-have, not critical
-        // User will see it after performing a lookup
+        if (isMaintenanceError(err)) {
+          maintenance.value = true;
+        } else {
+          eventsLoadError.value = getErrorMessage(err, 'loading registration details');
+        }
       }
     };
 
+    // A player's status for one event, as kept in player.registrations
+    const newRegistration = (entry = {}) => ({
+      is_registered: !!entry.is_registered,
+      is_on_waitlist: entry.is_on_waitlist || false,
+      waitlist_position: entry.waitlist_position || null,
+      registerError: '',
+      unregisterError: ''
+    });
+
+    /**
+     * Per-event registrations for a player from the search response: player.events
+     * lists { event_id, is_registered, is_on_waitlist, waitlist_position } for each open
+     * event. Responses without it flag the player's status for the current event only.
+     */
+    const getPlayerRegistrations = (player) => {
+      const registrations = {};
+      if (Array.isArray(player.events)) {
+        player.events.forEach(entry => {
+          registrations[String(entry.event_id)] = newRegistration(entry);
+        });
+      } else if (events.value.length > 0) {
+        registrations[getEventKey(events.value[0])] = newRegistration(player);
+      }
+      return registrations;
+    };
+
+    // The player's registration for an event, created if the search didn't mention it
+    const ensureRegistration = (player, event) => {
+      const key = getEventKey(event);
+      if (!player.registrations[key]) {
+        player.registrations[key] = newRegistration();
+      }
+      return player.registrations[key];
+    };
+
     const handlePlayerFound = (data) => {
+      maintenance.value = false;
+
       // New API response structure: { players: [], capacity: {} }
       const playerList = Array.isArray(data) ? data : (data.players || []);
       
@@ -1269,59 +1294,65 @@ const RegistrationApp = {
       }
 
       error.value = '';
-      players.value = playerList.map(player => ({
-        ...player,
-        is_on_waitlist: player.is_on_waitlist || false,
-        waitlist_position: player.waitlist_position || null,
-        registerError: '',
-        unregisterError: ''
-      }));
-      
-      // Extract capacity from search response (new API always includes capacity)
-      if (data.capacity) {
-        updateCapacityFromResponse(data.capacity);
+
+      // Extract capacity from search response: every open event, or just the current one
+      // from backends without multi-event support (the API always includes capacity)
+      const eventList = Array.isArray(data.events) ? data.events : (data.capacity ? [data.capacity] : null);
+      if (eventList) {
+        updateEventsFromResponse(eventList);
       } else {
         // If capacity not included (should not happen with new API), show error
         error.value = 'Capacity information is missing from the response. Please refresh and try again.';
       }
+
+      players.value = playerList.map(player => ({
+        ...player,
+        registrations: getPlayerRegistrations(player)
+      }));
     };
 
-    const handleLookupError = (errorMessage) => {
-      error.value = errorMessage;
+    const handleLookupError = (errorMessage, err) => {
       players.value = [];
+      if (isMaintenanceError(err)) {
+        maintenance.value = true;
+        error.value = '';
+        return;
+      }
+      error.value = errorMessage;
     };
 
 
-    const handleRegisterPlayer = (index) => {
+    const handleRegisterPlayer = (index, event) => {
       if (!registrationOpen.value) {
         alert('Registration is currently closed.');
         return;
       }
 
       // DEV_OVERRIDE bypasses all event constraints
-      if (!devOverride && !capacity.value.eventOpen) {
+      if (!devOverride && !isAcceptingRegistrations(event)) {
         alert('This event is not currently accepting registrations. Please check back later or contact support.');
         return;
       }
 
-      // Note: No longer checking capacity.isAtCapacity - users can join waitlist when full
+      // Note: No longer checking event.isAtCapacity - users can join waitlist when full
 
       const player = players.value[index];
       
       // Clear any previous errors
-      player.registerError = '';
+      ensureRegistration(player, event).registerError = '';
 
       // Clear dialog messages from previous interactions
       registrationSuccessMessage.value = '';
       registrationErrorMessage.value = '';
+      registrationFieldErrors.value = {};
 
-      currentRegistrationData.value = { player, index };
+      currentRegistrationData.value = { player, index, event };
       showRegistrationDialog.value = true;
     };
 
-    const handleUnregisterPlayer = (index) => {
+    const handleUnregisterPlayer = (index, event) => {
       // DEV_OVERRIDE bypasses all event constraints
-      if (!devOverride && !capacity.value.eventOpen) {
+      if (!devOverride && !isAcceptingRegistrations(event)) {
         alert('This event is not currently accepting changes. Please check back later or contact support.');
         return;
       }
@@ -1329,13 +1360,14 @@ const RegistrationApp = {
       const player = players.value[index];
       
       // Clear any previous errors
-      player.unregisterError = '';
+      ensureRegistration(player, event).unregisterError = '';
 
       // Clear dialog messages from previous interactions
       unregistrationSuccessMessage.value = '';
       unregistrationErrorMessage.value = '';
+      unregistrationFieldErrors.value = {};
 
-      currentUnregistrationData.value = { player, index };
+      currentUnregistrationData.value = { player, index, event };
       showUnregistrationDialog.value = true;
     };
 
@@ -1345,11 +1377,12 @@ const RegistrationApp = {
         return;
       }
       
-      const { player, index } = currentRegistrationData.value;
+      const { player, index, event } = currentRegistrationData.value;
       
       // Clear any previous messages
       registrationSuccessMessage.value = '';
       registrationErrorMessage.value = '';
+      registrationFieldErrors.value = {};
       
       try {
         const payload = {
@@ -1358,7 +1391,8 @@ const RegistrationApp = {
           first_name: player.first_name,
           last_name: player.last_name,
           payment_method: data.paymentMethod,
-          comments: data.comments  // Comments now include waiver version
+          comments: data.comments,  // Comments now include waiver version
+          ...(event.eventId != null && { event_id: event.eventId })
         };
 
         const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : 'http://0.0.0.0:8080';
@@ -1387,27 +1421,28 @@ const RegistrationApp = {
             registrationSuccessMessage.value = result.message || 'Registration completed successfully!';
           }
           
-          // Update local state
+          // Update local state for this event
           if (players.value[index]) {
+            const registration = ensureRegistration(players.value[index], event);
             if (onWaitlist) {
               // On waitlist: is_registered = true, is_on_waitlist = true
-              players.value[index].is_registered = true;
-              players.value[index].is_on_waitlist = true;
-              players.value[index].waitlist_position = waitlistPosition;
+              registration.is_registered = true;
+              registration.is_on_waitlist = true;
+              registration.waitlist_position = waitlistPosition;
             } else {
               // On roster: is_registered = true, is_on_waitlist = false
-              players.value[index].is_registered = true;
-              players.value[index].is_on_waitlist = false;
-              players.value[index].waitlist_position = null;
+              registration.is_registered = true;
+              registration.is_on_waitlist = false;
+              registration.waitlist_position = null;
             }
             // Clear any error fields
-            players.value[index].registerError = '';
-            players.value[index].unregisterError = '';
+            registration.registerError = '';
+            registration.unregisterError = '';
           }
           
           // Extract capacity from registration response (new API always includes capacity)
           if (result.capacity) {
-            updateCapacityFromResponse(result.capacity);
+            updateCapacityFromResponse(result.capacity, event.eventId);
           }
           
           // Clear roster cache to force fresh fetch when viewing roster
@@ -1421,6 +1456,8 @@ const RegistrationApp = {
       } catch (err) {
         const friendlyMessage = getErrorMessage(err, 'registration');
         registrationErrorMessage.value = friendlyMessage;
+        registrationFieldErrors.value = err.fields || {};
+        maintenance.value = isMaintenanceError(err);
       }
     };
 
@@ -1430,11 +1467,12 @@ const RegistrationApp = {
         return;
       }
       
-      const { player, index } = currentUnregistrationData.value;
+      const { player, index, event } = currentUnregistrationData.value;
       
       // Clear any previous messages
       unregistrationSuccessMessage.value = '';
       unregistrationErrorMessage.value = '';
+      unregistrationFieldErrors.value = {};
       
       try {
         const payload = {
@@ -1442,7 +1480,8 @@ const RegistrationApp = {
           internal_user_id: parseInt(player.internal_user_id),
           first_name: player.first_name,
           last_name: player.last_name,
-          comments: data.comments
+          comments: data.comments,
+          ...(event.eventId != null && { event_id: event.eventId })
         };
 
         const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : 'http://0.0.0.0:8080';
@@ -1459,19 +1498,14 @@ const RegistrationApp = {
           // Set success message instead of alert
           unregistrationSuccessMessage.value = result.message || 'Unregistration completed successfully!';
           
-          // Update local state - player is no longer registered (not on roster or waitlist)
+          // Update local state - player is no longer registered for this event (not on roster or waitlist)
           if (players.value[index]) {
-            players.value[index].is_registered = false;
-            players.value[index].is_on_waitlist = false;
-            players.value[index].waitlist_position = null;
-            // Clear any error fields
-            players.value[index].registerError = '';
-            players.value[index].unregisterError = '';
+            players.value[index].registrations[getEventKey(event)] = newRegistration();
           }
           
           // Extract capacity from unregistration response (new API always includes capacity)
           if (result.capacity) {
-            updateCapacityFromResponse(result.capacity);
+            updateCapacityFromResponse(result.capacity, event.eventId);
           }
           
           // Clear roster cache to force fresh fetch when viewing roster
@@ -1484,33 +1518,24 @@ const RegistrationApp = {
       } catch (err) {
         const friendlyMessage = getErrorMessage(err, 'unregistration');
         unregistrationErrorMessage.value = friendlyMessage;
+        unregistrationFieldErrors.value = err.fields || {};
+        maintenance.value = isMaintenanceError(err);
       }
     };
 
     // Lifecycle
     onMounted(() => {
       checkRegistrationStatus();
-      // Calculate next opening (checks ENV to skip closed weeks)
-      calculateNextOpening();
-      // Only fetch event metadata if registration is open
-      if (registrationOpen.value) {
-        fetchEventMetadata(); // Fetch event date from cache or API
-      }
-    });
-
-    // Watch for registration status changes and recalculate next opening if needed
-    watch(registrationOpen, (isOpen) => {
-      // Recalculate next opening when registration status changes
-      // This ensures we show the correct next opening after registration closes
-      if (!isOpen) {
-        calculateNextOpening();
-      }
+      // The events' windows decide whether registration is open; fetch them from cache or API
+      fetchEventMetadata();
     });
 
     return {
       players,
       registrationOpen,
-      capacity,
+      events,
+      eventsLoaded,
+      eventsLoadError,
       capacityLastUpdated,
       showRegistrationDialog,
       showUnregistrationDialog,
@@ -1518,15 +1543,21 @@ const RegistrationApp = {
       currentUnregistrationData,
       registrationSuccessMessage,
       registrationErrorMessage,
+      registrationFieldErrors,
       unregistrationSuccessMessage,
       unregistrationErrorMessage,
+      unregistrationFieldErrors,
       error,
+      maintenance,
       devOverride,
       registrationClosed,
       closingTime,
       nextOpening,
-      formattedEventDate,
-      eventDayOfWeek,
+      pageTitle,
+      dialogEventTitle,
+      formatEventDay,
+      describeEvent,
+      getEventKey,
       showRosterSection,
       handlePlayerFound,
       handleLookupError,
@@ -1540,6 +1571,8 @@ const RegistrationApp = {
   },
   template: `
     <div class="container">
+      <backend-banner />
+
       <div v-if="showRosterSection" class="roster-section">
         <a href="../roster/" class="roster-link-button">
           <span class="roster-text">View Players Registered for Round Robin</span>
@@ -1548,12 +1581,15 @@ const RegistrationApp = {
       </div>
 
       <div class="page-header">
-        <h2>Round Robin Registration</h2>
-        <p v-if="formattedEventDate" class="event-date">for {{ eventDayOfWeek }}, {{ formattedEventDate }}</p>
+        <h2>{{ pageTitle }}</h2>
+        <p v-if="events.length === 1 && events[0].eventDate" class="event-date">for {{ formatEventDay(events[0].eventDate) }}</p>
+        <ul v-else-if="events.length > 1" class="open-events">
+          <li v-for="event in events" :key="getEventKey(event)" class="event-date">{{ describeEvent(event) }}</li>
+        </ul>
       </div>
 
       <registration-status 
-        v-if="!registrationOpen"
+        v-if="!registrationOpen && eventsLoaded && !maintenance && !eventsLoadError"
         :is-open="registrationOpen"
         :closing-time="closingTime"
         :next-opening="nextOpening"
@@ -1568,7 +1604,23 @@ const RegistrationApp = {
         @lookup-error="handleLookupError"
       />
 
-      <div v-if="registrationOpen && error" class="error-section">
+      <div v-if="eventsLoadError && !registrationOpen && !maintenance" class="status-banner status-maintenance">
+        <div>⚠️ We couldn't check whether registration is open</div>
+        <div class="status-details">{{ eventsLoadError }}</div>
+      </div>
+
+      <div v-if="maintenance" class="status-banner status-maintenance">
+        <div>🛠️ Registration is temporarily unavailable</div>
+        <div class="status-details">
+          Our registration system is down for maintenance. Nothing is lost: registrations
+          already made are safe. Please try again in a few minutes.
+        </div>
+        <div class="status-details">
+          Questions? Contact BTTC support at {{ supportPhone }} ({{ supportMethod }})
+        </div>
+      </div>
+
+      <div v-if="registrationOpen && error && !maintenance" class="error-section">
         <div class="error-content">
           <h3 class="error-title">Player Not Found</h3>
           <p class="error-subtitle">
@@ -1598,9 +1650,9 @@ const RegistrationApp = {
       </div>
 
       <player-list 
-        v-if="registrationOpen && (!error || !error.includes('capacity'))"
+        v-if="registrationOpen && !maintenance && (!error || !error.includes('capacity'))"
         :players="players"
-        :capacity="capacity"
+        :events="events"
         :capacity-last-updated="capacityLastUpdated"
         :dev-override="devOverride"
         @register-player="handleRegisterPlayer"
@@ -1617,9 +1669,11 @@ const RegistrationApp = {
       <registration-dialog 
         :show="showRegistrationDialog"
         :player="currentRegistrationData?.player"
-        :capacity="capacity"
+        :capacity="currentRegistrationData?.event"
+        :event-title="dialogEventTitle(currentRegistrationData)"
         :success-message="registrationSuccessMessage"
         :error-message="registrationErrorMessage"
+        :field-errors="registrationFieldErrors"
         @close="showRegistrationDialog = false"
         @confirm="confirmRegistration"
       />
@@ -1627,8 +1681,10 @@ const RegistrationApp = {
       <unregistration-dialog 
         :show="showUnregistrationDialog"
         :player="currentUnregistrationData?.player"
+        :event-title="dialogEventTitle(currentUnregistrationData)"
         :success-message="unregistrationSuccessMessage"
         :error-message="unregistrationErrorMessage"
+        :field-errors="unregistrationFieldErrors"
         @close="showUnregistrationDialog = false"
         @confirm="confirmUnregistration"
       />
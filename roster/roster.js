@@ -1,5 +1,6 @@
 // BTTC Round Robin Roster
-// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse
+// Utilities loaded from bttc-utils.js: getErrorMessage, getFetchOptions, handleApiResponse, isMaintenanceError, BackendBanner,
+// getRegistrationWindow
 
 const { createApp, ref, reactive, computed, onMounted, onUnmounted } = Vue;
 
@@ -12,7 +13,8 @@ const CACHE_KEYS = {
 // Defaults from ENV or fallback to reasonable defaults
 const CACHE_TTL = {
   ROSTER: (typeof ENV !== 'undefined' && ENV.CACHE_TTL_ROSTER ? ENV.CACHE_TTL_ROSTER : 45) * 1000,    // Default: 45 seconds
-  EVENT_METADATA: 24 * 60 * 60 * 1000  // 24 hours (event date never changes once set)
+  // Short, because admins can change an open event's date from the Events panel
+  EVENT_METADATA: (typeof ENV !== 'undefined' && ENV.CACHE_TTL_EVENT_METADATA ? ENV.CACHE_TTL_EVENT_METADATA : 300) * 1000  // Default: 5 minutes
 };
 
 const getCachedData = (cacheKey, ttl) => {
@@ -29,8 +31,7 @@ const getCachedData = (cacheKey, ttl) => {
       return { data, timestamp };
     }
 
-    // Cache expired, remove it
-    sessionStorage.removeItem(cacheKey);
+    // Cache expired. Keep the entry: it's revalidated via its ETag and used as a fallback on errors
     return null;
   } catch (err) {
     // Cache corrupted or unavailable, remove it
@@ -43,11 +44,22 @@ const getCachedData = (cacheKey, ttl) => {
   }
 };
 
-const setCachedData = (cacheKey, data) => {
+// Returns the cache entry whatever its age (null if missing), for ETag revalidation
+const getCachedEntry = (cacheKey) => {
+  try {
+    const cached = sessionStorage.getItem(cacheKey);
+    return cached ? JSON.parse(cached) : null;
+  } catch {
+    return null;
+  }
+};
+
+const setCachedData = (cacheKey, data, etag = null) => {
   try {
     const cacheEntry = {
       data: data,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      etag: etag
     };
     sessionStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
   } catch (err) {
@@ -87,10 +99,11 @@ const getEventMetadataCache = () => {
   }
 };
 
-const setEventMetadataCache = (eventDate, eventType) => {
+// Same format as the registration page: a list of events (here just the roster's)
+const setEventMetadataCache = ({ eventId, eventName, eventDate, eventType, opensAt, closesAt }) => {
   try {
     const cacheEntry = {
-      data: { eventDate, eventType },
+      data: [{ eventId, eventName, eventDate, eventType, opensAt, closesAt }],
       timestamp: Date.now()
     };
     sessionStorage.setItem(CACHE_KEYS.EVENT_METADATA, JSON.stringify(cacheEntry));
@@ -100,6 +113,9 @@ const setEventMetadataCache = (eventDate, eventType) => {
 };
 
 const RosterApp = {
+  components: {
+    BackendBanner  // DEV BACKEND banner (bttc-utils.js)
+  },
   setup() {
     // Load configuration constants from ENV (or use defaults)
     const apiUrl = typeof ENV !== 'undefined' ? ENV.API_URL : 'http://0.0.0.0:8080';
@@ -110,16 +126,7 @@ const RosterApp = {
     const devOverride = typeof ENV !== 'undefined' ? (ENV.DEV_OVERRIDE ?? false) : false;
     const registrationClosed = typeof ENV !== 'undefined' ? (ENV.REGISTRATION_CLOSED ?? false) : false;
     const timezone = typeof ENV !== 'undefined' ? ENV.TIMEZONE : 'America/Los_Angeles';
-
-    // Opening configuration (default: Wednesday at 10:00)
-    const openingDay = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_DAY : 3;    // Wednesday = 3
-    const openingHour = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_HOUR : 10; // 10:00 (10 AM)
-    const openingMinute = typeof ENV !== 'undefined' ? ENV.REGISTRATION_OPENING_MINUTE : 0;
-
-    // Closing configuration (default: Friday at 18:00)
-    const closingDay = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_DAY : 5;    // Friday = 5
-    const closingHour = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_HOUR : 18; // 18:00 (6 PM)
-    const closingMinute = typeof ENV !== 'undefined' ? ENV.REGISTRATION_CLOSING_MINUTE : 0;
+    // The roster opens with its event's registration window (registration_opens_at)
 
     // API endpoint for fetching roster
     const API_URL = `${apiUrl}/rr/roster`;
@@ -129,6 +136,7 @@ const RosterApp = {
     const waitlist = ref([]);         // Array of players on waitlist
     const loading = ref(true);        // Loading state during API calls
     const error = ref('');            // Error message to display
+    const maintenance = ref(false);   // Backend is down (proxy answered MAINTENANCE)
     const capacity = ref({
       isAtCapacity: false,             // Whether event is at capacity
       confirmedCount: 0,              // Number of confirmed registrations
@@ -137,7 +145,9 @@ const RosterApp = {
       waitlistCount: 0,               // Number of people on waitlist
       eventOpen: true,                // Whether event is accepting registrations
       eventDate: null,                // Event date (ISO format YYYY-MM-DD)
-      eventType: null                 // Event type (e.g., "rr", "tournament", "group_training")
+      eventType: null,                // Event type (e.g., "rr", "tournament", "group_training")
+      opensAt: null,                  // When registration opens (ms, null if the event doesn't say)
+      closesAt: null                  // When registration closes (ms, null if the event doesn't say)
     });
     const lastUpdated = ref({
       roster: null,                    // Timestamp when roster was last fetched
@@ -153,13 +163,41 @@ const RosterApp = {
     // NOTE: Capacity is now included in /rr/roster response
     // No need for separate /rr/capacity calls anymore
 
+    // Shows roster, waitlist and capacity from a cache entry ({ data, timestamp })
+    const applyCachedRoster = (cachedResult) => {
+      // Restore roster data
+      if (Array.isArray(cachedResult.data.roster)) {
+        players.value = cachedResult.data.roster;
+      } else if (Array.isArray(cachedResult.data)) {
+        // Backward compatibility: handle old cache format (just array)
+        players.value = cachedResult.data;
+      }
+
+      // Restore waitlist data
+      if (Array.isArray(cachedResult.data.waitlist)) {
+        waitlist.value = cachedResult.data.waitlist;
+      }
+
+      // Apply default sort (rating high to low)
+      applySort();
+
+      // Restore capacity data if available
+      if (cachedResult.data.capacity) {
+        capacity.value = cachedResult.data.capacity;
+        lastUpdated.value.capacity = cachedResult.timestamp;
+      }
+
+      lastUpdated.value.roster = cachedResult.timestamp;
+    };
+
     /**
      * Fetches roster data from the API with caching
      *
      * FLOW:
      * 1. Check cache first - if valid (< 45 seconds), use cached data immediately
      * 2. Set loading state (shows loading indicator)
-     * 3. If cache expired/missing, fetch from API
+     * 3. If cache expired/missing, fetch from API, revalidating the expired copy by ETag
+     *    (a 304 means it's still current and only its timestamp is refreshed)
      * 4. Validate response format (new API: { roster: [], capacity: {} }, legacy: array)
      * 5. Extract roster array from response
      * 6. Extract capacity from response (new API includes capacity, no separate call needed)
@@ -168,13 +206,13 @@ const RosterApp = {
      * 9. On error: Try cached data, then show user-friendly error message
      * 10. Always: Reset loading state
      *
-     * CACHING: Roster data cached for 45 seconds to reduce API calls on page refresh
+     * CACHING: Roster data cached for 45 seconds to reduce API calls on page refresh.
+     * After that the proxy answers If-None-Match with a body-less 304 when nothing changed.
      * API: New API returns { roster: [], capacity: {} } - capacity included, no separate /capacity call needed
      */
     const fetchRoster = async () => {
-      // Skip API call if roster is closed by schedule (unless DEV_OVERRIDE is enabled)
-      // Check shouldShowClosedMessage to determine if roster is closed by schedule
-      if (shouldShowClosedMessage.value) {
+      // REGISTRATION_CLOSED hides the roster whatever the event says (unless DEV_OVERRIDE is enabled)
+      if (registrationClosed && !devOverride) {
         loading.value = false;
         players.value = [];
         return;
@@ -184,30 +222,7 @@ const RosterApp = {
       const cachedResult = getCachedData(CACHE_KEYS.ROSTER, CACHE_TTL.ROSTER);
       if (cachedResult && cachedResult.data) {
         // Use cached data immediately (no loading state for instant display)
-
-        // Restore roster data
-        if (Array.isArray(cachedResult.data.roster)) {
-          players.value = cachedResult.data.roster;
-        } else if (Array.isArray(cachedResult.data)) {
-          // Backward compatibility: handle old cache format (just array)
-          players.value = cachedResult.data;
-        }
-
-        // Restore waitlist data
-        if (Array.isArray(cachedResult.data.waitlist)) {
-          waitlist.value = cachedResult.data.waitlist;
-        }
-
-        // Apply default sort (rating high to low)
-        applySort();
-
-        // Restore capacity data if available
-        if (cachedResult.data.capacity) {
-          capacity.value = cachedResult.data.capacity;
-          lastUpdated.value.capacity = cachedResult.timestamp;
-        }
-
-        lastUpdated.value.roster = cachedResult.timestamp;
+        applyCachedRoster(cachedResult);
         loading.value = false;  // Reset loading state when using cache
 
         // Cache is valid, no API call needed
@@ -226,8 +241,22 @@ const RosterApp = {
       error.value = '';      // Clear previous errors
 
       try {
-        // Fetch roster from API
-        const response = await fetch(API_URL, getFetchOptions());
+        // Fetch roster from API, sending the ETag of our last copy (if any) so an
+        // unchanged roster comes back as an empty 304
+        const previous = getCachedEntry(CACHE_KEYS.ROSTER);
+        const revalidate = !!(previous && previous.etag && previous.data);
+        const response = await fetch(API_URL, getFetchOptions(
+          revalidate ? { headers: { 'If-None-Match': previous.etag } } : {}
+        ));
+
+        maintenance.value = false;
+
+        if (response.status === 304 && revalidate) {
+          setCachedData(CACHE_KEYS.ROSTER, previous.data, previous.etag);
+          applyCachedRoster({ data: previous.data, timestamp: Date.now() });
+          return;
+        }
+
         const data = await handleApiResponse(response);
 
         // New API response structure: { roster: [], waitlist: [], capacity: {} }
@@ -253,7 +282,8 @@ const RosterApp = {
             waitlistCount: Number(data.capacity.waitlist_count || 0),
             eventOpen: !!data.capacity.event_open,
             eventDate: data.capacity.event_date || null,
-            eventType: data.capacity.event_type || null
+            eventType: data.capacity.event_type || null,
+            ...getRegistrationWindow(data.capacity)
           };
 
           capacity.value = capacityData;
@@ -262,7 +292,11 @@ const RosterApp = {
           // Cache event metadata separately (long TTL since event date never changes)
           // This cache is shared with the registration page to avoid unnecessary API calls
           if (data.capacity.event_date || data.capacity.event_type) {
-            setEventMetadataCache(data.capacity.event_date, data.capacity.event_type);
+            setEventMetadataCache({
+              ...capacityData,
+              eventId: data.capacity.event_id ?? null,
+              eventName: data.capacity.event_name || null
+            });
           }
         } else {
           // If capacity not included (should not happen with new API), continue without capacity
@@ -274,7 +308,7 @@ const RosterApp = {
           waitlist: waitlistData,
           capacity: capacityData
         };
-        setCachedData(CACHE_KEYS.ROSTER, cacheData);
+        setCachedData(CACHE_KEYS.ROSTER, cacheData, response.headers.get('ETag'));
 
         // Set players and waitlist state with fresh data and timestamp
         players.value = rosterData;
@@ -285,6 +319,8 @@ const RosterApp = {
 
         lastUpdated.value.roster = now;
       } catch (err) {
+        maintenance.value = isMaintenanceError(err);
+
         // On error, try to use cached data as fallback (even if expired)
         const cachedResult = getCachedData(CACHE_KEYS.ROSTER, CACHE_TTL.ROSTER * 2); // Allow stale cache on error
         if (cachedResult && cachedResult.data) {
@@ -315,8 +351,8 @@ const RosterApp = {
           return;
         }
 
-        // No cache available, show error
-        error.value = getErrorMessage(err, 'loading roster');
+        // No cache available, show error (the maintenance banner replaces it)
+        error.value = maintenance.value ? '' : getErrorMessage(err, 'loading roster');
         players.value = [];
         waitlist.value = [];
         lastUpdated.value.roster = null;
@@ -708,41 +744,32 @@ const RosterApp = {
 
     /**
      * Computed: Determine if we should show the closed message instead of roster
-     * Roster is ONLY open from opening day at opening time through closing day end of day
+     * Roster is ONLY open from the event's registration opening through the end of the event day
      * AND if REGISTRATION_CLOSED = false
      * DEV_OVERRIDE = true unlocks the roster (bypasses all constraints)
-     * Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > normal schedule
+     * Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > event window
      */
     const shouldShowClosedMessage = computed(() => {
-      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > normal schedule
+      // Priority order: DEV_OVERRIDE > REGISTRATION_CLOSED > event window
       // If DEV_OVERRIDE is true, always show roster (don't show closed message)
       if (devOverride) return false;
 
       // If REGISTRATION_CLOSED is true, show closed message
       if (registrationClosed) return true;
 
-      const now = new Date();
-      const pstNow = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-      const dayOfWeek = pstNow.getDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
-      const hours = pstNow.getHours();
-      const minutes = pstNow.getMinutes();
+      // The event comes with the roster, so wait for it
+      if (loading.value) return false;
 
-      // Opening day: show roster only at or after opening time
-      if (dayOfWeek === openingDay) {
-        const pastOpeningTime = hours > openingHour || (hours === openingHour && minutes >= openingMinute);
-        return !pastOpeningTime;
+      // No event: closed, unless there's a roster (or an error) to show anyway
+      if (!capacity.value.eventDate) {
+        return !hasPlayers.value && !error.value && !maintenance.value;
       }
 
-      // Days strictly between opening day and closing day (inclusive): show roster
-      if (openingDay < closingDay) {
-        if (dayOfWeek > openingDay && dayOfWeek <= closingDay) return false;
-      } else {
-        // Handles week wrap-around (e.g., Friday to Wednesday)
-        if (dayOfWeek > openingDay || dayOfWeek <= closingDay) return false;
-      }
+      // Before registration opens (currentTime ticks, so the roster appears on time)
+      if (capacity.value.opensAt != null && currentTime.value < capacity.value.opensAt) return true;
 
-      // All other days (before opening or after closing): show closed message
-      return true;
+      // After the event day: show closed message
+      return isAfterEventDate.value;
     });
 
     /**
@@ -763,6 +790,7 @@ const RosterApp = {
       capacity,
       currentSort,
       hasPlayers,
+      maintenance,
       hasWaitlist,
       playerCount,
       waitlistCount,
@@ -784,6 +812,7 @@ const RosterApp = {
   },
   template: `
     <div class="roster-container container_12">
+      <backend-banner />
       <a href="../registration/" class="back-link">← Back to Round Robin Registration</a>
       <h3>Round Robin Registered Players</h3>
       <p v-if="formattedEventDate && capacity.eventOpen && !shouldShowClosedMessage" class="event-date">For {{ eventDayOfWeek }}, {{ formattedEventDate }}</p>
@@ -802,6 +831,13 @@ const RosterApp = {
           Loading roster...
         </div>
 
+        <div v-else-if="maintenance && !hasPlayers" class="status-banner status-maintenance">
+          <div>🛠️ The roster is temporarily unavailable</div>
+          <div class="status-details">
+            Our registration system is down for maintenance. Please check back in a few minutes.
+          </div>
+        </div>
+
         <div v-else-if="error" class="error-message">
           <p>{{ error }}</p>
           <p>If the problem persists, please contact BTTC support at {{ supportPhone }} ({{ supportMethod }})</p>
@@ -812,6 +848,12 @@ const RosterApp = {
         </div>
 
         <div v-else class="roster-table-container">
+        <div v-if="maintenance" class="status-banner status-maintenance">
+          <div>🛠️ Live updates are paused</div>
+          <div class="status-details">
+            Our registration system is down for maintenance, so this is the last roster we loaded.
+          </div>
+        </div>
         <p class="player-count">
           <span class="player-count-left">
             <span v-if="!capacity.eventOpen && capacity.playerCap > 0" class="event-closed-text">{{ capacity.confirmedCount }}/{{ capacity.playerCap }} • Registration closed</span>
@@ -170,7 +170,8 @@ const PlayerDialog = {
     show: Boolean,    // Controls dialog visibility
     player: Object,   // Selected player info to display in dialog header
     successMessage: String,  // Success message to display inline
-    errorMessage: String     // Error message to display inline
+    errorMessage: String,    // Error message to display inline
+    fieldErrors: Object      // Per-field messages from the API, keyed by payload field
   },
   emits: ['close', 'submit'],
   setup(props, { emit }) {
@@ -217,6 +218,13 @@ const PlayerDialog = {
       }
     });
 
+    // Show the API's field errors under the matching inputs
+    watch(() => props.fieldErrors, (fields) => {
+      if (!fields) return;
+      if (fields.phone_number) phoneError.value = fields.phone_number;
+      if (fields.email) emailError.value = fields.email;
+    });
+
     const handleSubmit = () => {
       clearValidationErrors();
       let isValid = true;
@@ -367,6 +375,9 @@ const PlayerDialog = {
 };
 
 const NewPlayerForm = {
+  props: {
+    fieldErrors: Object  // Per-field messages from the API, keyed by payload field
+  },
   emits: ['new-player-submit', 'form-error'],
   setup(props, { emit }) {
     // Multi-step state
@@ -572,6 +583,24 @@ const NewPlayerForm = {
       emit('new-player-submit', payload);
     };
 
+    // Show the API's field errors under the matching inputs, on the step that has them
+    watch(() => props.fieldErrors, (fields) => {
+      if (!fields) return;
+      const surveyField = Object.keys(fields).find(field => field.startsWith('rating_survey'));
+      firstNameError.value = fields.first_name || '';
+      lastNameError.value = fields.last_name || '';
+      phoneError.value = fields.phone_number || '';
+      emailError.value = fields.email || '';
+      manualRatingError.value = fields.rating || '';
+      surveyError.value = surveyField ? fields[surveyField] : '';
+
+      if (fields.first_name || fields.last_name || fields.phone_number || fields.email) {
+        currentStep.value = 1;
+      } else if (fields.rating || surveyField) {
+        currentStep.value = 3;
+      }
+    });
+
     // Computed: Dynamic step 3 label based on rating method
     const step3Label = computed(() => {
       if (ratingMethod.value === 'survey') return 'Skill Survey';
@@ -983,6 +1012,8 @@ const PlayerSignupApp = {
     const successMessage = ref('');        // Success message to display
     const dialogSuccessMessage = ref('');  // Success message for dialog
     const dialogErrorMessage = ref('');    // Error message for dialog
+    const dialogFieldErrors = ref(null);   // Per-field API validation messages for dialog
+    const newPlayerFieldErrors = ref(null); // Per-field API validation messages for new player form
 
     /**
      * Handles successful player search results
@@ -1069,9 +1100,10 @@ const PlayerSignupApp = {
       // Clear any previous dialog messages
       dialogSuccessMessage.value = '';
       dialogErrorMessage.value = '';
+      dialogFieldErrors.value = null;
 
-      // Strip dashes from phone number for backend (backend expects digits only)
-      const cleanedPhone = phoneNumber.replace(/\D/g, '');
+      // The 10 digits validatePhone checked (no dashes or leading country code 1)
+      const cleanedPhone = validatePhone(phoneNumber).phone;
 
       // Build API payload with player info and form data
       const payload = {
@@ -1109,6 +1141,7 @@ const PlayerSignupApp = {
         // Network error or other exception
         const friendlyMessage = getErrorMessage(err, 'signup');
         dialogErrorMessage.value = friendlyMessage;
+        dialogFieldErrors.value = err.fields || null;
       } finally {
         // Always reset submitting state (re-enable form)
         setSubmitting(false);
@@ -1125,9 +1158,10 @@ const PlayerSignupApp = {
       // Clear any previous messages
       error.value = '';
       successMessage.value = '';
+      newPlayerFieldErrors.value = null;
 
-      // Strip dashes from phone number for backend
-      const cleanedPhone = phoneNumber.replace(/\D/g, '');
+      // The 10 digits validatePhone checked (no dashes or leading country code 1)
+      const cleanedPhone = validatePhone(phoneNumber).phone;
 
       // Build API payload for new player
       const payload = {
@@ -1171,6 +1205,7 @@ const PlayerSignupApp = {
       } catch (err) {
         const friendlyMessage = getErrorMessage(err, 'account creation');
         error.value = friendlyMessage;
+        newPlayerFieldErrors.value = err.fields || null;
       } finally {
         setSubmitting(false);
       }
@@ -1192,6 +1227,8 @@ const PlayerSignupApp = {
       successMessage,
       dialogSuccessMessage,
       dialogErrorMessage,
+      dialogFieldErrors,
+      newPlayerFieldErrors,
       handlePlayersFound,
       handleSearchError,
       handlePlayerSelected,
@@ -1249,6 +1286,7 @@ const PlayerSignupApp = {
         <!-- New player flow -->
         <template v-if="signupMode === 'new'">
           <new-player-form
+            :field-errors="newPlayerFieldErrors"
             @new-player-submit="handleNewPlayerSubmit"
             @form-error="handleFormError"
           />
@@ -1264,6 +1302,7 @@ const PlayerSignupApp = {
         :player="selectedPlayer"
         :success-message="dialogSuccessMessage"
         :error-message="dialogErrorMessage"
+        :field-errors="dialogFieldErrors"
         @close="handleDialogClose"
         @submit="handleDialogSubmit"
       />